@@ -1,50 +1,322 @@
 import type { ExtensionAPI } from "@mariozechner/pi-coding-agent";
 import { Type } from "@sinclair/typebox";
 import { runCodexSearch } from "../../lib/codex-search-tool.mjs";
-import { normalizeQuestions } from "../../lib/codex-runner.mjs";
+import { createUsageBudget, resolveSessionTokenLimits } from "../../lib/codex-search-budget.mjs";
+import { createSearchCache } from "../../lib/codex-search-cache.mjs";
+import { createDebugTraces } from "../../lib/codex-search-debug.mjs";
+import { SEARCH_COMMAND_HELP, SEARCH_COMMAND_USAGE, parseSearchCommandArgs } from "../../lib/codex-search-command.mjs";
+import { loadCodexSearchConfig } from "../../lib/codex-search-config.mjs";
+import {
+  buildExportDocument,
+  buildExportDocumentFromHistory,
+  defaultExportFileName,
+  parseExportArgs,
+  writeExportFile
+} from "../../lib/codex-search-export.mjs";
+import { createSessionResults } from "../../lib/codex-search-follow-up.mjs";
+import { createSearchHistory, formatHistoryLine, parseHistoryFilter } from "../../lib/codex-search-history.mjs";
+import { formatProgressEvent } from "../../lib/codex-search-progress.mjs";
+
+type CodexSearchQuestion = {
+  question: string;
+  priority?: number;
+} & Pick<
+  CodexSearchParams,
+  | "as_of_period"
+  | "as_of_year"
+  | "as_of"
+  | "published_after"
+  | "published_before"
+  | "recency"
+  | "model"
+  | "backend"
+  | "timeout_sec"
+  | "max_sources"
+  | "schema_mode"
+  | "include_domains"
+  | "exclude_domains"
+  | "strict_domains"
+  | "verify_sources"
+  | "max_attempts"
+>;
 
 type CodexSearchParams = {
-  questions: string[];
+  questions: Array<string | CodexSearchQuestion>;
   as_of_period?: string;
   as_of_year?: number;
+  as_of?: string;
+  published_after?: string;
+  published_before?: string;
+  recency?: string;
   model?: string;
+  backend?: string;
   timeout_sec?: number;
   max_sources?: number;
   parallelism?: number;
+  synthesize?: boolean;
+  mode?: string;
+  deep_breadth?: number;
+  deep_depth?: number;
   fail_on_command_event?: boolean;
+  schema_mode?: string;
+  include_domains?: string[];
+  exclude_domains?: string[];
+  strict_domains?: boolean;
+  verify_sources?: string;
+  escalate_below_confidence?: number;
+  escalate_min_sources?: number;
+  escalation?: Array<{ model?: string; timeout_sec?: number }>;
+  follow_up_of?: string;
+  debug_dir?: string;
+  output_schema?: unknown;
+  cache?: string;
+  cache_ttl_sec?: number;
+  max_attempts?: number;
+  retry_backoff_sec?: number;
+  retry_on?: string[];
+  max_question_input_tokens?: number;
+  max_question_output_tokens?: number;
+  max_batch_input_tokens?: number;
+  max_batch_output_tokens?: number;
+  output_format?: string;
+  batch_timeout_sec?: number;
+  fail_fast?: boolean;
+  dedupe?: boolean;
+  dedupe_similarity?: number;
+};
+
+type CodexSearchResult = { ok: boolean; text: string; details: Record<string, unknown> };
+
+type CodexSearchProgressEvent = { type: "question" | "batch" | "deep"; phase: string } & Record<string, unknown>;
+
+const questionOverrideParams = {
+  as_of_period: Type.Optional(Type.String({ description: "Time period: early|mid|late (default: early)" })),
+  as_of_year: Type.Optional(Type.Number({ description: "Reference year for recency framing (default: current UTC year)" })),
+  as_of: Type.Optional(
+    Type.String({ description: "Exact as-of date YYYY-MM-DD; replaces as_of_period/as_of_year in the prompt" })
+  ),
+  published_after: Type.Optional(
+    Type.String({ description: "Only use sources published on or after this date (YYYY-MM-DD)" })
+  ),
+  published_before: Type.Optional(
+    Type.String({ description: "Only use sources published on or before this date (YYYY-MM-DD)" })
+  ),
+  recency: Type.Optional(
+    Type.String({
+      description:
+        'Relative window ending today (or at as_of), e.g. "last 30 days", "past 2 weeks", "last year"; fills published_after/published_before'
+    })
+  ),
+  model: Type.Optional(Type.String({ description: "Codex model override (default: codexSearch.model setting or Codex default)" })),
+  backend: Type.Optional(
+    Type.String({
+      description:
+        "Search backend: codex-cli|openai-http (default: codex-cli, or PI_CODEX_SEARCH_BACKEND)"
+    })
+  ),
+  timeout_sec: Type.Optional(Type.Number({ description: "Timeout in seconds (default: 1800 or codexSearch.timeout_sec setting, max: 7200)" })),
+  max_sources: Type.Optional(Type.Number({ description: "Maximum number of source URLs to return (default: 8 or codexSearch.max_sources setting)" })),
+  schema_mode: Type.Optional(
+    Type.String({
+      description: "Result schema: basic|claims (default: basic). claims adds per-claim source citations"
+    })
+  ),
+  include_domains: Type.Optional(
+    Type.Array(Type.String(), {
+      description: "Only use sources from these domains and their subdomains (e.g. nodejs.org, rfc-editor.org)"
+    })
+  ),
+  exclude_domains: Type.Optional(
+    Type.Array(Type.String(), { description: "Never use sources from these domains and their subdomains" })
+  ),
+  strict_domains: Type.Optional(
+    Type.Boolean({
+      description: "If true, fail when Codex opens a page outside the domain policy instead of warning (default: false)"
+    })
+  ),
+  verify_sources: Type.Optional(
+    Type.String({
+      description:
+        "Source verification: off|trace (flag sources never opened during the search)|http (also check each URL with HEAD/GET) (default: off)"
+    })
+  ),
+  max_attempts: Type.Optional(
+    Type.Number({ description: "Attempts per question including retries of transient failures (default: 2, max: 5)" })
+  )
 };
 
 export default function (pi: ExtensionAPI) {
+  const cache = createSearchCache();
+  const history = createSearchHistory();
+  const debugTraces = createDebugTraces();
+  const createSessionBudget = () => createUsageBudget({ scope: "session", limits: resolveSessionTokenLimits() });
+  let sessionBudget = createSessionBudget();
+  let sessionResults = createSessionResults();
+
+  const activeSearches = new Set<AbortController>();
+  let lastResult: CodexSearchResult | undefined;
+  let nextSearchId = 1;
+
+  pi.on("session_start", () => {
+    sessionBudget = createSessionBudget();
+    sessionResults = createSessionResults();
+  });
+
+  pi.on("session_shutdown", () => {
+    for (const controller of activeSearches) controller.abort();
+  });
+
   pi.registerTool({
     name: "codex_search",
     label: "Codex Search",
     description:
       "Run one or more Codex web searches in read-only mode with strict JSON schema output. Multiple questions run in parallel.",
     parameters: Type.Object({
-      questions: Type.Array(Type.String({ minLength: 1 }), {
-        minItems: 1,
-        description:
-          "Questions to research. A single question runs once; multiple questions run in parallel."
-      }),
-      as_of_period: Type.Optional(Type.String({ description: "Time period: early|mid|late (default: early)" })),
-      as_of_year: Type.Optional(Type.Number({ description: "Reference year for recency framing (default: current UTC year)" })),
-      model: Type.Optional(Type.String({ description: "Optional Codex model override" })),
-      timeout_sec: Type.Optional(Type.Number({ description: "Timeout in seconds (default: 1800, max: 7200)" })),
-      max_sources: Type.Optional(Type.Number({ description: "Maximum number of source URLs to return (default: 8)" })),
-      parallelism: Type.Optional(Type.Number({ description: "Parallel workers for batch runs (default: auto, max: 5)" })),
+      questions: Type.Array(
+        Type.Union([
+          Type.String({ minLength: 1 }),
+          Type.Object({
+            question: Type.String({ minLength: 1 }),
+            priority: Type.Optional(Type.Number({ description: "Higher priorities start first (default: 0)" })),
+            ...questionOverrideParams
+          })
+        ]),
+        {
+          minItems: 1,
+          description:
+            "Questions to research, as strings or { question, priority, ...overrides } objects whose model, as_of_*, timeout_sec, max_sources, domain and verification fields override the batch params. A single question runs once; multiple questions run in parallel, highest priority first."
+        }
+      ),
+      ...questionOverrideParams,
+      parallelism: Type.Optional(Type.Number({ description: "Parallel workers for batch runs (default: auto, max: 5 or codexSearch.max_parallelism setting)" })),
+      synthesize: Type.Optional(
+        Type.Boolean({
+          description:
+            "For batch runs, combine the successful results into one answer and list contradictions (default: false)"
+        })
+      ),
+      mode: Type.Optional(
+        Type.String({
+          description:
+            "Search mode: standard|deep (default: standard). deep splits one question into sub-questions, researches them in parallel and synthesizes one answer"
+        })
+      ),
+      deep_breadth: Type.Optional(Type.Number({ description: "Deep mode: sub-questions per round (default: 4, max: 8)" })),
+      deep_depth: Type.Optional(
+        Type.Number({ description: "Deep mode: planning rounds, each building on earlier findings (default: 1, max: 3)" })
+      ),
       fail_on_command_event: Type.Optional(
         Type.Boolean({ description: "If true, fail when Codex JSONL shows command-like events (default: true)" })
+      ),
+      escalate_below_confidence: Type.Optional(
+        Type.Number({ description: "Escalate when the returned confidence is below this threshold (0-1)" })
+      ),
+      escalate_min_sources: Type.Optional(
+        Type.Number({ description: "Escalate when fewer than this many sources are returned (max: 20)" })
+      ),
+      escalation: Type.Optional(
+        Type.Array(
+          Type.Object({
+            model: Type.Optional(Type.String({ description: "Model for this step (default: the run's model)" })),
+            timeout_sec: Type.Optional(Type.Number({ description: "Timeout for this step (default: the run's timeout)" }))
+          }),
+          {
+            description:
+              "Escalation chain tried in order while escalate_below_confidence or escalate_min_sources is not met (max: 3 steps)"
+          }
+        )
+      ),
+      output_schema: Type.Optional(
+        Type.Unknown({
+          description:
+            "JSON Schema for extra structured data returned in details.structured.data (e.g. a version table). Objects need additionalProperties: false and every property in required"
+        })
+      ),
+      follow_up_of: Type.Optional(
+        Type.String({
+          description:
+            "Continue earlier research: a result id from this session or search history, or last for the previous result. Its answer, sources and searches are added to the prompt"
+        })
+      ),
+      debug_dir: Type.Optional(
+        Type.String({
+          description:
+            "Keep raw debug traces (JSONL events, stderr, prompt, schema, output) for this call under this directory (default: PI_CODEX_SEARCH_DEBUG_DIR, off when unset)"
+        })
+      ),
+      cache: Type.Optional(
+        Type.String({ description: "Result cache mode: use|refresh|bypass (default: use)" })
+      ),
+      cache_ttl_sec: Type.Optional(
+        Type.Number({ description: "Maximum age of a cached result in seconds (default: 21600, max: 604800)" })
+      ),
+      retry_backoff_sec: Type.Optional(
+        Type.Number({ description: "Delay before the first retry in seconds, doubled on each further retry (default: 5)" })
+      ),
+      retry_on: Type.Optional(
+        Type.Array(Type.String(), {
+          description:
+            "Failure reasons that trigger a retry (default: non_zero_exit, no_final_output, invalid_structured_output)"
+        })
+      ),
+      max_question_input_tokens: Type.Optional(
+        Type.Number({ description: "Input token budget per question; a run whose streamed usage crosses it is cancelled with reason budget_exceeded (default: none)" })
+      ),
+      max_question_output_tokens: Type.Optional(
+        Type.Number({ description: "Output token budget per question; a run whose streamed usage crosses it is cancelled with reason budget_exceeded (default: none)" })
+      ),
+      max_batch_input_tokens: Type.Optional(
+        Type.Number({ description: "Input token budget for the whole call; no new questions start once it is spent (default: none)" })
+      ),
+      max_batch_output_tokens: Type.Optional(
+        Type.Number({ description: "Output token budget for the whole call; no new questions start once it is spent (default: none)" })
+      ),
+      batch_timeout_sec: Type.Optional(
+        Type.Number({
+          description:
+            "Wall-clock limit for the whole call in seconds; running questions are cancelled and pending ones are not started (default: none, max: 86400)"
+        })
+      ),
+      fail_fast: Type.Optional(
+        Type.Boolean({ description: "Cancel the remaining questions as soon as one fails (default: false)" })
+      ),
+      dedupe: Type.Optional(
+        Type.Boolean({
+          description:
+            "Run repeated questions (same text after normalizing case, whitespace and trailing punctuation) once and share the result (default: true)"
+        })
+      ),
+      dedupe_similarity: Type.Optional(
+        Type.Number({
+          description:
+            "Also collapse near-duplicate questions whose overlap of consecutive word pairs (0-1) reaches this threshold, e.g. 0.8 (default: none, exact duplicates only)"
+        })
+      ),
+      output_format: Type.Optional(
+        Type.String({
+          description:
+            "Result text format: text|markdown|json (default: text). json returns the versioned export document"
+        })
       )
     }),
-    async execute(_toolCallId, rawParams, signal, onUpdate) {
+    async execute(_toolCallId, rawParams, signal, onUpdate, ctx) {
       const params = rawParams as CodexSearchParams;
       const result = await runCodexSearch(params, {
         signal,
-        onUpdate: (text: string) => {
-          onUpdate?.({ content: [{ type: "text", text }] });
+        config: await loadCodexSearchConfig({ cwd: ctx.cwd }),
+        cache,
+        history,
+        debugTraces,
+        cwd: ctx.cwd,
+        session: sessionResults,
+        budget: sessionBudget,
+        onProgress: (event: CodexSearchProgressEvent) => {
+          onUpdate?.({ content: [{ type: "text", text: formatProgressEvent(event) }], details: { progress: event } });
         }
       });
 
+      lastResult = result;
+
       return {
         content: [{ type: "text", text: result.text }],
         details: result.details
@@ -53,25 +325,154 @@ export default function (pi: ExtensionAPI) {
   });
 
   pi.registerCommand("codex-search", {
-    description: "Run Codex-backed web search (usage: /codex-search <question> [|| <question2> ...])",
+    description: `Run Codex-backed web search (usage: ${SEARCH_COMMAND_USAGE}; --help for flags)`,
     handler: async (args, ctx) => {
-      const questions = normalizeQuestions((args || "").split("||"));
-      if (!questions.length) {
-        ctx.ui.notify("Usage: /codex-search <question> [|| <question2> ...]", "error");
+      const parsed = parseSearchCommandArgs(args);
+      if (parsed.help) {
+        ctx.ui.notify(SEARCH_COMMAND_HELP, "info");
         return;
       }
+      if (parsed.error) {
+        ctx.ui.notify(parsed.error, "error");
+        return;
+      }
+
+      const { questions } = parsed.params;
+      const controller = new AbortController();
+      const progressKey = `codex-search-${nextSearchId++}`;
+      activeSearches.add(controller);
 
-      ctx.ui.notify(`Running ${questions.length} Codex search${questions.length === 1 ? "" : "es"}...`, "info");
-      const result = await runCodexSearch({ questions });
+      ctx.ui.notify(
+        `Running ${questions.length} Codex search${questions.length === 1 ? "" : "es"}... (/codex-search-cancel to stop)`,
+        "info"
+      );
+      ctx.ui.setStatus(progressKey, "codex-search: starting");
+
+      let result;
+      try {
+        result = await runCodexSearch(parsed.params, {
+          signal: controller.signal,
+          config: await loadCodexSearchConfig({ cwd: ctx.cwd }),
+          cache,
+          history,
+          debugTraces,
+          cwd: ctx.cwd,
+          session: sessionResults,
+          budget: sessionBudget,
+          onProgress: (event: CodexSearchProgressEvent) => {
+            const text = formatProgressEvent(event);
+            const lines = text.split("\n");
+            if (event.type === "question" && event.phase === "prompt") {
+              ctx.ui.setStatus(progressKey, "codex-search: prompt prepared");
+            } else if (lines.length > 1) {
+              ctx.ui.setWidget(progressKey, lines);
+            } else {
+              ctx.ui.setStatus(progressKey, `codex-search: ${text}`);
+            }
+          }
+        });
+      } finally {
+        activeSearches.delete(controller);
+        ctx.ui.setWidget(progressKey, undefined);
+        ctx.ui.setStatus(progressKey, undefined);
+      }
+
+      lastResult = result;
+      const output = parsed.json ? JSON.stringify({ ok: result.ok, details: result.details }, null, 2) : result.text;
+
+      if (controller.signal.aborted) {
+        ctx.ui.notify("Codex search cancelled", "warning");
+        ctx.ui.setEditorText(output);
+        return;
+      }
 
       if (!result.ok) {
         ctx.ui.notify("Codex search failed", "error");
-        ctx.ui.setEditorText(result.text);
+        ctx.ui.setEditorText(output);
         return;
       }
 
       ctx.ui.notify("Codex search complete", "success");
-      ctx.ui.setEditorText(result.text);
+      ctx.ui.setEditorText(output);
+    }
+  });
+
+  pi.registerCommand("codex-search-cancel", {
+    description: "Cancel running /codex-search commands and stop their Codex processes",
+    handler: async (_args, ctx) => {
+      if (!activeSearches.size) {
+        ctx.ui.notify("No Codex search is running", "info");
+        return;
+      }
+
+      const count = activeSearches.size;
+      for (const controller of activeSearches) controller.abort();
+      ctx.ui.notify(`Cancelling ${count} Codex search${count === 1 ? "" : "es"}...`, "warning");
+    }
+  });
+
+  pi.registerCommand("codex-search-export", {
+    description:
+      "Write the last Codex search result (or a history entry) to a Markdown or JSON file (usage: /codex-search-export [path] [--format markdown|json] [--id <history id>])",
+    handler: async (args, ctx) => {
+      const parsed = parseExportArgs(args);
+      if (parsed.error) {
+        ctx.ui.notify(parsed.error, "error");
+        return;
+      }
+
+      let document;
+      if (parsed.id) {
+        const record = await history.get(parsed.id);
+        if (!record) {
+          ctx.ui.notify(`No Codex search with id ${parsed.id} in history`, "error");
+          return;
+        }
+        document = buildExportDocumentFromHistory(record);
+      } else if (lastResult) {
+        document = buildExportDocument(lastResult);
+      } else {
+        ctx.ui.notify("No Codex search result to export yet (use --id to export from history)", "error");
+        return;
+      }
+
+      try {
+        const path = await writeExportFile({
+          document,
+          format: parsed.format,
+          path: parsed.path || defaultExportFileName(parsed.format),
+          cwd: ctx.cwd
+        });
+        ctx.ui.notify(`Exported Codex search ${parsed.format === "json" ? "JSON" : "report"} to ${path}`, "success");
+      } catch (error) {
+        ctx.ui.notify(`Export failed: ${error instanceof Error ? error.message : String(error)}`, "error");
+      }
+    }
+  });
+
+  pi.registerCommand("codex-search-history", {
+    description:
+      "Browse past Codex searches and re-insert a result (usage: /codex-search-history [text] [status:ok|failed] [since:YYYY-MM-DD] [until:YYYY-MM-DD] [limit:N])",
+    handler: async (args, ctx) => {
+      const parsed = parseHistoryFilter(args);
+      if (parsed.error) {
+        ctx.ui.notify(parsed.error, "error");
+        return;
+      }
+
+      const records = await history.list(parsed.filter);
+      if (!records.length) {
+        ctx.ui.notify("No matching Codex searches in history", "info");
+        return;
+      }
+
+      const lines = records.map((record) => formatHistoryLine(record));
+      const choice = await ctx.ui.select(`Codex search history (${records.length})`, lines);
+      if (choice === undefined) return;
+
+      const record = records[lines.indexOf(choice)];
+      ctx.ui.setEditorText(record.text);
+      ctx.ui.notify(`Inserted Codex search result from ${record.recordedAt}`, "info");
     }
   });
 }
@@ -0,0 +1,319 @@
+import { spawn } from "node:child_process";
+import { mkdtemp, readFile, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+export const DEFAULT_BACKEND = "codex-cli";
+export const SEARCH_BACKENDS = ["codex-cli", "openai-http"];
+export const DEFAULT_HTTP_BASE_URL = "https://api.openai.com/v1";
+export const DEFAULT_HTTP_MODEL = "gpt-4o-search-preview";
+const DEFAULT_KILL_GRACE_MS = 1500;
+
+export function normalizeBackendName(value) {
+  const name = typeof value === "string" ? value.trim().toLowerCase() : "";
+  if (!name) return DEFAULT_BACKEND;
+  return SEARCH_BACKENDS.includes(name) ? name : null;
+}
+
+function createLineReader(onLine) {
+  let buffer = "";
+  return {
+    push(text) {
+      buffer += text;
+      let index = buffer.indexOf("\n");
+      while (index !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 1);
+        onLine(line);
+        index = buffer.indexOf("\n");
+      }
+    },
+    flush() {
+      if (buffer.trim()) onLine(buffer);
+      buffer = "";
+    }
+  };
+}
+
+function parseEventLine(line) {
+  if (!line.trim()) return null;
+  try {
+    return JSON.parse(line);
+  } catch {
+    return null;
+  }
+}
+
+export function createCodexCliBackend(config = {}) {
+  const env = config.env || process.env;
+  const command = config.command || env.PI_CODEX_SEARCH_CODEX_BIN?.trim() || "codex";
+  const killGraceMs = Number.isFinite(config.killGraceMs) ? config.killGraceMs : DEFAULT_KILL_GRACE_MS;
+
+  return {
+    name: "codex-cli",
+    label: "codex",
+    command,
+
+    async run(request, hooks = {}) {
+      const tempDir = await mkdtemp(join(tmpdir(), "pi-codex-search-"));
+      const schemaPath = join(tempDir, "schema.json");
+      const outputPath = join(tempDir, "output.json");
+
+      try {
+        await writeFile(schemaPath, JSON.stringify(request.schema, null, 2), "utf8");
+
+        const args = [
+          ...(request.search === false ? [] : ["--search"]),
+          "exec",
+          "--ephemeral",
+          "--skip-git-repo-check",
+          "--sandbox",
+          "read-only",
+          "--json",
+          "--output-schema",
+          schemaPath,
+          "-o",
+          outputPath
+        ];
+
+        if (request.model?.trim()) {
+          args.push("--model", request.model.trim());
+        }
+
+        args.push(request.prompt);
+
+        const child = spawn(command, args, {
+          stdio: ["ignore", "pipe", "pipe"],
+          env
+        });
+
+        let stdout = "";
+        let stderr = "";
+        let timedOut = false;
+        let aborted = false;
+
+        const lines = createLineReader((line) => {
+          const event = parseEventLine(line);
+          if (event) hooks.onEvent?.(event);
+        });
+
+        child.stdout.on("data", (chunk) => {
+          const text = String(chunk);
+          stdout += text;
+          lines.push(text);
+        });
+
+        child.stderr.on("data", (chunk) => {
+          stderr += String(chunk);
+        });
+
+        const terminate = () => {
+          child.kill("SIGTERM");
+          setTimeout(() => child.kill("SIGKILL"), killGraceMs).unref();
+        };
+
+        const timeoutTimer = setTimeout(() => {
+          timedOut = true;
+          hooks.onAction?.(`timeout after ${request.timeoutSec}s`);
+          terminate();
+        }, request.timeoutSec * 1000);
+
+        const abortListener = () => {
+          aborted = true;
+          hooks.onAction?.("aborted");
+          terminate();
+        };
+
+        if (hooks.signal) {
+          if (hooks.signal.aborted) abortListener();
+          else hooks.signal.addEventListener("abort", abortListener, { once: true });
+        }
+
+        const exitCode = await new Promise((resolve, reject) => {
+          child.once("error", (error) => {
+            reject(error);
+          });
+          child.once("close", (code) => {
+            resolve(code ?? -1);
+          });
+        }).finally(() => {
+          clearTimeout(timeoutTimer);
+          if (hooks.signal) hooks.signal.removeEventListener("abort", abortListener);
+        });
+
+        lines.flush();
+
+        let finalText = "";
+        try {
+          finalText = await readFile(outputPath, "utf8");
+        } catch {
+          finalText = "";
+        }
+
+        return { exitCode, stdout, stderr, finalText, timedOut, aborted };
+      } finally {
+        await rm(tempDir, { recursive: true, force: true });
+      }
+    }
+  };
+}
+
+function toCodexUsage(usage) {
+  if (!usage || typeof usage !== "object") return null;
+  return {
+    input_tokens: usage.prompt_tokens ?? usage.input_tokens ?? 0,
+    cached_input_tokens: usage.prompt_tokens_details?.cached_tokens ?? 0,
+    output_tokens: usage.completion_tokens ?? usage.output_tokens ?? 0
+  };
+}
+
+function citationEvents(message) {
+  const annotations = Array.isArray(message?.annotations) ? message.annotations : [];
+  const seen = new Set();
+  const events = [];
+
+  for (const annotation of annotations) {
+    const url = annotation?.url_citation?.url;
+    if (typeof url !== "string" || seen.has(url)) continue;
+    seen.add(url);
+    events.push({
+      type: "item.completed",
+      item: { type: "web_search", query: url, action: { type: "open_page", url } }
+    });
+  }
+
+  return events;
+}
+
+function schemaForResponseFormat(schema) {
+  const { $schema: _schema, ...rest } = schema || {};
+  return rest;
+}
+
+export function createOpenAiHttpBackend(config = {}) {
+  const baseUrl = String(config.baseUrl || DEFAULT_HTTP_BASE_URL).replace(/\/+$/, "");
+  const apiKey = config.apiKey || "";
+  const defaultModel = config.model || DEFAULT_HTTP_MODEL;
+  const fetchImpl = config.fetch || globalThis.fetch;
+
+  return {
+    name: "openai-http",
+    label: "openai-http",
+    baseUrl,
+
+    async run(request, hooks = {}) {
+      const events = [];
+      const emitEvent = (event) => {
+        events.push(event);
+        hooks.onEvent?.(event);
+      };
+
+      const controller = new AbortController();
+      let timedOut = false;
+      let aborted = false;
+
+      const timeoutTimer = setTimeout(() => {
+        timedOut = true;
+        hooks.onAction?.(`timeout after ${request.timeoutSec}s`);
+        controller.abort();
+      }, request.timeoutSec * 1000);
+
+      const abortListener = () => {
+        aborted = true;
+        hooks.onAction?.("aborted");
+        controller.abort();
+      };
+
+      if (hooks.signal) {
+        if (hooks.signal.aborted) abortListener();
+        else hooks.signal.addEventListener("abort", abortListener, { once: true });
+      }
+
+      let exitCode = 0;
+      let stderr = "";
+      let finalText = "";
+
+      try {
+        emitEvent({ type: "thread.started" });
+        emitEvent({ type: "turn.started" });
+
+        const response = await fetchImpl(`${baseUrl}/chat/completions`, {
+          method: "POST",
+          headers: {
+            "content-type": "application/json",
+            ...(apiKey ? { authorization: `Bearer ${apiKey}` } : {})
+          },
+          body: JSON.stringify({
+            model: request.model?.trim() || defaultModel,
+            messages: [
+              {
+                role: "system",
+                content: "You are a research assistant. Answer with JSON that matches the provided schema."
+              },
+              { role: "user", content: request.prompt }
+            ],
+            response_format: {
+              type: "json_schema",
+              json_schema: { name: "codex_search_result", strict: true, schema: schemaForResponseFormat(request.schema) }
+            }
+          }),
+          signal: controller.signal
+        });
+
+        const bodyText = await response.text();
+        if (!response.ok) {
+          exitCode = 1;
+          stderr = `HTTP ${response.status}: ${bodyText.slice(0, 2000)}`;
+          emitEvent({ type: "error", message: stderr });
+        } else {
+          const body = JSON.parse(bodyText);
+          const message = body?.choices?.[0]?.message;
+          for (const event of citationEvents(message)) emitEvent(event);
+
+          finalText = typeof message?.content === "string" ? message.content : "";
+          emitEvent({ type: "item.completed", item: { type: "agent_message", text: finalText } });
+          emitEvent({ type: "turn.completed", usage: toCodexUsage(body?.usage) });
+        }
+      } catch (error) {
+        exitCode = timedOut || aborted ? -1 : 1;
+        stderr = error instanceof Error ? error.message : String(error);
+      } finally {
+        clearTimeout(timeoutTimer);
+        if (hooks.signal) hooks.signal.removeEventListener("abort", abortListener);
+      }
+
+      const stdout = events.map((event) => JSON.stringify(event)).join("\n");
+      return { exitCode, stdout: stdout ? `${stdout}\n` : "", stderr, finalText, timedOut, aborted };
+    }
+  };
+}
+
+export function resolveHttpBackendSettings(config = {}) {
+  const env = config.env || process.env;
+  return {
+    baseUrl: String(config.httpBaseUrl || env.PI_CODEX_SEARCH_HTTP_BASE_URL || DEFAULT_HTTP_BASE_URL).replace(/\/+$/, ""),
+    model: config.httpModel || env.PI_CODEX_SEARCH_HTTP_MODEL || DEFAULT_HTTP_MODEL
+  };
+}
+
+export function resolveSearchBackend(name, config = {}) {
+  const env = config.env || process.env;
+  const requested = typeof name === "string" && name.trim() ? name : env.PI_CODEX_SEARCH_BACKEND;
+  const backendName = normalizeBackendName(requested);
+
+  if (backendName === "openai-http") {
+    const http = resolveHttpBackendSettings(config);
+    return createOpenAiHttpBackend({
+      baseUrl: http.baseUrl,
+      apiKey: config.httpApiKey || env.PI_CODEX_SEARCH_HTTP_API_KEY || env.OPENAI_API_KEY,
+      model: http.model,
+      fetch: config.fetch
+    });
+  }
+
+  if (backendName === "codex-cli") {
+    return createCodexCliBackend({ command: config.codexBin, killGraceMs: config.killGraceMs, env });
+  }
+
+  return null;
+}
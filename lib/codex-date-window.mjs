@@ -0,0 +1,195 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+const PERIOD_MONTHS = { early: [0, 3], mid: [4, 7], late: [8, 11] };
+const QUARTER_MONTHS = { 1: [0, 2], 2: [3, 5], 3: [6, 8], 4: [9, 11] };
+const RELATIVE_WINDOW_PATTERN = /^(?:last|past)\s+(?:(\d+)\s+)?(day|week|month|year)s?$/i;
+
+function toIsoDate(time) {
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+function utcDay(year, month, day) {
+  const time = Date.UTC(year, month, day);
+  const date = new Date(time);
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month && date.getUTCDate() === day ? time : null;
+}
+
+function monthRange(year, firstMonth, lastMonth = firstMonth) {
+  return { start: Date.UTC(year, firstMonth, 1), end: Date.UTC(year, lastMonth + 1, 1) - DAY_MS };
+}
+
+export function parseIsoDate(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value ?? "").trim());
+  if (!match) return null;
+  const time = utcDay(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  return time === null ? null : toIsoDate(time);
+}
+
+export function parseRelativeWindow(value, now = Date.now()) {
+  const match = RELATIVE_WINDOW_PATTERN.exec(String(value ?? "").trim().replace(/\s+/g, " "));
+  if (!match) return null;
+  const count = match[1] ? Number(match[1]) : 1;
+  if (!Number.isInteger(count) || count < 1 || count > 3650) return null;
+
+  const unit = match[2].toLowerCase();
+  const end = new Date(toIsoDate(now));
+  const start = new Date(end);
+  if (unit === "day") start.setUTCDate(start.getUTCDate() - count);
+  if (unit === "week") start.setUTCDate(start.getUTCDate() - count * 7);
+  if (unit === "month") start.setUTCMonth(start.getUTCMonth() - count);
+  if (unit === "year") start.setUTCFullYear(start.getUTCFullYear() - count);
+
+  return {
+    label: `last ${count} ${unit}${count === 1 ? "" : "s"}`,
+    after: toIsoDate(start.getTime()),
+    before: toIsoDate(end.getTime())
+  };
+}
+
+function readDate(params, key, errors) {
+  const raw = params[key];
+  if (raw === undefined || raw === null || raw === "") return null;
+  const date = parseIsoDate(raw);
+  if (!date) errors.push(`${key} must be an ISO date (YYYY-MM-DD) (got ${JSON.stringify(raw)})`);
+  return date;
+}
+
+export function resolveDateWindow(params = {}, options = {}) {
+  const now = typeof options.now === "function" ? options.now() : Date.now();
+  const errors = [];
+
+  let recency = typeof params.recency === "string" && params.recency.trim() ? params.recency.trim() : null;
+  const period = typeof params.as_of_period === "string" ? params.as_of_period.trim().toLowerCase() : "";
+  if (period && !Object.hasOwn(PERIOD_MONTHS, period)) {
+    if (!recency && parseRelativeWindow(period, now)) {
+      recency = period;
+    } else {
+      errors.push(
+        `as_of_period must be early|mid|late (got ${JSON.stringify(params.as_of_period)}); use as_of, published_after/published_before or recency for exact windows`
+      );
+    }
+  }
+
+  const asOf = readDate(params, "as_of", errors);
+  let after = readDate(params, "published_after", errors);
+  let before = readDate(params, "published_before", errors);
+
+  let relative = null;
+  if (recency) {
+    const anchor = asOf ? Date.parse(`${asOf}T00:00:00.000Z`) : now;
+    relative = parseRelativeWindow(recency, anchor);
+    if (!relative) {
+      errors.push(`recency must look like "last 30 days", "past 2 weeks" or "last year" (got ${JSON.stringify(recency)})`);
+    } else {
+      after = after ?? relative.after;
+      before = before ?? relative.before;
+    }
+  }
+
+  if (after && before && after > before) {
+    errors.push(`published_after (${after}) must not be later than published_before (${before})`);
+  }
+  if (asOf && after && asOf < after) {
+    errors.push(`as_of (${asOf}) must not be earlier than published_after (${after})`);
+  }
+
+  if (errors.length) return { window: null, errors };
+  if (!asOf && !after && !before) return { window: null, errors };
+
+  return {
+    window: {
+      as_of: asOf,
+      published_after: after,
+      published_before: before,
+      recency: relative?.label ?? null
+    },
+    errors
+  };
+}
+
+export function formatDateWindowLabel(window) {
+  if (window.published_after && window.published_before) {
+    return `${window.published_after} to ${window.published_before}`;
+  }
+  if (window.published_after) return `on or after ${window.published_after}`;
+  if (window.published_before) return `on or before ${window.published_before}`;
+  return `as of ${window.as_of}`;
+}
+
+export function formatDateWindowPrompt(window, options = {}) {
+  const search = options.search !== false;
+  const lines = [];
+  if (window.as_of) {
+    lines.push(
+      search
+        ? `Search for the latest available information as of ${window.as_of}.`
+        : `The research targets the latest available information as of ${window.as_of}.`,
+      `Describe the state of things on ${window.as_of} and ignore anything that happened after it.`
+    );
+  } else if (search) {
+    lines.push("Search for the latest available information.");
+  }
+
+  if (window.published_after && window.published_before) {
+    lines.push(`Only use sources published between ${window.published_after} and ${window.published_before}.`);
+  } else if (window.published_after) {
+    lines.push(`Only use sources published on or after ${window.published_after}.`);
+  } else if (window.published_before) {
+    lines.push(`Only use sources published on or before ${window.published_before}.`);
+  }
+
+  if (search) lines.push("Set the as_of field to the date (YYYY-MM-DD) or month (YYYY-MM) that the answer reflects.");
+  return lines;
+}
+
+export function parseReportedAsOf(value) {
+  const text = String(value ?? "").trim().toLowerCase();
+  if (!text) return null;
+
+  let match = /(\d{4})-(\d{2})-(\d{2})/.exec(text);
+  if (match) {
+    const time = utcDay(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+    if (time !== null) return { start: time, end: time };
+  }
+
+  match = /(\d{4})-(\d{2})(?!\d)/.exec(text);
+  if (match && Number(match[2]) >= 1 && Number(match[2]) <= 12) return monthRange(Number(match[1]), Number(match[2]) - 1);
+
+  match = /\b([a-z]{3})[a-z]*\.?\s+(?:(\d{1,2})(?:st|nd|rd|th)?,?\s+)?(\d{4})\b/.exec(text);
+  if (match && MONTHS.includes(match[1])) {
+    const month = MONTHS.indexOf(match[1]);
+    if (match[2]) {
+      const time = utcDay(Number(match[3]), month, Number(match[2]));
+      if (time !== null) return { start: time, end: time };
+    }
+    return monthRange(Number(match[3]), month);
+  }
+
+  match = /\b(early|mid|late)[\s-]+(\d{4})\b/.exec(text);
+  if (match) return monthRange(Number(match[2]), ...PERIOD_MONTHS[match[1]]);
+
+  match = /\bq([1-4])[\s-]+(\d{4})\b/.exec(text);
+  if (match) return monthRange(Number(match[2]), ...QUARTER_MONTHS[match[1]]);
+
+  match = /\b(\d{4})\b/.exec(text);
+  if (match) return monthRange(Number(match[1]), 0, 11);
+
+  return null;
+}
+
+export function checkReportedAsOf(reported, window) {
+  const range = parseReportedAsOf(reported);
+  if (!range) return { reported, status: "unknown", start: null, end: null };
+
+  const windowStart = window.published_after ? Date.parse(`${window.published_after}T00:00:00.000Z`) : null;
+  const windowEndDate = window.as_of ?? window.published_before;
+  const windowEnd = windowEndDate ? Date.parse(`${windowEndDate}T00:00:00.000Z`) : null;
+  const outside = (windowStart !== null && range.end < windowStart) || (windowEnd !== null && range.start > windowEnd);
+
+  return {
+    reported,
+    status: outside ? "outside" : "inside",
+    start: toIsoDate(range.start),
+    end: toIsoDate(range.end)
+  };
+}
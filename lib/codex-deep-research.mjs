@@ -0,0 +1,291 @@
+import { resolveDateWindow } from "./codex-date-window.mjs";
+import { normalizeQuestions, resolveDeepLimits } from "./codex-runner.mjs";
+import {
+  addUsage,
+  createUsageBudget,
+  estimateCostUsd,
+  formatBudgetExceeded,
+  formatUsageLine,
+  resolvePriceTable,
+  resolveTokenLimits,
+  sumEntryCostUsd,
+  sumEntryUsage
+} from "./codex-search-budget.mjs";
+import { mergeResultSources, runCodexDecomposition, runCodexSynthesis } from "./codex-synthesis.mjs";
+
+function passParams(params, options) {
+  return {
+    as_of_period: params.as_of_period,
+    as_of_year: params.as_of_year,
+    date_window: resolveDateWindow(params, { now: options.now }).window,
+    model: params.model,
+    backend: params.backend,
+    timeout_sec: params.timeout_sec
+  };
+}
+
+export async function runDeepCodexSearch(params, options = {}) {
+  const questions = normalizeQuestions(params.questions);
+  if (questions.length !== 1) {
+    return {
+      ok: false,
+      text: "codex_search error: deep mode takes exactly one question",
+      details: { error: true, reason: "deep_mode_single_question", mode: "deep" }
+    };
+  }
+
+  const runBatch = options.runBatch;
+  const runDecomposition =
+    typeof options.runDecomposition === "function" ? options.runDecomposition : runCodexDecomposition;
+  const runSynthesis = typeof options.runSynthesis === "function" ? options.runSynthesis : runCodexSynthesis;
+
+  const question = questions[0];
+  const limits = resolveDeepLimits(params);
+  const state = { question, limits, phase: "planning", round: null, rounds: [], startedAt: Date.now(), nested: null };
+
+  const emitStatus = () => {
+    options.onProgress?.({
+      type: "deep",
+      phase: state.phase,
+      question,
+      round: state.round,
+      depth: limits.depth,
+      breadth: limits.breadth,
+      elapsedSeconds: Math.max(0, Math.floor((Date.now() - state.startedAt) / 1000)),
+      rounds: state.rounds.map(({ round, offset, subQuestions, planError }) => ({ round, offset, subQuestions, planError })),
+      nested: state.nested
+    });
+  };
+
+  const budget = createUsageBudget({
+    scope: "batch",
+    limits: resolveTokenLimits(params, "batch"),
+    parent: options.budget ?? null
+  });
+  let passUsage = null;
+
+  const entries = [];
+  const ranEntries = [];
+  const signal = options.callStop?.signal ?? options.signal;
+
+  for (let round = 1; round <= limits.depth; round += 1) {
+    if (signal?.aborted || budget.check()) break;
+
+    state.phase = "planning";
+    state.round = round;
+    emitStatus();
+
+    const findings = entries
+      .filter((entry) => entry.ok && entry.details?.structured)
+      .map((entry) => ({ question: entry.question, answer: entry.details.structured.answer }));
+
+    let plan;
+    try {
+      plan = await runDecomposition(
+        { ...passParams(params, options), question, breadth: limits.breadth, findings },
+        { signal }
+      );
+    } catch (error) {
+      plan = { ok: false, details: { reason: "runner_exception", message: error instanceof Error ? error.message : String(error) } };
+    }
+    budget.add(plan.details?.telemetry?.usage);
+    passUsage = addUsage(passUsage, plan.details?.telemetry?.usage);
+
+    const planRound = {
+      round,
+      offset: entries.length,
+      subQuestions: plan.ok ? plan.details.structured.subQuestions : [],
+      rationale: plan.ok ? plan.details.structured.rationale : "",
+      planError: plan.ok ? undefined : plan.details?.reason || "unknown"
+    };
+
+    if (!plan.ok) {
+      if (round > 1) {
+        state.rounds.push(planRound);
+        break;
+      }
+      planRound.subQuestions = [question];
+    }
+
+    if (!planRound.subQuestions.length) break;
+    state.rounds.push(planRound);
+
+    state.phase = "researching";
+    state.nested = null;
+    emitStatus();
+
+    const batch = await runBatch(
+      { ...params, mode: undefined, synthesize: false, questions: planRound.subQuestions },
+      {
+        ...options,
+        budget,
+        onProgress: (event) => {
+          if (event.phase === "prompt" || (event.type === "batch" && event.phase !== "running")) return;
+          state.nested = event;
+          emitStatus();
+        }
+      }
+    );
+
+    planRound.summary = batch.details?.summary;
+    planRound.runStates = batch.details?.runStates;
+
+    const roundEntries = Array.isArray(batch.details?.results)
+      ? batch.details.results
+      : [{ question: planRound.subQuestions[0], ok: batch.ok, text: batch.text, details: batch.details }];
+    entries.push(...roundEntries);
+    ranEntries.push(...roundEntries.filter((_, index) => (planRound.runStates?.[index]?.duplicateOf ?? null) === null));
+  }
+
+  const structuredResults = entries
+    .map((entry, index) => ({
+      number: index + 1,
+      question: entry.question,
+      structured: entry.ok ? entry.details?.structured : null
+    }))
+    .filter((result) => result.structured && typeof result.structured.answer === "string");
+
+  let synthesis = { ok: false, reason: "no_results" };
+  if (structuredResults.length && budget.check()) {
+    synthesis = {
+      ok: false,
+      reason: "budget_exceeded",
+      sources: mergeResultSources(structuredResults.map((entry) => entry.structured.sources)),
+      resultNumbers: structuredResults.map((entry) => entry.number)
+    };
+  } else if (structuredResults.length && signal?.aborted) {
+    synthesis = {
+      ok: false,
+      reason: options.callStop?.reason === "batch_timeout" ? "batch_timeout" : "aborted",
+      sources: mergeResultSources(structuredResults.map((entry) => entry.structured.sources)),
+      resultNumbers: structuredResults.map((entry) => entry.number)
+    };
+  } else if (structuredResults.length) {
+    state.phase = "synthesizing";
+    emitStatus();
+
+    let result;
+    try {
+      result = await runSynthesis(
+        { ...passParams(params, options), question, results: structuredResults },
+        { signal }
+      );
+    } catch (error) {
+      result = { ok: false, details: { reason: "runner_exception", message: error instanceof Error ? error.message : String(error) } };
+    }
+    budget.add(result.details?.telemetry?.usage);
+    passUsage = addUsage(passUsage, result.details?.telemetry?.usage);
+
+    const resultSources = structuredResults.map((entry) => entry.structured.sources);
+    synthesis = result.ok
+      ? {
+          ok: true,
+          answer: result.details.structured.answer,
+          contradictions: result.details.structured.contradictions,
+          confidence: result.details.structured.confidence,
+          notes: result.details.structured.notes,
+          sources: mergeResultSources([result.details.structured.sources, ...resultSources]),
+          resultNumbers: structuredResults.map((entry) => entry.number),
+          telemetry: result.details.telemetry,
+          elapsedSeconds: result.details.elapsedSeconds
+        }
+      : {
+          ok: false,
+          reason: result.details?.reason || "unknown",
+          sources: mergeResultSources(resultSources),
+          resultNumbers: structuredResults.map((entry) => entry.number),
+          details: result.details
+        };
+  }
+
+  state.phase = "done";
+  emitStatus();
+
+  const succeeded = entries.filter((entry) => entry.ok).length;
+  const usage = addUsage(sumEntryUsage(ranEntries), passUsage);
+  const priceTable = resolvePriceTable(options.priceTable);
+  const budgetExceeded = budget.check();
+  const summary = {
+    mode: "deep",
+    rounds: state.rounds.length,
+    subQuestions: entries.length,
+    succeeded,
+    failed: entries.length - succeeded,
+    breadth: limits.breadth,
+    depth: limits.depth,
+    elapsedSeconds: Math.max(0, Math.floor((Date.now() - state.startedAt) / 1000)),
+    usage,
+    estimatedCostUsd: sumEntryCostUsd(ranEntries, params.model, priceTable, [estimateCostUsd(passUsage, params.model, priceTable)]),
+    budget: { limits: budget.describeLimits(), exceeded: budgetExceeded },
+    ...(options.callStop?.reason === "batch_timeout" ? { stoppedBy: "batch_timeout" } : {})
+  };
+
+  const plan = state.rounds.map((round) => ({
+    round: round.round,
+    subQuestions: round.subQuestions,
+    rationale: round.rationale,
+    planError: round.planError,
+    summary: round.summary,
+    runStates: round.runStates
+  }));
+
+  const contradictionLines = synthesis.ok
+    ? synthesis.contradictions.map(
+        (entry) =>
+          `- ${entry.topic}${entry.result_numbers.length ? ` (sub-questions ${entry.result_numbers.join(", ")})` : ""}${entry.details ? `: ${entry.details}` : ""}`
+      )
+    : [];
+
+  const text = [
+    ...(synthesis.ok ? [synthesis.answer] : [`codex_search deep research: synthesis unavailable (${synthesis.reason})`]),
+    "",
+    `Question: ${question}`,
+    "",
+    "Research plan:",
+    ...state.rounds.flatMap((round) =>
+      round.subQuestions.map((subQuestion, i) => {
+        const entry = entries[round.offset + i];
+        return `${round.offset + i + 1}. [round ${round.round}] ${subQuestion} (${entry?.ok ? "ok" : "failed"})`;
+      })
+    ),
+    ...(synthesis.ok
+      ? [
+          "",
+          "Contradictions:",
+          ...(contradictionLines.length ? contradictionLines : ["(none)"]),
+          "",
+          `Confidence: ${synthesis.confidence}`
+        ]
+      : []),
+    "",
+    "Sources:",
+    ...(synthesis.sources?.length ? synthesis.sources.map((source, i) => `${i + 1}. ${source}`) : ["(none)"]),
+    ...(synthesis.ok && synthesis.notes ? ["", `Notes: ${synthesis.notes}`] : []),
+    "",
+    "Deep research summary",
+    `- rounds: ${summary.rounds}`,
+    `- sub-questions: ${summary.subQuestions}`,
+    `- succeeded: ${summary.succeeded}`,
+    `- failed: ${summary.failed}`,
+    `- elapsed: ${summary.elapsedSeconds}s`,
+    `- tokens: ${formatUsageLine(summary.usage)}`,
+    ...(summary.estimatedCostUsd !== null ? [`- estimated cost: $${summary.estimatedCostUsd.toFixed(4)}`] : []),
+    ...(budgetExceeded ? [`- budget: ${formatBudgetExceeded(budgetExceeded)}`] : []),
+    ...(summary.stoppedBy ? [`- stopped: the batch timeout (${options.callStop.timeoutSec}s) was reached`] : [])
+  ].join("\n");
+
+  const details = {
+    mode: "deep",
+    query: question,
+    summary,
+    plan,
+    results: entries,
+    synthesis
+  };
+
+  if (!succeeded) {
+    return { ok: false, text, details: { error: true, reason: "all_failed", ...details } };
+  }
+
+  return { ok: true, text, details: { ...details, partialFailure: summary.failed > 0 || !synthesis.ok } };
+}
@@ -0,0 +1,221 @@
+const JSON_TYPES = ["string", "number", "integer", "boolean", "object", "array", "null"];
+const SUPPORTED_KEYWORDS = new Set([
+  "$schema",
+  "title",
+  "description",
+  "type",
+  "properties",
+  "required",
+  "additionalProperties",
+  "items",
+  "enum",
+  "const",
+  "anyOf",
+  "minimum",
+  "maximum",
+  "exclusiveMinimum",
+  "exclusiveMaximum",
+  "minLength",
+  "maxLength",
+  "pattern",
+  "minItems",
+  "maxItems"
+]);
+const MAX_SCHEMA_DEPTH = 8;
+const MAX_SCHEMA_ERRORS = 20;
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+
+function schemaTypes(schema) {
+  if (schema.type === undefined) return [];
+  return Array.isArray(schema.type) ? schema.type : [schema.type];
+}
+
+function checkSchemaNode(schema, path, depth, errors) {
+  if (!isPlainObject(schema)) {
+    errors.push(`${path}: must be a JSON Schema object`);
+    return;
+  }
+  if (depth > MAX_SCHEMA_DEPTH) {
+    errors.push(`${path}: nested deeper than ${MAX_SCHEMA_DEPTH} levels`);
+    return;
+  }
+
+  for (const keyword of Object.keys(schema)) {
+    if (!SUPPORTED_KEYWORDS.has(keyword)) errors.push(`${path}: unsupported keyword "${keyword}"`);
+  }
+
+  if (schema.anyOf !== undefined) {
+    if (!Array.isArray(schema.anyOf) || schema.anyOf.length === 0) {
+      errors.push(`${path}.anyOf: must be a non-empty array of schemas`);
+    } else {
+      schema.anyOf.forEach((entry, index) => checkSchemaNode(entry, `${path}.anyOf[${index}]`, depth + 1, errors));
+    }
+    return;
+  }
+
+  const types = schemaTypes(schema);
+  if (!types.length && schema.enum === undefined && schema.const === undefined) {
+    errors.push(`${path}: must declare a type, enum or const`);
+  }
+  for (const type of types) {
+    if (!JSON_TYPES.includes(type)) errors.push(`${path}.type: unknown type ${JSON.stringify(type)}`);
+  }
+
+  if (schema.enum !== undefined && (!Array.isArray(schema.enum) || schema.enum.length === 0)) {
+    errors.push(`${path}.enum: must be a non-empty array`);
+  }
+  if (schema.pattern !== undefined) {
+    try {
+      new RegExp(schema.pattern, "u");
+    } catch {
+      errors.push(`${path}.pattern: invalid regular expression`);
+    }
+  }
+
+  if (types.includes("object")) {
+    if (!isPlainObject(schema.properties)) {
+      errors.push(`${path}: objects must define properties`);
+    } else {
+      const required = Array.isArray(schema.required) ? schema.required : [];
+      for (const [name, property] of Object.entries(schema.properties)) {
+        if (!required.includes(name)) errors.push(`${path}: property "${name}" must be listed in required`);
+        checkSchemaNode(property, `${path}.properties.${name}`, depth + 1, errors);
+      }
+      for (const name of required) {
+        if (!Object.hasOwn(schema.properties, name)) errors.push(`${path}: required property "${name}" is not defined`);
+      }
+    }
+    if (schema.additionalProperties !== false) {
+      errors.push(`${path}: objects must set additionalProperties: false`);
+    }
+  }
+
+  if (types.includes("array")) {
+    if (schema.items === undefined) errors.push(`${path}: arrays must define items`);
+    else checkSchemaNode(schema.items, `${path}.items`, depth + 1, errors);
+  }
+}
+
+export function validateOutputSchema(schema) {
+  const errors = [];
+  checkSchemaNode(schema, "output_schema", 0, errors);
+  return errors.slice(0, MAX_SCHEMA_ERRORS);
+}
+
+function describeValue(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  if (type === "integer") return Number.isInteger(value);
+  if (type === "number") return typeof value === "number" && Number.isFinite(value);
+  if (type === "object") return isPlainObject(value);
+  if (type === "array") return Array.isArray(value);
+  if (type === "null") return value === null;
+  return typeof value === type;
+}
+
+function checkValue(value, schema, path, errors) {
+  if (errors.length >= MAX_SCHEMA_ERRORS) return;
+
+  if (Array.isArray(schema.anyOf)) {
+    const matched = schema.anyOf.some((entry) => {
+      const nested = [];
+      checkValue(value, entry, path, nested);
+      return nested.length === 0;
+    });
+    if (!matched) errors.push(`${path}: does not match any of the allowed schemas`);
+    return;
+  }
+
+  const types = schemaTypes(schema);
+  if (types.length && !types.some((type) => matchesType(value, type))) {
+    errors.push(`${path}: expected ${types.join(" or ")}, got ${describeValue(value)}`);
+    return;
+  }
+
+  if (schema.const !== undefined && JSON.stringify(value) !== JSON.stringify(schema.const)) {
+    errors.push(`${path}: must equal ${JSON.stringify(schema.const)}`);
+  }
+  if (Array.isArray(schema.enum) && !schema.enum.some((entry) => JSON.stringify(entry) === JSON.stringify(value))) {
+    errors.push(`${path}: must be one of ${schema.enum.map((entry) => JSON.stringify(entry)).join(", ")}`);
+  }
+
+  if (typeof value === "string") {
+    if (Number.isFinite(schema.minLength) && value.length < schema.minLength) {
+      errors.push(`${path}: must be at least ${schema.minLength} characters`);
+    }
+    if (Number.isFinite(schema.maxLength) && value.length > schema.maxLength) {
+      errors.push(`${path}: must be at most ${schema.maxLength} characters`);
+    }
+    if (typeof schema.pattern === "string" && !new RegExp(schema.pattern, "u").test(value)) {
+      errors.push(`${path}: must match pattern ${schema.pattern}`);
+    }
+  }
+
+  if (typeof value === "number") {
+    if (Number.isFinite(schema.minimum) && value < schema.minimum) errors.push(`${path}: must be >= ${schema.minimum}`);
+    if (Number.isFinite(schema.maximum) && value > schema.maximum) errors.push(`${path}: must be <= ${schema.maximum}`);
+    if (Number.isFinite(schema.exclusiveMinimum) && value <= schema.exclusiveMinimum) {
+      errors.push(`${path}: must be > ${schema.exclusiveMinimum}`);
+    }
+    if (Number.isFinite(schema.exclusiveMaximum) && value >= schema.exclusiveMaximum) {
+      errors.push(`${path}: must be < ${schema.exclusiveMaximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (Number.isFinite(schema.minItems) && value.length < schema.minItems) {
+      errors.push(`${path}: must have at least ${schema.minItems} items`);
+    }
+    if (Number.isFinite(schema.maxItems) && value.length > schema.maxItems) {
+      errors.push(`${path}: must have at most ${schema.maxItems} items`);
+    }
+    if (isPlainObject(schema.items)) {
+      value.forEach((item, index) => checkValue(item, schema.items, `${path}[${index}]`, errors));
+    }
+  }
+
+  if (isPlainObject(value)) {
+    const properties = isPlainObject(schema.properties) ? schema.properties : {};
+    for (const name of Array.isArray(schema.required) ? schema.required : []) {
+      if (!Object.hasOwn(value, name)) errors.push(`${path}: missing required property "${name}"`);
+    }
+    for (const [name, entry] of Object.entries(value)) {
+      if (Object.hasOwn(properties, name)) {
+        checkValue(entry, properties[name], `${path}.${name}`, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}: unexpected property "${name}"`);
+      } else if (isPlainObject(schema.additionalProperties)) {
+        checkValue(entry, schema.additionalProperties, `${path}.${name}`, errors);
+      }
+    }
+  }
+}
+
+export function validateJsonValue(value, schema, path = "data") {
+  const errors = [];
+  checkValue(value, schema, path, errors);
+  return errors.slice(0, MAX_SCHEMA_ERRORS);
+}
+
+export function resolveOutputSchema(value) {
+  if (value === undefined || value === null) return { schema: null, errors: [] };
+
+  let schema = value;
+  if (typeof value === "string") {
+    try {
+      schema = JSON.parse(value);
+    } catch (error) {
+      return { schema: null, errors: [`output_schema: invalid JSON (${error instanceof Error ? error.message : String(error)})`] };
+    }
+  }
+
+  const errors = validateOutputSchema(schema);
+  return errors.length ? { schema: null, errors } : { schema, errors };
+}
@@ -1,3 +1,6 @@
+import { formatDateWindowPrompt } from "./codex-date-window.mjs";
+import { validateJsonValue } from "./codex-output-schema.mjs";
+
 export const CODEX_RESULT_SCHEMA = {
   $schema: "https://json-schema.org/draft/2020-12/schema",
   type: "object",
@@ -16,16 +19,267 @@ export const CODEX_RESULT_SCHEMA = {
   }
 };
 
-export function buildCodexPrompt({ question, asOfPeriod = "early", asOfYear = new Date().getUTCFullYear() }) {
+export const CODEX_CLAIMS_RESULT_SCHEMA = {
+  ...CODEX_RESULT_SCHEMA,
+  required: [...CODEX_RESULT_SCHEMA.required, "claims"],
+  properties: {
+    ...CODEX_RESULT_SCHEMA.properties,
+    claims: {
+      type: "array",
+      maxItems: 20,
+      items: {
+        type: "object",
+        additionalProperties: false,
+        required: ["claim", "sources", "quote"],
+        properties: {
+          claim: { type: "string", minLength: 1 },
+          sources: {
+            type: "array",
+            items: { type: "string" },
+            minItems: 1
+          },
+          quote: { type: "string" }
+        }
+      }
+    }
+  }
+};
+
+export const CODEX_SYNTHESIS_SCHEMA = {
+  $schema: "https://json-schema.org/draft/2020-12/schema",
+  type: "object",
+  additionalProperties: false,
+  required: ["answer", "contradictions", "sources", "confidence", "notes"],
+  properties: {
+    answer: { type: "string", minLength: 1 },
+    contradictions: {
+      type: "array",
+      maxItems: 20,
+      items: {
+        type: "object",
+        additionalProperties: false,
+        required: ["topic", "details", "result_numbers"],
+        properties: {
+          topic: { type: "string", minLength: 1 },
+          details: { type: "string" },
+          result_numbers: {
+            type: "array",
+            items: { type: "integer", minimum: 1 }
+          }
+        }
+      }
+    },
+    confidence: { type: "number", minimum: 0, maximum: 1 },
+    sources: {
+      type: "array",
+      items: { type: "string" },
+      maxItems: 40
+    },
+    notes: { type: "string" }
+  }
+};
+
+export const CODEX_DECOMPOSITION_SCHEMA = {
+  $schema: "https://json-schema.org/draft/2020-12/schema",
+  type: "object",
+  additionalProperties: false,
+  required: ["sub_questions", "rationale"],
+  properties: {
+    sub_questions: {
+      type: "array",
+      items: { type: "string", minLength: 1 },
+      maxItems: 8
+    },
+    rationale: { type: "string" }
+  }
+};
+
+export function normalizeSchemaMode(value) {
+  const mode = String(value || "basic").toLowerCase();
+  return mode === "claims" ? "claims" : "basic";
+}
+
+export function resolveResultSchema(schemaMode, outputSchema = null) {
+  const base = normalizeSchemaMode(schemaMode) === "claims" ? CODEX_CLAIMS_RESULT_SCHEMA : CODEX_RESULT_SCHEMA;
+  if (!outputSchema) return base;
+  const { $schema: _schema, ...data } = outputSchema;
+  return {
+    ...base,
+    required: [...base.required, "data"],
+    properties: { ...base.properties, data }
+  };
+}
+
+export function buildCodexPrompt({
+  question,
+  asOfPeriod = "early",
+  asOfYear = new Date().getUTCFullYear(),
+  schemaMode = "basic",
+  domainPolicy = null,
+  outputSchema = null,
+  dateWindow = null,
+  followUp = null
+}) {
   const period = normalizeAsOfPeriod(asOfPeriod);
-  return [
+  const lines = [
     `${question}.`,
     "Use the web search tool.",
-    `Search for the latest available information as of ${period} ${asOfYear}.`,
+    ...(dateWindow
+      ? formatDateWindowPrompt(dateWindow)
+      : [`Search for the latest available information as of ${period} ${asOfYear}.`]),
     "Do not execute commands or modify files.",
     "Return JSON that matches the provided schema.",
     "Include source URLs in the sources field."
-  ].join(" ");
+  ];
+
+  if (normalizeSchemaMode(schemaMode) === "claims") {
+    lines.push(
+      "Break the answer into individual factual claims in the claims field.",
+      "For each claim, list the source URLs that support it and include a short verbatim quote from one of them, or an empty quote if none is available.",
+      "Every claim source must also appear in the top-level sources field."
+    );
+  }
+
+  if (outputSchema) {
+    lines.push(
+      "Put the requested structured data in the data field, following its schema exactly.",
+      "The answer field should still summarize the findings in prose."
+    );
+  }
+
+  if (domainPolicy?.include.length) {
+    lines.push(
+      `Only use and cite sources from these domains (including their subdomains): ${domainPolicy.include.join(", ")}.`,
+      "Prefer site: filters in search queries."
+    );
+  }
+
+  if (domainPolicy?.exclude.length) {
+    lines.push(`Do not open or cite sources from these domains: ${domainPolicy.exclude.join(", ")}.`);
+  }
+
+  if (!followUp) return lines.join(" ");
+
+  lines.push(
+    "This is a follow-up to the earlier research below.",
+    "Build on its findings and sources where they still apply and search only for what the new question adds or changes."
+  );
+
+  return [
+    lines.join(" "),
+    [
+      "Earlier research:",
+      `Question: ${followUp.question}`,
+      `Answer: ${followUp.answer}`,
+      ...(followUp.as_of ? [`As of: ${followUp.as_of}`] : []),
+      `Sources: ${followUp.sources.join(", ") || "(none)"}`,
+      ...(followUp.trace?.searches.length ? [`Searches already run: ${followUp.trace.searches.join("; ")}`] : []),
+      ...(followUp.trace?.pagesOpened.length ? [`Pages already opened: ${followUp.trace.pagesOpened.join(", ")}`] : [])
+    ].join("\n")
+  ].join("\n\n");
+}
+
+export function buildSynthesisPrompt({
+  results,
+  question,
+  asOfPeriod = "early",
+  asOfYear = new Date().getUTCFullYear(),
+  dateWindow = null
+}) {
+  const period = normalizeAsOfPeriod(asOfPeriod);
+  const sections = results.map((result) =>
+    [
+      `Result ${result.number}:`,
+      `Question: ${result.question}`,
+      `Answer: ${result.structured.answer}`,
+      `As of: ${result.structured.as_of}`,
+      `Confidence: ${result.structured.confidence}`,
+      `Sources: ${result.structured.sources.join(", ") || "(none)"}`,
+      ...(result.structured.notes ? [`Notes: ${result.structured.notes}`] : [])
+    ].join("\n")
+  );
+
+  return [
+    [
+      question
+        ? `Answer this question by synthesizing the research results below: ${question}`
+        : "Synthesize the following research results into one combined answer.",
+      ...(dateWindow
+        ? formatDateWindowPrompt(dateWindow, { search: false })
+        : [`The results describe the state of things as of ${period} ${asOfYear}.`]),
+      "Do not search the web, execute commands or modify files; rely only on the results below.",
+      "List every contradiction between results in the contradictions field, citing the result numbers involved.",
+      "Include the source URLs that support the combined answer in the sources field, using only URLs from the results.",
+      "Return JSON that matches the provided schema."
+    ].join(" "),
+    ...sections
+  ].join("\n\n");
+}
+
+export function buildDecompositionPrompt({
+  question,
+  breadth,
+  findings = [],
+  asOfPeriod = "early",
+  asOfYear = new Date().getUTCFullYear(),
+  dateWindow = null
+}) {
+  const period = normalizeAsOfPeriod(asOfPeriod);
+  const lines = [
+    `Plan web research for this question: ${question}`,
+    ...(dateWindow
+      ? formatDateWindowPrompt(dateWindow, { search: false })
+      : [`The research targets the latest available information as of ${period} ${asOfYear}.`]),
+    "Do not search the web, execute commands or modify files.",
+    `Return at most ${breadth} focused, self-contained sub-questions that can each be answered by an independent web search.`
+  ];
+
+  if (findings.length) {
+    lines.push(
+      "Earlier research rounds already answered the sub-questions below.",
+      "Only return sub-questions that fill remaining gaps or resolve doubts; return an empty list if the question is fully covered."
+    );
+  }
+
+  lines.push("Return JSON that matches the provided schema.");
+
+  return [
+    lines.join(" "),
+    ...findings.map((finding) => [`Sub-question: ${finding.question}`, `Finding: ${finding.answer}`].join("\n"))
+  ].join("\n\n");
+}
+
+export function coerceDecompositionResult(value, breadth = 8) {
+  if (!value || typeof value !== "object" || !Array.isArray(value.sub_questions)) return null;
+  const seen = new Set();
+  const subQuestions = [];
+
+  for (const entry of value.sub_questions) {
+    if (typeof entry !== "string") continue;
+    const question = entry.trim();
+    const key = question.toLowerCase();
+    if (!question || seen.has(key)) continue;
+    seen.add(key);
+    subQuestions.push(question);
+    if (subQuestions.length >= breadth) break;
+  }
+
+  return {
+    subQuestions,
+    rationale: typeof value.rationale === "string" ? value.rationale.trim() : ""
+  };
+}
+
+export function normalizeSearchMode(value) {
+  return String(value || "standard").toLowerCase() === "deep" ? "deep" : "standard";
+}
+
+export function resolveDeepLimits(params = {}) {
+  const breadth = Number.isFinite(params.deep_breadth)
+    ? Math.max(1, Math.min(Math.floor(Number(params.deep_breadth)), 8))
+    : 4;
+  const depth = Number.isFinite(params.deep_depth) ? Math.max(1, Math.min(Math.floor(Number(params.deep_depth)), 3)) : 1;
+  return { breadth, depth };
 }
 
 export function normalizeAsOfPeriod(value) {
@@ -34,11 +288,108 @@ export function normalizeAsOfPeriod(value) {
   return "early";
 }
 
-export function normalizeQuestions(rawQuestions) {
+export function normalizeDomainList(rawDomains) {
+  if (!Array.isArray(rawDomains)) return [];
+  const seen = new Set();
+
+  for (const rawDomain of rawDomains) {
+    if (typeof rawDomain !== "string") continue;
+    let domain = rawDomain.trim().toLowerCase();
+    if (!domain) continue;
+
+    if (/^[a-z][a-z0-9+.-]*:\/\//.test(domain)) {
+      try {
+        domain = new URL(domain).hostname;
+      } catch {
+        continue;
+      }
+    }
+
+    domain = domain.replace(/[/?#].*$/, "").replace(/:\d+$/, "").replace(/^\*?\./, "").replace(/\.$/, "");
+    if (domain && /^[a-z0-9.-]+$/.test(domain)) seen.add(domain);
+  }
+
+  return [...seen];
+}
+
+export function createDomainPolicy({ includeDomains, excludeDomains } = {}) {
+  const include = normalizeDomainList(includeDomains);
+  const exclude = normalizeDomainList(excludeDomains);
+  if (!include.length && !exclude.length) return null;
+  return { include, exclude };
+}
+
+function hostMatchesDomain(host, domain) {
+  return host === domain || host.endsWith(`.${domain}`);
+}
+
+export function checkDomainPolicy(url, domainPolicy) {
+  let host = "";
+  try {
+    host = new URL(url).hostname.toLowerCase();
+  } catch {
+    return { allowed: false, host, rule: "invalid_url" };
+  }
+
+  if (!domainPolicy) return { allowed: true, host, rule: null };
+
+  if (domainPolicy.exclude.some((domain) => hostMatchesDomain(host, domain))) {
+    return { allowed: false, host, rule: "exclude" };
+  }
+
+  if (domainPolicy.include.length && !domainPolicy.include.some((domain) => hostMatchesDomain(host, domain))) {
+    return { allowed: false, host, rule: "include" };
+  }
+
+  return { allowed: true, host, rule: null };
+}
+
+export const QUESTION_OVERRIDE_KEYS = [
+  "model",
+  "backend",
+  "timeout_sec",
+  "max_sources",
+  "as_of_period",
+  "as_of_year",
+  "as_of",
+  "published_after",
+  "published_before",
+  "recency",
+  "schema_mode",
+  "include_domains",
+  "exclude_domains",
+  "strict_domains",
+  "verify_sources",
+  "max_attempts"
+];
+
+export function normalizeQuestionEntries(rawQuestions) {
   if (!Array.isArray(rawQuestions)) return [];
   return rawQuestions
-    .map((question) => (typeof question === "string" ? question.trim() : ""))
-    .filter((question) => question.length > 0);
+    .map((entry) => {
+      const isObject = Boolean(entry) && typeof entry === "object" && !Array.isArray(entry);
+      const raw = isObject ? entry.question : entry;
+      const overrides = isObject
+        ? Object.fromEntries(QUESTION_OVERRIDE_KEYS.filter((key) => entry[key] !== undefined).map((key) => [key, entry[key]]))
+        : {};
+      return {
+        question: typeof raw === "string" ? raw.trim() : "",
+        priority: isObject && Number.isFinite(entry.priority) ? Number(entry.priority) : 0,
+        overrides
+      };
+    })
+    .filter((entry) => entry.question.length > 0);
+}
+
+export function normalizeQuestions(rawQuestions) {
+  return normalizeQuestionEntries(rawQuestions).map((entry) => entry.question);
+}
+
+export const MAX_BATCH_TIMEOUT_SEC = 24 * 60 * 60;
+
+export function resolveBatchTimeoutSec(value) {
+  if (!Number.isFinite(value) || Number(value) <= 0) return null;
+  return Math.min(Number(value), MAX_BATCH_TIMEOUT_SEC);
 }
 
 export function resolveParallelism(requestedParallelism, totalQuestions, maxParallelism = 5) {
@@ -70,7 +421,7 @@ export function parseJsonObject(text) {
   }
 }
 
-export function normalizeSources(rawSources, maxSources = 12) {
+export function normalizeSources(rawSources, maxSources = 12, domainPolicy = null) {
   if (!Array.isArray(rawSources)) return [];
   const seen = new Set();
   const out = [];
@@ -85,6 +436,7 @@ export function normalizeSources(rawSources, maxSources = 12) {
       if (!["http:", "https:"].includes(parsed.protocol)) continue;
       const normalized = parsed.toString();
       if (seen.has(normalized)) continue;
+      if (domainPolicy && !checkDomainPolicy(normalized, domainPolicy).allowed) continue;
       seen.add(normalized);
       out.push(normalized);
       if (out.length >= maxSources) break;
@@ -96,11 +448,26 @@ export function normalizeSources(rawSources, maxSources = 12) {
   return out;
 }
 
+export const PROGRESS_RECENT_LIMIT = 5;
+
 export function createProgressCounters() {
   return {
     searches: 0,
     pagesOpened: 0,
-    lastAction: "starting"
+    lastAction: "starting",
+    latestQuery: null,
+    latestUrl: null,
+    recent: [],
+    trace: []
+  };
+}
+
+function toSearchTraceEntry(item) {
+  return {
+    actionType: item?.action?.type || "unknown",
+    query: typeof item?.query === "string" ? item.query : "",
+    queries: Array.isArray(item?.action?.queries) ? item.action.queries : [],
+    url: typeof item?.action?.url === "string" ? item.action.url : undefined
   };
 }
 
@@ -117,18 +484,24 @@ export function updateProgressCountersFromEvent(event, counters) {
   }
 
   if (event.type === "item.completed" && event.item?.type === "web_search") {
-    const actionType = event.item?.action?.type || "unknown";
+    const entry = toSearchTraceEntry(event.item);
+    counters.trace.push(entry);
+    counters.recent = [...counters.recent, entry].slice(-PROGRESS_RECENT_LIMIT);
+
+    const actionType = entry.actionType;
     const query = shortValue(event.item?.query || event.item?.action?.query || "");
     const url = shortValue(event.item?.action?.url || "");
 
     if (actionType === "search") {
       counters.searches += 1;
+      counters.latestQuery = (event.item?.query || event.item?.action?.query || "").trim() || counters.latestQuery;
       counters.lastAction = query ? `search: ${query}` : "search";
       return { changed: true, lastAction: counters.lastAction };
     }
 
     if (actionType === "open_page") {
       counters.pagesOpened += 1;
+      counters.latestUrl = (event.item?.action?.url || "").trim() || counters.latestUrl;
       counters.lastAction = url ? `open: ${url}` : "open page";
       return { changed: true, lastAction: counters.lastAction };
     }
@@ -150,22 +523,69 @@ export function updateProgressCountersFromEvent(event, counters) {
   return { changed: false, lastAction: counters.lastAction };
 }
 
-export function formatProgressStatus(counters, startedAtMs = Date.now()) {
-  const elapsedSeconds = Math.max(0, Math.floor((Date.now() - startedAtMs) / 1000));
-  return [
-    "Running Codex web search...",
-    `elapsed: ${elapsedSeconds}s`,
-    `searches: ${counters.searches}`,
-    `pages opened: ${counters.pagesOpened}`,
-    `last action: ${counters.lastAction}`
-  ].join("\n");
+export const DEFAULT_RETRYABLE_REASONS = ["non_zero_exit", "no_final_output", "invalid_structured_output"];
+
+export function resolveRetryPolicy(params = {}, defaults = {}) {
+  const defaultMaxAttempts = defaults.maxAttempts ?? 2;
+  const defaultBackoffSec = defaults.backoffSec ?? 5;
+  const maxAttempts = Number.isFinite(params.max_attempts)
+    ? Math.max(1, Math.min(Math.floor(Number(params.max_attempts)), 5))
+    : defaultMaxAttempts;
+  const backoffSec = Number.isFinite(params.retry_backoff_sec)
+    ? Math.max(0, Math.min(Number(params.retry_backoff_sec), 300))
+    : defaultBackoffSec;
+
+  const retryOn = Array.isArray(params.retry_on)
+    ? [...new Set(params.retry_on.filter((reason) => typeof reason === "string" && reason.trim()).map((reason) => reason.trim()))]
+    : [...DEFAULT_RETRYABLE_REASONS];
+
+  return { maxAttempts, backoffSec, retryOn };
+}
+
+export function computeRetryDelayMs(policy, attempt) {
+  const exponent = Math.max(0, Math.floor(attempt) - 1);
+  return Math.round(Math.min(policy.backoffSec * 2 ** exponent, 300) * 1000);
 }
 
-export function parseCodexJsonlEvents(stdout) {
+export const MAX_ESCALATION_STEPS = 3;
+
+export function resolveEscalationPolicy(params = {}) {
+  const threshold = Number.isFinite(params.escalate_below_confidence)
+    ? Math.max(0, Math.min(Number(params.escalate_below_confidence), 1))
+    : null;
+  const minSources = Number.isFinite(params.escalate_min_sources)
+    ? Math.max(1, Math.min(Math.floor(Number(params.escalate_min_sources)), 20))
+    : null;
+  const chain = Array.isArray(params.escalation)
+    ? params.escalation
+        .filter((step) => step && typeof step === "object")
+        .map((step) => ({
+          model: typeof step.model === "string" && step.model.trim() ? step.model.trim() : null,
+          timeoutSec: Number.isFinite(step.timeout_sec) && step.timeout_sec > 0 ? Number(step.timeout_sec) : null
+        }))
+        .filter((step) => step.model || step.timeoutSec)
+        .slice(0, MAX_ESCALATION_STEPS)
+    : [];
+
+  if ((threshold === null && minSources === null) || chain.length === 0) return null;
+  return { threshold, minSources, chain };
+}
+
+export function evaluateEscalationTriggers(structured, policy) {
+  if (!policy || !structured) return [];
+  const triggers = [];
+  if (policy.threshold !== null && !(structured.confidence >= policy.threshold)) triggers.push("low_confidence");
+  if (policy.minSources !== null && (structured.sources?.length ?? 0) < policy.minSources) triggers.push("few_sources");
+  return triggers;
+}
+
+export function parseCodexJsonlEvents(stdout, options = {}) {
   const lines = typeof stdout === "string" ? stdout.split(/\r?\n/) : [];
+  const domainPolicy = options.domainPolicy || null;
   const searchTrace = [];
   const errors = [];
   const commandEvents = [];
+  const domainViolations = [];
   let usage = null;
 
   for (const line of lines) {
@@ -200,32 +620,133 @@ export function parseCodexJsonlEvents(stdout) {
     if (event?.type !== "item.completed") continue;
     if (itemType !== "web_search") continue;
 
-    const actionType = item?.action?.type || "unknown";
-    const queries = Array.isArray(item?.action?.queries) ? item.action.queries : [];
-    const url = typeof item?.action?.url === "string" ? item.action.url : undefined;
-    const query = typeof item?.query === "string" ? item.query : "";
+    const entry = toSearchTraceEntry(item);
+    searchTrace.push(entry);
 
-    searchTrace.push({ actionType, query, queries, url });
+    if (domainPolicy && entry.actionType === "open_page" && entry.url) {
+      const check = checkDomainPolicy(entry.url, domainPolicy);
+      if (!check.allowed) domainViolations.push({ url: entry.url, host: check.host, rule: check.rule });
+    }
   }
 
-  return { searchTrace, usage, errors, commandEvents };
+  return { searchTrace, usage, errors, commandEvents, domainViolations };
 }
 
-export function coerceStructuredResult(value) {
+function coerceClaims(rawClaims, allowedSources, domainPolicy) {
+  if (!Array.isArray(rawClaims) || rawClaims.length === 0) return null;
+  const allowed = new Set(allowedSources);
+  const claims = [];
+
+  for (const rawClaim of rawClaims) {
+    if (!rawClaim || typeof rawClaim !== "object") return null;
+    const claim = typeof rawClaim.claim === "string" ? rawClaim.claim.trim() : "";
+    const citedSources = normalizeSources(rawClaim.sources || [], 20);
+    const quote = typeof rawClaim.quote === "string" && rawClaim.quote.trim() ? rawClaim.quote.trim() : undefined;
+
+    if (!claim || citedSources.length === 0) return null;
+    if (!citedSources.every((source) => allowed.has(source))) return null;
+
+    const sources = domainPolicy
+      ? citedSources.filter((source) => checkDomainPolicy(source, domainPolicy).allowed)
+      : citedSources;
+    if (sources.length === 0) continue;
+
+    claims.push({ claim, sources, quote });
+  }
+
+  return claims;
+}
+
+function selectCitedSources(sources, claims, maxSources) {
+  const cited = new Set(claims.flatMap((claim) => claim.sources));
+  const keep = new Set(sources.filter((source) => cited.has(source)).slice(0, maxSources));
+  for (const source of sources) {
+    if (keep.size >= maxSources) break;
+    keep.add(source);
+  }
+  return sources.filter((source) => keep.has(source));
+}
+
+export function coerceStructuredResult(value, options = {}) {
   if (!value || typeof value !== "object") return null;
   const answer = typeof value.answer === "string" ? value.answer.trim() : "";
   const asOf = typeof value.as_of === "string" ? value.as_of.trim() : "";
   const confidence = typeof value.confidence === "number" ? value.confidence : null;
   const notes = typeof value.notes === "string" ? value.notes.trim() : undefined;
-  const sources = normalizeSources(value.sources || []);
+  const domainPolicy = options.domainPolicy || null;
+  const maxSources = Number.isFinite(options.maxSources) ? options.maxSources : 12;
+  const sources = normalizeSources(value.sources || [], maxSources, domainPolicy);
 
   if (!answer || !asOf || confidence === null) return null;
 
-  return {
+  const structured = {
     answer,
     as_of: asOf,
     confidence,
     sources,
     notes
   };
+
+  if (normalizeSchemaMode(options.schemaMode) === "claims") {
+    const claims = coerceClaims(value.claims, normalizeSources(value.sources || [], 20), domainPolicy);
+    if (!claims) return null;
+    structured.sources = selectCitedSources(normalizeSources(value.sources || [], 20, domainPolicy), claims, maxSources);
+    structured.claims = claims
+      .map((claim) => ({ ...claim, sources: claim.sources.filter((source) => structured.sources.includes(source)) }))
+      .filter((claim) => claim.sources.length > 0);
+  }
+
+  if (options.outputSchema) {
+    if (validateJsonValue(value.data, options.outputSchema).length) return null;
+    structured.data = value.data;
+  }
+
+  return structured;
+}
+
+export function coerceSynthesisResult(value, resultCount = Infinity) {
+  if (!value || typeof value !== "object") return null;
+  const answer = typeof value.answer === "string" ? value.answer.trim() : "";
+  const confidence = typeof value.confidence === "number" ? value.confidence : null;
+  const notes = typeof value.notes === "string" ? value.notes.trim() : undefined;
+  if (!answer || confidence === null) return null;
+
+  const contradictions = (Array.isArray(value.contradictions) ? value.contradictions : [])
+    .filter((entry) => entry && typeof entry === "object" && typeof entry.topic === "string" && entry.topic.trim())
+    .map((entry) => ({
+      topic: entry.topic.trim(),
+      details: typeof entry.details === "string" ? entry.details.trim() : "",
+      result_numbers: [
+        ...new Set(
+          (Array.isArray(entry.result_numbers) ? entry.result_numbers : []).filter(
+            (number) => Number.isInteger(number) && number >= 1 && number <= resultCount
+          )
+        )
+      ]
+    }));
+
+  return {
+    answer,
+    contradictions,
+    confidence,
+    sources: normalizeSources(value.sources || [], 40),
+    notes
+  };
+}
+
+export function formatClaimLines(claims, sources) {
+  if (!Array.isArray(claims)) return [];
+  const lines = [];
+
+  for (const claim of claims) {
+    const markers = claim.sources
+      .map((source) => sources.indexOf(source))
+      .filter((index) => index !== -1)
+      .map((index) => `[${index + 1}]`)
+      .join("");
+    lines.push(`- ${claim.claim}${markers ? ` ${markers}` : ""}`);
+    if (claim.quote) lines.push(`  > "${claim.quote}"`);
+  }
+
+  return lines;
 }
@@ -0,0 +1,153 @@
+export const TOKEN_KINDS = ["input_tokens", "output_tokens"];
+
+export const DEFAULT_PRICE_TABLE = {
+  default: { input: 1.25, cached_input: 0.125, output: 10 },
+  "gpt-5": { input: 1.25, cached_input: 0.125, output: 10 },
+  "gpt-5-codex": { input: 1.25, cached_input: 0.125, output: 10 },
+  "gpt-5-mini": { input: 0.25, cached_input: 0.025, output: 2 },
+  "gpt-4o-search-preview": { input: 2.5, cached_input: 2.5, output: 10 }
+};
+
+function toTokenCount(value) {
+  return Number.isFinite(value) && value > 0 ? Math.floor(Number(value)) : 0;
+}
+
+export function normalizeUsage(usage) {
+  return {
+    input_tokens: toTokenCount(usage?.input_tokens),
+    cached_input_tokens: toTokenCount(usage?.cached_input_tokens),
+    output_tokens: toTokenCount(usage?.output_tokens)
+  };
+}
+
+export function addUsage(...usages) {
+  return usages.reduce(
+    (total, usage) => {
+      const normalized = normalizeUsage(usage);
+      return {
+        input_tokens: total.input_tokens + normalized.input_tokens,
+        cached_input_tokens: total.cached_input_tokens + normalized.cached_input_tokens,
+        output_tokens: total.output_tokens + normalized.output_tokens
+      };
+    },
+    normalizeUsage(null)
+  );
+}
+
+function toTokenLimit(value) {
+  return Number.isFinite(value) && value > 0 ? Math.floor(Number(value)) : null;
+}
+
+export function resolveTokenLimits(params = {}, scope) {
+  const limits = {
+    input_tokens: toTokenLimit(params[`max_${scope}_input_tokens`]),
+    output_tokens: toTokenLimit(params[`max_${scope}_output_tokens`])
+  };
+  return limits.input_tokens === null && limits.output_tokens === null ? null : limits;
+}
+
+export function resolveSessionTokenLimits(env = process.env) {
+  return resolveTokenLimits(
+    {
+      max_session_input_tokens: Number(env.PI_CODEX_SEARCH_SESSION_MAX_INPUT_TOKENS),
+      max_session_output_tokens: Number(env.PI_CODEX_SEARCH_SESSION_MAX_OUTPUT_TOKENS)
+    },
+    "session"
+  );
+}
+
+export function createUsageBudget({ scope, limits = null, parent = null } = {}) {
+  let usage = normalizeUsage(null);
+
+  const budget = {
+    scope,
+    limits,
+    parent,
+
+    get usage() {
+      return usage;
+    },
+
+    add(extra) {
+      usage = addUsage(usage, extra);
+      parent?.add(extra);
+    },
+
+    check(pending = null) {
+      if (limits) {
+        const projected = addUsage(usage, pending);
+        for (const kind of TOKEN_KINDS) {
+          if (limits[kind] !== null && projected[kind] > limits[kind]) {
+            return { scope, kind, limit: limits[kind], used: projected[kind] };
+          }
+        }
+      }
+      return parent ? parent.check(pending) : null;
+    },
+
+    describeLimits() {
+      const own = limits ? { [scope]: limits } : {};
+      return parent ? { ...parent.describeLimits(), ...own } : own;
+    }
+  };
+
+  return budget;
+}
+
+export function formatBudgetExceeded(exceeded) {
+  return `${exceeded.scope} ${exceeded.kind.replace("_", " ")} budget exceeded (${exceeded.used} of ${exceeded.limit})`;
+}
+
+export function resolvePriceTable(overrides, env = process.env) {
+  let envTable = {};
+  if (typeof env.PI_CODEX_SEARCH_PRICES === "string" && env.PI_CODEX_SEARCH_PRICES.trim()) {
+    try {
+      const parsed = JSON.parse(env.PI_CODEX_SEARCH_PRICES);
+      if (parsed && typeof parsed === "object" && !Array.isArray(parsed)) envTable = parsed;
+    } catch {
+      envTable = {};
+    }
+  }
+
+  return { ...DEFAULT_PRICE_TABLE, ...envTable, ...(overrides || {}) };
+}
+
+export function estimateCostUsd(usage, model, priceTable = DEFAULT_PRICE_TABLE) {
+  const key = typeof model === "string" && model.trim() ? model.trim() : "default";
+  const prices = priceTable[key] ?? priceTable.default;
+  if (!prices || !Number.isFinite(prices.input) || !Number.isFinite(prices.output)) return null;
+
+  const normalized = normalizeUsage(usage);
+  const cachedPrice = Number.isFinite(prices.cached_input) ? prices.cached_input : prices.input;
+  const cached = Math.min(normalized.cached_input_tokens, normalized.input_tokens);
+  const cost =
+    ((normalized.input_tokens - cached) * prices.input + cached * cachedPrice + normalized.output_tokens * prices.output) /
+    1_000_000;
+  return Math.round(cost * 1_000_000) / 1_000_000;
+}
+
+export function formatUsageLine(usage) {
+  const normalized = normalizeUsage(usage);
+  return `in ${normalized.input_tokens} (cached ${normalized.cached_input_tokens}), out ${normalized.output_tokens}`;
+}
+
+export function sumEntryUsage(entries) {
+  return addUsage(
+    ...entries.filter((entry) => entry?.details?.cache?.status !== "hit").map((entry) => entry?.details?.usage)
+  );
+}
+
+export function sumEntryCostUsd(entries, model, priceTable = DEFAULT_PRICE_TABLE, extraCosts = []) {
+  const costs = [
+    ...entries
+      .filter((entry) => entry?.details?.cache?.status !== "hit" && entry?.details?.usage)
+      .map((entry) =>
+        entry.details.estimatedCostUsd !== undefined
+          ? entry.details.estimatedCostUsd
+          : estimateCostUsd(entry.details.usage, entry.details.model ?? model, priceTable)
+      ),
+    ...extraCosts
+  ];
+  if (costs.includes(null)) return null;
+  return Math.round(costs.reduce((sum, cost) => sum + cost, 0) * 1_000_000) / 1_000_000;
+}
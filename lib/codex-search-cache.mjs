@@ -0,0 +1,142 @@
+import { createHash } from "node:crypto";
+import { mkdir, readFile, rename, rm, writeFile } from "node:fs/promises";
+import { homedir } from "node:os";
+import { join } from "node:path";
+import { normalizeBackendName, resolveHttpBackendSettings } from "./codex-backends.mjs";
+import { resolveDateWindow } from "./codex-date-window.mjs";
+import {
+  normalizeAsOfPeriod,
+  normalizeDomainList,
+  normalizeSchemaMode,
+  resolveEscalationPolicy
+} from "./codex-runner.mjs";
+import { CONFIG_DEFAULTS } from "./codex-search-config.mjs";
+import { normalizeVerifyMode } from "./codex-source-verification.mjs";
+
+export const CACHE_FORMAT_VERSION = 1;
+export const DEFAULT_CACHE_TTL_SEC = 6 * 60 * 60;
+export const MAX_CACHE_TTL_SEC = 7 * 24 * 60 * 60;
+const RUN_LOCAL_DETAIL_KEYS = new Set(["cache", "debug", "progress"]);
+
+export function defaultCacheDir(env = process.env) {
+  const override = typeof env.PI_CODEX_SEARCH_CACHE_DIR === "string" ? env.PI_CODEX_SEARCH_CACHE_DIR.trim() : "";
+  return override || join(homedir(), ".pi", "agent", "codex-search", "cache");
+}
+
+export function normalizeCacheMode(value) {
+  const mode = String(value || "use").toLowerCase();
+  if (mode === "use" || mode === "refresh" || mode === "bypass") return mode;
+  return "use";
+}
+
+export function resolveCacheTtlSec(value) {
+  if (!Number.isFinite(value)) return DEFAULT_CACHE_TTL_SEC;
+  return Math.max(0, Math.min(Math.floor(Number(value)), MAX_CACHE_TTL_SEC));
+}
+
+export function normalizeQuestionForCache(question) {
+  return String(question || "")
+    .toLowerCase()
+    .replace(/\s+/g, " ")
+    .trim()
+    .replace(/[\s?.!]+$/, "");
+}
+
+export function buildCacheDescriptor(params, backendConfig = {}) {
+  const verifyMode = normalizeVerifyMode(params.verify_sources);
+  const escalation = resolveEscalationPolicy(params);
+  const dateWindow = resolveDateWindow(params).window;
+  const env = backendConfig.env || process.env;
+  const backend = normalizeBackendName(params.backend || env.PI_CODEX_SEARCH_BACKEND);
+  const model = typeof params.model === "string" && params.model.trim() ? params.model.trim() : null;
+  const http = backend === "openai-http" ? resolveHttpBackendSettings(backendConfig) : null;
+  const failOnCommandEvent =
+    typeof params.fail_on_command_event === "boolean"
+      ? params.fail_on_command_event
+      : CONFIG_DEFAULTS.fail_on_command_event;
+  return {
+    question: normalizeQuestionForCache(params.question),
+    as_of_period: normalizeAsOfPeriod(params.as_of_period),
+    as_of_year: Number.isFinite(params.as_of_year) ? Number(params.as_of_year) : new Date().getUTCFullYear(),
+    backend,
+    model,
+    ...(http ? { http_base_url: http.baseUrl, ...(model ? {} : { http_model: http.model }) } : {}),
+    max_sources: Math.max(1, Math.min(params.max_sources ?? CONFIG_DEFAULTS.max_sources, 20)),
+    schema_mode: normalizeSchemaMode(params.schema_mode),
+    include_domains: normalizeDomainList(params.include_domains).sort(),
+    exclude_domains: normalizeDomainList(params.exclude_domains).sort(),
+    strict_domains: params.strict_domains === true,
+    ...(failOnCommandEvent !== CONFIG_DEFAULTS.fail_on_command_event
+      ? { fail_on_command_event: failOnCommandEvent }
+      : {}),
+    ...(verifyMode !== "off" ? { verify_sources: verifyMode } : {}),
+    ...(escalation ? { escalation } : {}),
+    ...(typeof params.follow_up_of === "string" && params.follow_up_of.trim()
+      ? { follow_up_of: params.follow_up_of.trim() }
+      : {}),
+    ...(params.output_schema ? { output_schema: params.output_schema } : {}),
+    ...(dateWindow ? { date_window: dateWindow } : {})
+  };
+}
+
+export function buildCacheKey(params, backendConfig = {}) {
+  const descriptor = buildCacheDescriptor(params, backendConfig);
+  return createHash("sha256").update(JSON.stringify(descriptor)).digest("hex");
+}
+
+function stripCacheDetails(result) {
+  if (!result?.details || typeof result.details !== "object") return result;
+  const details = Object.fromEntries(Object.entries(result.details).filter(([key]) => !RUN_LOCAL_DETAIL_KEYS.has(key)));
+  return { ...result, details };
+}
+
+export function createSearchCache(options = {}) {
+  const dir = options.dir || defaultCacheDir();
+  const now = typeof options.now === "function" ? options.now : Date.now;
+  const entryPath = (key) => join(dir, `${key}.json`);
+
+  return {
+    dir,
+
+    async get(key, { ttlSec = DEFAULT_CACHE_TTL_SEC } = {}) {
+      let entry;
+      try {
+        entry = JSON.parse(await readFile(entryPath(key), "utf8"));
+      } catch {
+        return null;
+      }
+
+      if (entry?.version !== CACHE_FORMAT_VERSION || !entry.result || !Number.isFinite(entry.storedAt)) {
+        return null;
+      }
+
+      const ageSeconds = Math.max(0, Math.floor((now() - entry.storedAt) / 1000));
+      if (ageSeconds >= ttlSec) {
+        await rm(entryPath(key), { force: true }).catch(() => {});
+        return null;
+      }
+
+      return { result: entry.result, storedAt: entry.storedAt, ageSeconds };
+    },
+
+    async set(key, result, descriptor) {
+      const entry = {
+        version: CACHE_FORMAT_VERSION,
+        key,
+        storedAt: now(),
+        descriptor,
+        result: stripCacheDetails(result)
+      };
+
+      try {
+        await mkdir(dir, { recursive: true });
+        const tempPath = `${entryPath(key)}.${process.pid}.tmp`;
+        await writeFile(tempPath, JSON.stringify(entry), "utf8");
+        await rename(tempPath, entryPath(key));
+        return true;
+      } catch {
+        return false;
+      }
+    }
+  };
+}
@@ -0,0 +1,206 @@
+import { parseIsoDate, parseRelativeWindow } from "./codex-date-window.mjs";
+import { normalizeQuestions } from "./codex-runner.mjs";
+import { CONFIG_SCHEMA } from "./codex-search-config.mjs";
+
+export const SEARCH_COMMAND_USAGE = "/codex-search [flags] <question> [|| <question2> ...]";
+
+export const SEARCH_COMMAND_HELP = [
+  `Usage: ${SEARCH_COMMAND_USAGE}`,
+  "",
+  "Flags:",
+  "  --model <name>         Codex model override",
+  "  --as-of <window>       as-of window: early|mid|late, a year, both (late-2025) or a date (2026-03-01)",
+  '  --recency <window>     only use recent sources, e.g. "last 30 days" or "past 2 weeks"',
+  `  --timeout <sec>        timeout per question (${CONFIG_SCHEMA.timeout_sec.min}-${CONFIG_SCHEMA.timeout_sec.max})`,
+  `  --max-sources <n>      maximum source URLs per answer (${CONFIG_SCHEMA.max_sources.min}-${CONFIG_SCHEMA.max_sources.max})`,
+  "  --parallel <n>         parallel workers for batches",
+  "  --follow-up <id>       continue earlier research (result id or last)",
+  "  --json                 insert the structured result as JSON instead of text",
+  "  --help                 show this help",
+  "",
+  "Flags go before a question's text, at the start or right after ||; a -- word inside a question is kept as text.",
+  "Separate questions with ||. Quote a question to keep a literal || or leading -- in it:",
+  '  /codex-search --as-of late-2025 --parallel 2 "Is a || b valid shell?" || What is npm latest?'
+].join("\n");
+
+const VALUE_FLAGS = new Set([
+  "--model",
+  "--as-of",
+  "--recency",
+  "--timeout",
+  "--max-sources",
+  "--parallel",
+  "--follow-up"
+]);
+const BOOLEAN_FLAGS = new Set(["--json", "--help"]);
+const FLAG_ALIASES = { "-h": "--help" };
+
+export function tokenizeCommandArgs(input) {
+  const tokens = [];
+  const text = String(input || "");
+  let current = null;
+  let quote = null;
+
+  const push = () => {
+    if (current) tokens.push(current);
+    current = null;
+  };
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+
+    if (quote) {
+      if (char === "\\" && (text[i + 1] === quote || text[i + 1] === "\\")) {
+        current.value += text[i + 1];
+        i += 1;
+      } else if (char === quote) {
+        quote = null;
+      } else {
+        current.value += char;
+      }
+      continue;
+    }
+
+    if (/\s/.test(char)) {
+      push();
+      continue;
+    }
+
+    if (char === "|" && text[i + 1] === "|") {
+      push();
+      tokens.push({ value: "||", quoted: false, separator: true });
+      i += 1;
+      continue;
+    }
+
+    if (!current && (char === '"' || char === "'")) {
+      current = { value: "", quoted: true };
+      quote = char;
+      continue;
+    }
+    current = current ?? { value: "", quoted: false };
+    current.value += char;
+  }
+
+  if (quote) return { error: `Unterminated ${quote === '"' ? "double" : "single"} quote` };
+  push();
+  return { tokens };
+}
+
+export function parseAsOfWindow(value) {
+  const date = parseIsoDate(value);
+  if (date) return { as_of: date };
+  const match = /^(?:(early|mid|late)(?:[-\s](\d{4}))?|(\d{4})(?:[-\s](early|mid|late))?)$/i.exec(String(value).trim());
+  if (!match) return null;
+  const period = (match[1] || match[4] || "").toLowerCase();
+  const year = match[2] || match[3];
+  return {
+    ...(period ? { as_of_period: period } : {}),
+    ...(year ? { as_of_year: Number(year) } : {})
+  };
+}
+
+function parseIntegerFlag(flag, value, min, max) {
+  const number = Number(value);
+  if (!/^\d+$/.test(value) || !Number.isInteger(number) || number < min || (max !== undefined && number > max)) {
+    return {
+      error: `${flag} expects ${max === undefined ? `an integer of at least ${min}` : `an integer between ${min} and ${max}`} (got "${value}")`
+    };
+  }
+  return { value: number };
+}
+
+export function parseSearchCommandArgs(input) {
+  const tokenized = tokenizeCommandArgs(input);
+  if (tokenized.error) return { error: tokenized.error };
+
+  const params = {};
+  const flags = { json: false, help: false };
+  const questions = [];
+  let words = [];
+
+  const endQuestion = () => {
+    questions.push(words.join(" "));
+    words = [];
+  };
+
+  const tokens = tokenized.tokens;
+  for (let i = 0; i < tokens.length; i += 1) {
+    const token = tokens[i];
+
+    if (token.separator) {
+      endQuestion();
+      continue;
+    }
+
+    if (token.quoted || words.length || !(token.value.startsWith("--") || Object.hasOwn(FLAG_ALIASES, token.value))) {
+      words.push(token.value);
+      continue;
+    }
+
+    const [rawFlag, inlineValue] = token.value.includes("=")
+      ? [token.value.slice(0, token.value.indexOf("=")), token.value.slice(token.value.indexOf("=") + 1)]
+      : [token.value, undefined];
+    const flag = Object.hasOwn(FLAG_ALIASES, rawFlag) ? FLAG_ALIASES[rawFlag] : rawFlag;
+
+    if (BOOLEAN_FLAGS.has(flag)) {
+      if (inlineValue !== undefined) return { error: `${flag} does not take a value` };
+      flags[flag.slice(2)] = true;
+      continue;
+    }
+
+    if (!VALUE_FLAGS.has(flag)) {
+      return { error: `Unknown flag ${rawFlag} (see /codex-search --help)` };
+    }
+
+    let value = inlineValue;
+    if (value === undefined) {
+      const next = tokens[i + 1];
+      if (!next || next.separator || (!next.quoted && next.value.startsWith("--"))) {
+        return { error: `${flag} requires a value` };
+      }
+      value = next.value;
+      i += 1;
+    }
+
+    if (flag === "--model") {
+      if (!value.trim()) return { error: "--model requires a value" };
+      params.model = value.trim();
+    } else if (flag === "--as-of") {
+      const window = parseAsOfWindow(value);
+      if (!window) {
+        return { error: `--as-of expects early|mid|late, a year, both like late-2025, or a date like 2026-03-01 (got "${value}")` };
+      }
+      Object.assign(params, window);
+    } else if (flag === "--recency") {
+      if (!parseRelativeWindow(value)) {
+        return { error: `--recency expects a window like "last 30 days", "past 2 weeks" or "last year" (got "${value}")` };
+      }
+      params.recency = value.trim();
+    } else if (flag === "--timeout") {
+      const parsed = parseIntegerFlag(flag, value, CONFIG_SCHEMA.timeout_sec.min, CONFIG_SCHEMA.timeout_sec.max);
+      if (parsed.error) return parsed;
+      params.timeout_sec = parsed.value;
+    } else if (flag === "--max-sources") {
+      const parsed = parseIntegerFlag(flag, value, CONFIG_SCHEMA.max_sources.min, CONFIG_SCHEMA.max_sources.max);
+      if (parsed.error) return parsed;
+      params.max_sources = parsed.value;
+    } else if (flag === "--parallel") {
+      const parsed = parseIntegerFlag(flag, value, 1);
+      if (parsed.error) return parsed;
+      params.parallelism = parsed.value;
+    } else if (flag === "--follow-up") {
+      if (!value.trim()) return { error: "--follow-up requires a value" };
+      params.follow_up_of = value.trim();
+    }
+  }
+
+  endQuestion();
+
+  if (flags.help) return { help: true };
+
+  const normalized = normalizeQuestions(questions);
+  if (!normalized.length) return { error: `Usage: ${SEARCH_COMMAND_USAGE} (see /codex-search --help)` };
+
+  return { params: { questions: normalized, ...params }, json: flags.json };
+}
@@ -0,0 +1,202 @@
+import { readFile } from "node:fs/promises";
+import { homedir } from "node:os";
+import { join } from "node:path";
+import { SEARCH_BACKENDS } from "./codex-backends.mjs";
+
+export const CONFIG_SECTION = "codexSearch";
+
+export const CONFIG_SCHEMA = {
+  timeout_sec: { type: "number", min: 30, max: 7200, default: 1800, env: "PI_CODEX_SEARCH_TIMEOUT_SEC", param: true },
+  max_sources: { type: "integer", min: 1, max: 20, default: 8, env: "PI_CODEX_SEARCH_MAX_SOURCES", param: true },
+  max_parallelism: { type: "integer", min: 1, max: 16, default: 5, env: "PI_CODEX_SEARCH_MAX_PARALLELISM" },
+  model: { type: "string", default: null, env: "PI_CODEX_SEARCH_MODEL", param: true },
+  backend: { type: "enum", values: SEARCH_BACKENDS, default: "codex-cli", env: "PI_CODEX_SEARCH_BACKEND", param: true },
+  fail_on_command_event: {
+    type: "boolean",
+    default: true,
+    env: "PI_CODEX_SEARCH_FAIL_ON_COMMAND_EVENT",
+    param: true
+  }
+};
+
+export const CONFIG_DEFAULTS = Object.fromEntries(
+  Object.entries(CONFIG_SCHEMA).map(([key, spec]) => [key, spec.default])
+);
+
+function describeExpected(spec) {
+  if (spec.type === "enum") return `one of: ${spec.values.join(", ")}`;
+  if (spec.type === "number" || spec.type === "integer") {
+    return `${spec.type === "integer" ? "an integer" : "a number"} between ${spec.min} and ${spec.max}`;
+  }
+  if (spec.type === "boolean") return "true or false";
+  return "a non-empty string";
+}
+
+function parseEnvValue(raw, spec) {
+  const text = String(raw).trim();
+  if (spec.type === "boolean") {
+    if (/^(1|true|yes|on)$/i.test(text)) return true;
+    if (/^(0|false|no|off)$/i.test(text)) return false;
+    return raw;
+  }
+  if (spec.type === "number" || spec.type === "integer") return text === "" ? raw : Number(text);
+  if (spec.type === "enum") return text.toLowerCase();
+  return text;
+}
+
+export function validateConfigValue(value, spec) {
+  if (spec.type === "boolean") return typeof value === "boolean";
+  if (spec.type === "string") return typeof value === "string" && value.trim().length > 0;
+  if (spec.type === "enum") return typeof value === "string" && spec.values.includes(value);
+  if (typeof value !== "number" || !Number.isFinite(value)) return false;
+  if (spec.type === "integer" && !Number.isInteger(value)) return false;
+  return value >= spec.min && value <= spec.max;
+}
+
+function configError(location, key, value, spec) {
+  return `${location}: "${key}" must be ${describeExpected(spec)} (got ${JSON.stringify(value)})`;
+}
+
+export function validateConfigSection(section, location) {
+  const values = {};
+  const errors = [];
+
+  if (section === undefined) return { values, errors };
+  if (!section || typeof section !== "object" || Array.isArray(section)) {
+    return { values, errors: [`${location}: "${CONFIG_SECTION}" must be an object`] };
+  }
+
+  for (const [key, value] of Object.entries(section)) {
+    const spec = CONFIG_SCHEMA[key];
+    if (!spec) {
+      errors.push(`${location}: unknown key "${key}" (expected one of: ${Object.keys(CONFIG_SCHEMA).join(", ")})`);
+      continue;
+    }
+    if (!validateConfigValue(value, spec)) {
+      errors.push(configError(location, key, value, spec));
+      continue;
+    }
+    values[key] = spec.type === "string" ? value.trim() : value;
+  }
+
+  return { values, errors };
+}
+
+export function readEnvConfig(env = process.env) {
+  const values = {};
+  const errors = [];
+
+  for (const [key, spec] of Object.entries(CONFIG_SCHEMA)) {
+    const raw = env[spec.env];
+    if (typeof raw !== "string" || !raw.trim()) continue;
+    const value = parseEnvValue(raw, spec);
+    if (!validateConfigValue(value, spec)) {
+      errors.push(configError(`env ${spec.env}`, key, raw, spec));
+      continue;
+    }
+    values[key] = value;
+  }
+
+  return { values, errors };
+}
+
+export function defaultGlobalSettingsPath(env = process.env) {
+  const agentDir = typeof env.PI_CODING_AGENT_DIR === "string" ? env.PI_CODING_AGENT_DIR.trim() : "";
+  return join(agentDir ? agentDir.replace(/^~(?=$|\/)/, homedir()) : join(homedir(), ".pi", "agent"), "settings.json");
+}
+
+async function readSettingsSection(path) {
+  let content;
+  try {
+    content = await readFile(path, "utf8");
+  } catch (error) {
+    if (error?.code === "ENOENT") return { values: {}, errors: [] };
+    return { values: {}, errors: [`${path}: ${error instanceof Error ? error.message : String(error)}`] };
+  }
+
+  let settings;
+  try {
+    settings = JSON.parse(content);
+  } catch (error) {
+    return { values: {}, errors: [`${path}: invalid JSON (${error instanceof Error ? error.message : String(error)})`] };
+  }
+
+  if (!settings || typeof settings !== "object" || Array.isArray(settings)) {
+    return { values: {}, errors: [`${path}: settings must be a JSON object`] };
+  }
+
+  return validateConfigSection(settings[CONFIG_SECTION], `${path} ${CONFIG_SECTION}`);
+}
+
+export async function loadCodexSearchConfig(options = {}) {
+  const env = options.env || process.env;
+  const files = {
+    global: options.globalPath || defaultGlobalSettingsPath(env),
+    project: options.cwd ? join(options.cwd, ".pi", "settings.json") : null
+  };
+
+  const global = await readSettingsSection(files.global);
+  const project = files.project ? await readSettingsSection(files.project) : { values: {}, errors: [] };
+  const fromEnv = readEnvConfig(env);
+
+  return {
+    files,
+    layers: { global: global.values, project: project.values, env: fromEnv.values },
+    errors: [...global.errors, ...project.errors, ...fromEnv.errors]
+  };
+}
+
+function clampParam(value, spec) {
+  if (spec.type === "number") return Math.max(spec.min, Math.min(value, spec.max));
+  if (spec.type === "integer") return Math.max(spec.min, Math.min(Math.floor(value), spec.max));
+  return value;
+}
+
+function readParam(params, key, spec) {
+  const value = params[key];
+  if (spec.type === "boolean") return typeof value === "boolean" ? value : undefined;
+  if (spec.type === "number" || spec.type === "integer") {
+    return Number.isFinite(value) ? clampParam(Number(value), spec) : undefined;
+  }
+  if (typeof value !== "string" || !value.trim()) return undefined;
+  return spec.type === "enum" ? value.trim().toLowerCase() : value.trim();
+}
+
+export function resolveEffectiveConfig(loaded, params = {}) {
+  const values = { ...CONFIG_DEFAULTS };
+  const sources = Object.fromEntries(Object.keys(CONFIG_SCHEMA).map((key) => [key, "default"]));
+  const layers = loaded?.layers || {};
+
+  for (const layer of ["global", "project", "env"]) {
+    for (const [key, value] of Object.entries(layers[layer] || {})) {
+      values[key] = value;
+      sources[key] = layer;
+    }
+  }
+
+  for (const [key, spec] of Object.entries(CONFIG_SCHEMA)) {
+    if (!spec.param) continue;
+    const value = readParam(params, key, spec);
+    if (value === undefined) continue;
+    values[key] = value;
+    sources[key] = "param";
+  }
+
+  return {
+    values,
+    sources,
+    files: loaded?.files ?? null,
+    errors: loaded?.errors ?? []
+  };
+}
+
+export function applyConfigToParams(params, effective) {
+  const applied = { ...params };
+  for (const [key, spec] of Object.entries(CONFIG_SCHEMA)) {
+    if (!spec.param) continue;
+    const source = effective.sources[key];
+    if (source === "default" || source === "param") continue;
+    applied[key] = effective.values[key];
+  }
+  return applied;
+}
@@ -0,0 +1,234 @@
+import { randomBytes } from "node:crypto";
+import { mkdir, readdir, rm, stat, writeFile } from "node:fs/promises";
+import { homedir } from "node:os";
+import { join, resolve } from "node:path";
+
+export const DEBUG_FORMAT_VERSION = 1;
+export const DEFAULT_DEBUG_MAX_AGE_DAYS = 7;
+export const DEFAULT_DEBUG_MAX_SIZE_MB = 500;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const BATCH_DIR_PATTERN = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z-[0-9a-f]{6}$/;
+const MAX_SLUG_LENGTH = 40;
+
+function readPositiveNumber(raw, fallback) {
+  const value = Number(typeof raw === "string" ? raw.trim() : raw);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+export function normalizeDebugDir(value, cwd = process.cwd()) {
+  const text = typeof value === "string" ? value.trim() : "";
+  if (!text) return null;
+  if (text === "~") return homedir();
+  return resolve(cwd, text.startsWith("~/") ? join(homedir(), text.slice(2)) : text);
+}
+
+export function resolveDebugSettings(env = process.env) {
+  return {
+    dir: normalizeDebugDir(env.PI_CODEX_SEARCH_DEBUG_DIR),
+    maxAgeDays: readPositiveNumber(env.PI_CODEX_SEARCH_DEBUG_MAX_AGE_DAYS, DEFAULT_DEBUG_MAX_AGE_DAYS),
+    maxSizeMb: readPositiveNumber(env.PI_CODEX_SEARCH_DEBUG_MAX_SIZE_MB, DEFAULT_DEBUG_MAX_SIZE_MB)
+  };
+}
+
+function formatBatchStamp(time) {
+  return new Date(time).toISOString().slice(0, 19).replace(/[-:]/g, "") + "Z";
+}
+
+function parseBatchTime(name) {
+  const match = BATCH_DIR_PATTERN.exec(name);
+  if (!match) return null;
+  const [, year, month, day, hour, minute, second] = match.map(Number);
+  return Date.UTC(year, month - 1, day, hour, minute, second);
+}
+
+function slugify(question) {
+  const slug = String(question)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, MAX_SLUG_LENGTH)
+    .replace(/-+$/, "");
+  return slug || "question";
+}
+
+async function directorySize(path) {
+  let total = 0;
+  let entries;
+  try {
+    entries = await readdir(path, { withFileTypes: true });
+  } catch {
+    return 0;
+  }
+  for (const entry of entries) {
+    const entryPath = join(path, entry.name);
+    if (entry.isDirectory()) {
+      total += await directorySize(entryPath);
+    } else {
+      total += await stat(entryPath)
+        .then((info) => info.size)
+        .catch(() => 0);
+    }
+  }
+  return total;
+}
+
+export async function pruneDebugDir(dir, options = {}) {
+  const now = typeof options.now === "function" ? options.now() : Date.now();
+  const maxAgeMs = readPositiveNumber(options.maxAgeDays, DEFAULT_DEBUG_MAX_AGE_DAYS) * DAY_MS;
+  const maxBytes = readPositiveNumber(options.maxSizeMb, DEFAULT_DEBUG_MAX_SIZE_MB) * 1024 * 1024;
+
+  let names;
+  try {
+    names = await readdir(dir);
+  } catch {
+    return { removed: [], keptBytes: 0 };
+  }
+
+  const batches = [];
+  for (const name of names) {
+    const time = parseBatchTime(name);
+    if (time !== null) batches.push({ name, time, size: await directorySize(join(dir, name)) });
+  }
+  batches.sort((a, b) => a.time - b.time || a.name.localeCompare(b.name));
+
+  const removed = [];
+  let keptBytes = batches.reduce((sum, batch) => sum + batch.size, 0);
+  for (const batch of batches) {
+    if (now - batch.time <= maxAgeMs && keptBytes <= maxBytes) break;
+    await rm(join(dir, batch.name), { recursive: true, force: true });
+    removed.push(batch.name);
+    keptBytes -= batch.size;
+  }
+
+  return { removed, keptBytes };
+}
+
+async function writeDebugFile(path, content, errors) {
+  try {
+    await writeFile(path, content, "utf8");
+  } catch (error) {
+    errors.push(error instanceof Error ? error.message : String(error));
+  }
+}
+
+function toJson(value) {
+  return `${JSON.stringify(value, null, 2)}\n`;
+}
+
+function createRunRecorder(dir, question, errors) {
+  let attempts = 0;
+
+  return {
+    dir,
+    question,
+
+    get attempts() {
+      return attempts;
+    },
+
+    async recordAttempt({ attempt, model, timeoutSec, prompt, schema, run, startedAt }) {
+      attempts += 1;
+      const attemptDir = join(dir, `attempt-${attempts}`);
+      try {
+        await mkdir(attemptDir, { recursive: true });
+      } catch (error) {
+        errors.push(error instanceof Error ? error.message : String(error));
+        return;
+      }
+
+      if (attempts === 1) {
+        await writeDebugFile(join(dir, "prompt.txt"), prompt, errors);
+        await writeDebugFile(join(dir, "schema.json"), toJson(schema), errors);
+      }
+      await writeDebugFile(join(attemptDir, "events.jsonl"), run.stdout ?? "", errors);
+      await writeDebugFile(join(attemptDir, "stderr.txt"), run.stderr ?? "", errors);
+      await writeDebugFile(join(attemptDir, "output.json"), run.finalText ?? "", errors);
+      await writeDebugFile(
+        join(attemptDir, "meta.json"),
+        toJson({
+          attempt,
+          model: model || null,
+          timeoutSec,
+          exitCode: run.exitCode,
+          timedOut: run.timedOut === true,
+          aborted: run.aborted === true,
+          startedAt: new Date(startedAt).toISOString(),
+          finishedAt: new Date().toISOString()
+        }),
+        errors
+      );
+    },
+
+    async finish(result) {
+      if (!attempts) return null;
+      const summary = {
+        question,
+        ok: result.ok,
+        reason: result.ok ? null : result.details?.reason || "unknown",
+        attempts
+      };
+      await writeDebugFile(join(dir, "run.json"), toJson(summary), errors);
+      return { dir, attempts };
+    }
+  };
+}
+
+export function createDebugTraces(options = {}) {
+  const settings = resolveDebugSettings(options.env);
+  const dir = options.dir !== undefined ? normalizeDebugDir(options.dir) : settings.dir;
+  const maxAgeDays = options.maxAgeDays ?? settings.maxAgeDays;
+  const maxSizeMb = options.maxSizeMb ?? settings.maxSizeMb;
+  const createId = typeof options.createId === "function" ? options.createId : () => randomBytes(3).toString("hex");
+  const now = typeof options.now === "function" ? options.now : Date.now;
+
+  return {
+    dir,
+    maxAgeDays,
+    maxSizeMb,
+
+    async openBatch(overrideDir, cwd) {
+      const root = normalizeDebugDir(overrideDir, cwd) ?? dir;
+      if (!root) return null;
+
+      const errors = [];
+      const createdAt = now();
+      const batchDir = join(root, `${formatBatchStamp(createdAt)}-${createId()}`);
+      try {
+        await pruneDebugDir(root, { maxAgeDays, maxSizeMb, now: () => createdAt });
+        await mkdir(batchDir, { recursive: true });
+      } catch (error) {
+        errors.push(error instanceof Error ? error.message : String(error));
+      }
+
+      const runs = [];
+      return {
+        dir: batchDir,
+
+        run(index, question) {
+          const runDir = join(batchDir, `q${String(index + 1).padStart(2, "0")}-${slugify(question)}`);
+          const recorder = createRunRecorder(runDir, question, errors);
+          runs.push({ index, recorder });
+          return recorder;
+        },
+
+        async close(entries) {
+          const index = {
+            version: DEBUG_FORMAT_VERSION,
+            createdAt: new Date(createdAt).toISOString(),
+            finishedAt: new Date(now()).toISOString(),
+            questions: runs.map(({ index: position, recorder }) => ({
+              index: position,
+              question: recorder.question,
+              dir: recorder.attempts ? recorder.dir.slice(batchDir.length + 1) : null,
+              attempts: recorder.attempts,
+              ok: entries[position]?.ok ?? false,
+              reason: entries[position]?.ok ? null : entries[position]?.details?.reason || "unknown"
+            }))
+          };
+          await writeDebugFile(join(batchDir, "index.json"), toJson(index), errors);
+          return { dir: batchDir, runs: runs.length, ...(errors.length ? { errors } : {}) };
+        }
+      };
+    }
+  };
+}
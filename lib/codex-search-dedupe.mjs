@@ -0,0 +1,56 @@
+import { buildCacheDescriptor, normalizeQuestionForCache } from "./codex-search-cache.mjs";
+
+export function resolveDedupeSimilarity(value) {
+  if (!Number.isFinite(value) || Number(value) <= 0) return null;
+  return Math.min(Number(value), 1);
+}
+
+function questionBigrams(question) {
+  const words = normalizeQuestionForCache(question)
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+  if (!words.length) return new Set();
+  const padded = ["^", ...words, "$"];
+  return new Set(padded.slice(1).map((word, i) => `${padded[i]} ${word}`));
+}
+
+export function questionSimilarity(a, b) {
+  const left = questionBigrams(a);
+  const right = questionBigrams(b);
+  if (!left.size || !right.size) return 0;
+  let shared = 0;
+  for (const bigram of left) {
+    if (right.has(bigram)) shared += 1;
+  }
+  return shared / (left.size + right.size - shared);
+}
+
+function settingsKey(params) {
+  return JSON.stringify({ ...buildCacheDescriptor(params), question: null });
+}
+
+export function findDuplicateQuestions(searchParams, options = {}) {
+  if (options.enabled === false) return searchParams.map(() => null);
+
+  const threshold = resolveDedupeSimilarity(options.similarity);
+  const canonical = [];
+
+  return searchParams.map((params, index) => {
+    const key = settingsKey(params);
+    const text = normalizeQuestionForCache(params.question);
+    let best = null;
+
+    for (const candidate of canonical) {
+      if (candidate.key !== key) continue;
+      if (candidate.text === text) return { index: candidate.index, similarity: 1 };
+      if (threshold === null) continue;
+      const similarity = questionSimilarity(candidate.question, params.question);
+      if (similarity >= threshold && (!best || similarity > best.similarity)) {
+        best = { index: candidate.index, similarity: Math.round(similarity * 1000) / 1000 };
+      }
+    }
+
+    if (!best) canonical.push({ index, key, text, question: params.question });
+    return best;
+  });
+}
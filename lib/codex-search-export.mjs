@@ -0,0 +1,278 @@
+import { mkdir, writeFile } from "node:fs/promises";
+import { dirname, isAbsolute, resolve } from "node:path";
+import { formatClaimLines } from "./codex-runner.mjs";
+
+export const EXPORT_SCHEMA_ID = "pi-codex-search/result";
+export const EXPORT_SCHEMA_VERSION = 1;
+export const OUTPUT_FORMATS = ["text", "markdown", "json"];
+
+export function normalizeOutputFormat(value) {
+  const format = String(value || "text").toLowerCase();
+  if (format === "md") return "markdown";
+  return OUTPUT_FORMATS.includes(format) ? format : "text";
+}
+
+function toExportEntry(question, ok, details, extra = {}) {
+  const structured = ok ? details?.structured ?? null : null;
+  return {
+    question,
+    ok,
+    reason: ok ? null : details?.reason || "unknown",
+    answer: structured?.answer ?? null,
+    as_of: structured?.as_of ?? null,
+    confidence: structured?.confidence ?? null,
+    sources: structured?.sources ?? [],
+    claims: structured?.claims ?? null,
+    data: structured?.data ?? null,
+    notes: structured?.notes || null,
+    model: details?.model ?? null,
+    elapsedSeconds: details?.progress?.elapsedSeconds ?? details?.elapsedSeconds ?? null,
+    searchTrace: details?.telemetry?.searchTrace ?? [],
+    usage: details?.usage ?? details?.telemetry?.usage ?? null,
+    ...extra
+  };
+}
+
+function toExportSynthesis(synthesis) {
+  if (!synthesis) return null;
+  if (!synthesis.ok) return { ok: false, reason: synthesis.reason ?? "unknown" };
+  return {
+    ok: true,
+    answer: synthesis.answer,
+    confidence: synthesis.confidence,
+    contradictions: synthesis.contradictions,
+    sources: synthesis.sources,
+    notes: synthesis.notes || null,
+    resultNumbers: synthesis.resultNumbers
+  };
+}
+
+export function buildExportDocument(result, options = {}) {
+  const details = result?.details || {};
+  const generatedAt = new Date(typeof options.now === "function" ? options.now() : Date.now()).toISOString();
+  const base = { schema: EXPORT_SCHEMA_ID, version: EXPORT_SCHEMA_VERSION, generatedAt, ok: result?.ok === true };
+
+  if (Array.isArray(details.results)) {
+    const deep = details.mode === "deep";
+    return {
+      ...base,
+      mode: deep ? "deep" : "batch",
+      ...(deep ? { question: details.query } : {}),
+      summary: details.summary ?? null,
+      synthesis: toExportSynthesis(details.synthesis),
+      results: details.results.map((entry) => toExportEntry(entry.question, entry.ok, entry.details))
+    };
+  }
+
+  return {
+    ...base,
+    mode: "single",
+    summary: null,
+    synthesis: null,
+    results: [toExportEntry(details.query ?? options.question ?? null, result?.ok === true, details)]
+  };
+}
+
+export function buildExportDocumentFromHistory(record) {
+  const deep = record.mode === "deep";
+  return {
+    schema: EXPORT_SCHEMA_ID,
+    version: EXPORT_SCHEMA_VERSION,
+    generatedAt: record.recordedAt,
+    ok: record.status === "ok",
+    mode: deep ? "deep" : "single",
+    ...(deep ? { question: record.question } : {}),
+    summary: null,
+    synthesis: deep ? toExportSynthesis(record.structured) : null,
+    results: deep
+      ? []
+      : [
+          toExportEntry(
+            record.question,
+            record.status === "ok",
+            {
+              reason: record.reason,
+              structured: record.structured,
+              model: record.model,
+              elapsedSeconds: record.elapsedSeconds,
+              telemetry: record.telemetry
+            },
+            { historyId: record.id }
+          )
+        ]
+  };
+}
+
+function confidenceBadge(confidence) {
+  if (typeof confidence !== "number") return "⚪ unknown";
+  const level = confidence >= 0.8 ? "🟢 high" : confidence >= 0.5 ? "🟡 medium" : "🔴 low";
+  return `${level} (${confidence})`;
+}
+
+function escapeMarkdown(text) {
+  return String(text).replace(/([\\`*_[\]<>|])/g, "\\$1");
+}
+
+function sourceLabel(url) {
+  try {
+    const parsed = new URL(url);
+    const path = parsed.pathname === "/" ? "" : parsed.pathname.replace(/\/$/, "");
+    return escapeMarkdown(`${parsed.host}${path}`);
+  } catch {
+    return escapeMarkdown(url);
+  }
+}
+
+function formatSourceList(sources) {
+  if (!sources?.length) return ["_No sources._"];
+  return sources.map((source, i) => `${i + 1}. [${sourceLabel(source)}](${source})`);
+}
+
+function formatTraceLines(trace) {
+  if (!trace?.length) return ["_No search activity recorded._"];
+  return trace.map((entry) => {
+    if (entry.actionType === "open_page" && entry.url) return `- open page: <${entry.url}>`;
+    const query = entry.query || entry.queries?.join("; ") || "";
+    return `- ${entry.actionType === "search" ? "search" : entry.actionType}: ${escapeMarkdown(query)}`;
+  });
+}
+
+function formatEntrySection(entry, number, total) {
+  const heading = `## ${total > 1 ? `${number}. ` : ""}${escapeMarkdown(entry.question ?? "(unknown question)")}`;
+  if (!entry.ok) return [heading, "", `**Status:** failed (\`${entry.reason}\`)`];
+
+  const claimLines = formatClaimLines(entry.claims, entry.sources);
+  return [
+    heading,
+    "",
+    entry.answer,
+    "",
+    `**Confidence:** ${confidenceBadge(entry.confidence)}  `,
+    `**As of:** ${escapeMarkdown(entry.as_of ?? "unknown")}`,
+    ...(claimLines.length ? ["", "### Claims", "", ...claimLines] : []),
+    "",
+    "### Sources",
+    "",
+    ...formatSourceList(entry.sources),
+    ...(entry.data != null ? ["", "### Data", "", "```json", JSON.stringify(entry.data, null, 2), "```"] : []),
+    ...(entry.notes ? ["", "### Notes", "", entry.notes] : [])
+  ];
+}
+
+export function renderMarkdownReport(document) {
+  const total = document.results.length;
+  const synthesis = document.synthesis;
+  const title = document.mode === "deep" ? `Deep research: ${escapeMarkdown(document.question)}` : "Codex search report";
+
+  const lines = [`# ${title}`, "", `_Generated ${document.generatedAt}_`];
+
+  if (document.summary) {
+    lines.push(
+      "",
+      `**Questions:** ${document.summary.succeeded ?? 0} succeeded, ${document.summary.failed ?? 0} failed` +
+        (Number.isFinite(document.summary.elapsedSeconds) ? ` in ${document.summary.elapsedSeconds}s` : "")
+    );
+  }
+
+  if (synthesis?.ok) {
+    const contradictionLines = (synthesis.contradictions || []).map((entry) => {
+      const numbers = entry.result_numbers?.length ? ` (results ${entry.result_numbers.join(", ")})` : "";
+      return `- **${escapeMarkdown(entry.topic)}**${numbers}${entry.details ? `: ${entry.details}` : ""}`;
+    });
+    lines.push(
+      "",
+      "## Synthesized answer",
+      "",
+      synthesis.answer,
+      "",
+      `**Confidence:** ${confidenceBadge(synthesis.confidence)}`,
+      ...(contradictionLines.length ? ["", "### Contradictions", "", ...contradictionLines] : []),
+      "",
+      "### Sources",
+      "",
+      ...formatSourceList(synthesis.sources),
+      ...(synthesis.notes ? ["", "### Notes", "", synthesis.notes] : [])
+    );
+  } else if (synthesis) {
+    lines.push("", "## Synthesized answer", "", `**Status:** failed (\`${synthesis.reason}\`)`);
+  }
+
+  document.results.forEach((entry, index) => {
+    lines.push("", ...formatEntrySection(entry, index + 1, total));
+  });
+
+  const traced = document.results.filter((entry) => entry.searchTrace?.length);
+  if (traced.length) {
+    lines.push("", "## Appendix: search trace");
+    document.results.forEach((entry, index) => {
+      if (!entry.searchTrace?.length) return;
+      lines.push(
+        "",
+        `### ${total > 1 ? `${index + 1}. ` : ""}${escapeMarkdown(entry.question ?? "(unknown question)")}`,
+        "",
+        ...formatTraceLines(entry.searchTrace)
+      );
+    });
+  }
+
+  return `${lines.join("\n")}\n`;
+}
+
+export function renderExport(document, format) {
+  return format === "json" ? `${JSON.stringify(document, null, 2)}\n` : renderMarkdownReport(document);
+}
+
+export function applyOutputFormat(result, format, options = {}) {
+  const normalized = normalizeOutputFormat(format);
+  if (normalized === "text") return result;
+  const document = buildExportDocument(result, options);
+  return {
+    ...result,
+    text: normalized === "json" ? JSON.stringify(document, null, 2) : renderMarkdownReport(document).trimEnd(),
+    details: { ...result.details, outputFormat: normalized }
+  };
+}
+
+export function parseExportArgs(args) {
+  const tokens = String(args || "").trim().split(/\s+/).filter(Boolean);
+  const parsed = { path: null, format: null, id: null };
+
+  for (let i = 0; i < tokens.length; i += 1) {
+    const token = tokens[i];
+    if (token === "--format" || token === "--id") {
+      const value = tokens[i + 1];
+      if (!value || value.startsWith("--")) return { error: `${token} requires a value` };
+      i += 1;
+      if (token === "--id") {
+        parsed.id = value;
+        continue;
+      }
+      const format = value.toLowerCase() === "md" ? "markdown" : value.toLowerCase();
+      if (format !== "markdown" && format !== "json") {
+        return { error: `--format expects markdown or json (got "${value}")` };
+      }
+      parsed.format = format;
+    } else if (token.startsWith("--")) {
+      return { error: `Unknown flag ${token} (usage: /codex-search-export [path] [--format markdown|json] [--id <history id>])` };
+    } else if (parsed.path) {
+      return { error: `Unexpected argument "${token}"; export takes one path` };
+    } else {
+      parsed.path = token;
+    }
+  }
+
+  if (!parsed.format) parsed.format = parsed.path && /\.json$/i.test(parsed.path) ? "json" : "markdown";
+  return parsed;
+}
+
+export function defaultExportFileName(format, now = Date.now()) {
+  const stamp = new Date(now).toISOString().replace(/[:.]/g, "-").replace(/-\d{3}Z$/, "Z");
+  return `codex-search-${stamp}.${format === "json" ? "json" : "md"}`;
+}
+
+export async function writeExportFile({ document, format, path, cwd = process.cwd() }) {
+  const target = isAbsolute(path) ? path : resolve(cwd, path);
+  await mkdir(dirname(target), { recursive: true });
+  await writeFile(target, renderExport(document, format), "utf8");
+  return target;
+}
@@ -0,0 +1,101 @@
+export const LAST_RESULT_REFERENCE = "last";
+const MAX_SESSION_RESULTS = 100;
+const MAX_CONTEXT_SEARCHES = 10;
+const MAX_CONTEXT_PAGES = 10;
+const MAX_CONTEXT_ANSWER_CHARS = 4000;
+
+export function createSessionResults(options = {}) {
+  const limit = Number.isInteger(options.limit) && options.limit > 0 ? options.limit : MAX_SESSION_RESULTS;
+  const records = [];
+
+  return {
+    add(added) {
+      records.push(...added);
+      if (records.length > limit) records.splice(0, records.length - limit);
+    },
+
+    get(id) {
+      return records.find((record) => record.id === id) ?? null;
+    },
+
+    last() {
+      return records[records.length - 1] ?? null;
+    }
+  };
+}
+
+export async function resolveFollowUp(reference, options = {}) {
+  const id = typeof reference === "string" ? reference.trim() : "";
+  if (!id) return null;
+
+  let record = null;
+  let origin = null;
+  if (id === LAST_RESULT_REFERENCE) {
+    record = options.session?.last() ?? null;
+    origin = "session";
+  } else {
+    record = options.session?.get(id) ?? null;
+    origin = "session";
+    if (!record && options.history) {
+      record = await options.history.get(id);
+      origin = "history";
+    }
+  }
+
+  if (!record) {
+    return {
+      error: {
+        reason: "follow_up_not_found",
+        message:
+          id === LAST_RESULT_REFERENCE
+            ? "no earlier codex_search result in this session"
+            : `no codex_search result with id "${id}" in this session or in history`
+      }
+    };
+  }
+
+  if (record.status !== "ok" || !record.structured?.answer) {
+    return {
+      error: {
+        reason: "follow_up_failed",
+        message: `codex_search result "${record.id}" did not succeed and cannot be followed up`
+      }
+    };
+  }
+
+  return { record, origin };
+}
+
+function summarizeTrace(searchTrace = []) {
+  const searches = [];
+  const pages = [];
+  for (const entry of searchTrace) {
+    if (entry?.actionType === "open_page" && entry.url && !pages.includes(entry.url)) pages.push(entry.url);
+    if (entry?.actionType !== "search") continue;
+    for (const query of entry.queries?.length ? entry.queries : [entry.query]) {
+      if (typeof query === "string" && query.trim() && !searches.includes(query.trim())) searches.push(query.trim());
+    }
+  }
+  return { searches: searches.slice(0, MAX_CONTEXT_SEARCHES), pagesOpened: pages.slice(0, MAX_CONTEXT_PAGES) };
+}
+
+export function buildFollowUpContext(record, origin) {
+  const answer = String(record.structured.answer);
+  return {
+    id: record.id,
+    origin,
+    question: record.question,
+    recordedAt: record.recordedAt ?? null,
+    answer: answer.length > MAX_CONTEXT_ANSWER_CHARS ? `${answer.slice(0, MAX_CONTEXT_ANSWER_CHARS - 1)}…` : answer,
+    as_of: record.structured.as_of ?? null,
+    sources: Array.isArray(record.structured.sources) ? record.structured.sources : [],
+    trace: summarizeTrace(record.telemetry?.searchTrace),
+    lineage: [record.id, ...(Array.isArray(record.lineage) ? record.lineage : [])]
+  };
+}
+
+export function describeFollowUp(context) {
+  if (!context) return undefined;
+  const { answer: _answer, as_of: _asOf, sources: _sources, trace: _trace, ...lineage } = context;
+  return lineage;
+}
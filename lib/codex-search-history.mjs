@@ -0,0 +1,195 @@
+import { randomBytes } from "node:crypto";
+import { appendFile, mkdir, readFile } from "node:fs/promises";
+import { homedir } from "node:os";
+import { dirname, join } from "node:path";
+import { normalizeQuestionEntries } from "./codex-runner.mjs";
+
+export const HISTORY_FORMAT_VERSION = 1;
+export const DEFAULT_HISTORY_LIMIT = 20;
+const MAX_HISTORY_LIMIT = 200;
+const HISTORY_STATUSES = ["ok", "failed"];
+
+export function defaultHistoryPath(env = process.env) {
+  const override = typeof env.PI_CODEX_SEARCH_HISTORY_FILE === "string" ? env.PI_CODEX_SEARCH_HISTORY_FILE.trim() : "";
+  return override || join(homedir(), ".pi", "agent", "codex-search", "history.jsonl");
+}
+
+function createHistoryId() {
+  return randomBytes(6).toString("hex");
+}
+
+function extractElapsedSeconds(details) {
+  if (Number.isFinite(details?.progress?.elapsedSeconds)) return details.progress.elapsedSeconds;
+  if (Number.isFinite(details?.summary?.elapsedSeconds)) return details.summary.elapsedSeconds;
+  if (Number.isFinite(details?.elapsedSeconds)) return details.elapsedSeconds;
+  return null;
+}
+
+function toHistoryRecord(question, result, params, shared) {
+  const details = result.details || {};
+  const followUp = details.followUp ?? shared.followUp;
+  return {
+    version: HISTORY_FORMAT_VERSION,
+    id: shared.createId(),
+    ...(shared.batchId ? { batchId: shared.batchId } : {}),
+    recordedAt: shared.recordedAt,
+    question,
+    mode: details.mode === "deep" ? "deep" : "standard",
+    status: result.ok ? "ok" : "failed",
+    reason: result.ok ? null : details.reason || "unknown",
+    model: details.model ?? (typeof params.model === "string" && params.model.trim() ? params.model.trim() : null),
+    backend: details.backend ?? null,
+    as_of_period: details.as_of_period ?? params.as_of_period ?? null,
+    as_of_year: details.as_of_year ?? params.as_of_year ?? null,
+    prompt: details.codex_prompt ?? null,
+    structured: details.mode === "deep" ? details.synthesis ?? null : details.structured ?? null,
+    telemetry: details.telemetry ?? null,
+    elapsedSeconds: extractElapsedSeconds(details),
+    cache: details.cache?.status ?? null,
+    ...(followUp ? { followUpOf: followUp.id, lineage: followUp.lineage } : {}),
+    text: result.text
+  };
+}
+
+export function buildHistoryRecords(params, result, options = {}) {
+  const createId = typeof options.createId === "function" ? options.createId : createHistoryId;
+  const recordedAt = new Date(typeof options.now === "function" ? options.now() : Date.now()).toISOString();
+  const details = result?.details || {};
+  const questionEntries = normalizeQuestionEntries(params.questions);
+  const entryParams = (index) => ({
+    ...params,
+    ...(details.runStates?.[index]?.overrides ?? questionEntries[index]?.overrides)
+  });
+
+  if (details.mode !== "deep" && Array.isArray(details.results)) {
+    const shared = { createId, recordedAt, batchId: createId(), followUp: details.followUp };
+    return details.results.map((entry, index) =>
+      toHistoryRecord(entry.question, { ok: entry.ok, text: entry.text, details: entry.details }, entryParams(index), shared)
+    );
+  }
+
+  const question = details.query ?? questionEntries[0]?.question;
+  if (typeof question !== "string" || !question.trim()) return [];
+  return [toHistoryRecord(question, result, entryParams(0), { createId, recordedAt })];
+}
+
+function parseDateBound(value, endOfDay) {
+  if (typeof value !== "string" || !value.trim()) return null;
+  const text = value.trim();
+  const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(text);
+  const time = Date.parse(dateOnly ? `${text}T00:00:00.000Z` : text);
+  if (!Number.isFinite(time)) return undefined;
+  return dateOnly && endOfDay ? time + 24 * 60 * 60 * 1000 - 1 : time;
+}
+
+export function parseHistoryFilter(args) {
+  const filter = { text: "", status: null, since: null, until: null, limit: DEFAULT_HISTORY_LIMIT };
+  const words = [];
+
+  for (const token of String(args || "").split(/\s+/).filter(Boolean)) {
+    const match = /^(status|since|until|limit):(.*)$/i.exec(token);
+    if (!match) {
+      words.push(token);
+      continue;
+    }
+
+    const key = match[1].toLowerCase();
+    const value = match[2];
+
+    if (key === "status") {
+      const status = value.toLowerCase();
+      if (!HISTORY_STATUSES.includes(status)) {
+        return { error: `Invalid status "${value}" (expected one of: ${HISTORY_STATUSES.join(", ")})` };
+      }
+      filter.status = status;
+    } else if (key === "limit") {
+      const limit = Number(value);
+      if (!Number.isInteger(limit) || limit < 1) return { error: `Invalid limit "${value}" (expected a positive integer)` };
+      filter.limit = Math.min(limit, MAX_HISTORY_LIMIT);
+    } else {
+      const bound = parseDateBound(value, key === "until");
+      if (!bound) return { error: `Invalid ${key} date "${value}" (expected YYYY-MM-DD or an ISO timestamp)` };
+      filter[key] = bound;
+    }
+  }
+
+  filter.text = words.join(" ");
+  return { filter };
+}
+
+function matchesHistoryFilter(record, filter) {
+  if (filter.status && record.status !== filter.status) return false;
+
+  const recordedAt = Date.parse(record.recordedAt);
+  if (filter.since && !(recordedAt >= filter.since)) return false;
+  if (filter.until && !(recordedAt <= filter.until)) return false;
+
+  const text = typeof filter.text === "string" ? filter.text.trim().toLowerCase() : "";
+  if (text) {
+    const haystack = `${record.question}\n${record.structured?.answer ?? ""}`.toLowerCase();
+    if (!text.split(/\s+/).every((word) => haystack.includes(word))) return false;
+  }
+
+  return true;
+}
+
+export function formatHistoryLine(record, maxQuestion = 72) {
+  const when = typeof record.recordedAt === "string" ? record.recordedAt.slice(0, 16).replace("T", " ") : "?";
+  const question =
+    record.question.length <= maxQuestion ? record.question : `${record.question.slice(0, maxQuestion - 1)}…`;
+  const status = record.status === "ok" ? "ok" : `failed (${record.reason})`;
+  return `${when} | ${status}${record.mode === "deep" ? " | deep" : ""} | ${question} [${record.id}]`;
+}
+
+export function createSearchHistory(options = {}) {
+  const path = options.path || defaultHistoryPath();
+
+  const readRecords = async () => {
+    let content;
+    try {
+      content = await readFile(path, "utf8");
+    } catch {
+      return [];
+    }
+
+    const records = [];
+    for (const line of content.split("\n")) {
+      if (!line.trim()) continue;
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch {
+        continue;
+      }
+      if (record?.version === HISTORY_FORMAT_VERSION && typeof record.id === "string") records.push(record);
+    }
+    return records;
+  };
+
+  return {
+    path,
+
+    async append(records) {
+      if (!records.length) return true;
+      try {
+        await mkdir(dirname(path), { recursive: true });
+        await appendFile(path, records.map((record) => `${JSON.stringify(record)}\n`).join(""), "utf8");
+        return true;
+      } catch {
+        return false;
+      }
+    },
+
+    async list(filter = {}) {
+      const limit = Number.isInteger(filter.limit) && filter.limit > 0 ? filter.limit : DEFAULT_HISTORY_LIMIT;
+      return (await readRecords())
+        .filter((record) => matchesHistoryFilter(record, filter))
+        .reverse()
+        .slice(0, limit);
+    },
+
+    async get(id) {
+      return (await readRecords()).find((record) => record.id === id) ?? null;
+    }
+  };
+}
@@ -0,0 +1,124 @@
+import { formatUsageLine } from "./codex-search-budget.mjs";
+
+const MAX_QUESTION_PREVIEW = 64;
+const MAX_DEEP_PREVIEW = 96;
+const MAX_TRACE_PREVIEW = 96;
+const BATCH_RECENT_LINES = 3;
+
+function truncateText(value, max) {
+  const text = typeof value === "string" ? value.trim() : "";
+  if (text.length <= max) return text;
+  return `${text.slice(0, max - 1)}…`;
+}
+
+export function formatTraceEntry(entry) {
+  if (entry.actionType === "search") {
+    const query = entry.query || entry.queries?.join(" | ") || "";
+    return truncateText(query ? `search: ${query}` : "search", MAX_TRACE_PREVIEW);
+  }
+  if (entry.actionType === "open_page") return truncateText(entry.url ? `open: ${entry.url}` : "open page", MAX_TRACE_PREVIEW);
+  return entry.actionType;
+}
+
+function hasUsage(usage) {
+  return Boolean(usage) && (usage.input_tokens > 0 || usage.output_tokens > 0);
+}
+
+export function formatQuestionProgress(event) {
+  if (event.phase === "prompt") return ["Codex prompt:", event.prompt].join("\n");
+
+  return [
+    "Running Codex web search...",
+    ...(event.maxAttempts > 1 ? [`attempt: ${event.attempt}/${event.maxAttempts}`] : []),
+    `elapsed: ${event.elapsedSeconds}s`,
+    `searches: ${event.searches}`,
+    `pages opened: ${event.pagesOpened}`,
+    ...(hasUsage(event.usage) ? [`tokens: ${formatUsageLine(event.usage)}`] : []),
+    `last action: ${event.lastAction}`,
+    ...(event.recent?.length ? ["recent:", ...event.recent.map((entry) => `- ${formatTraceEntry(entry)}`)] : [])
+  ].join("\n");
+}
+
+export function formatRunStateLine(state, total) {
+  const label = `[${state.index + 1}/${total}] ${truncateText(state.question, MAX_QUESTION_PREVIEW)}`;
+  const stats = `s=${state.searches} p=${state.pagesOpened}`;
+
+  if (state.duplicateOf !== null && state.duplicateOf !== undefined) {
+    return `${label} | ${state.status} (duplicate of ${state.duplicateOf + 1})`;
+  }
+
+  if (state.status === "pending") {
+    return `${label} | pending`;
+  }
+
+  if (state.status === "running") {
+    const attempt = state.attempt ? ` | attempt ${state.attempt}` : "";
+    return `${label} | running${attempt} | ${state.elapsedSeconds}s | ${stats} | ${state.lastAction}`;
+  }
+
+  if (state.status === "ok") {
+    if (state.cache === "hit") return `${label} | ok (cached) | ${state.elapsedSeconds}s | ${stats}`;
+    return `${label} | ok | ${state.elapsedSeconds}s | ${stats}`;
+  }
+
+  return `${label} | failed | ${state.elapsedSeconds}s | ${stats} | ${state.lastAction}`;
+}
+
+export function formatBatchProgress(event) {
+  if (event.phase === "question_started") return `Starting query ${event.index + 1}/${event.total}: ${event.question}`;
+  if (event.phase === "question_finished") {
+    return `Finished query ${event.index + 1}/${event.total}: ${event.ok ? "ok" : "failed"}`;
+  }
+  if (event.phase === "synthesizing") return `Synthesizing ${event.total - event.failed} successful result(s)...`;
+  if (event.phase === "synthesized") {
+    return `Synthesis ${event.synthesis.ok ? "complete" : `failed: ${event.synthesis.reason}`}`;
+  }
+
+  return [
+    "Running parallel Codex web searches...",
+    `elapsed: ${event.elapsedSeconds}s`,
+    `total: ${event.total}`,
+    `completed: ${event.completed}`,
+    `running: ${event.running}`,
+    `failed: ${event.failed}`,
+    ...(event.cacheHits !== null ? [`cache hits: ${event.cacheHits}`] : []),
+    `parallelism: ${event.parallelism}`,
+    "",
+    "runs:",
+    ...event.runs.flatMap((state) => [
+      formatRunStateLine(state, event.total),
+      ...(state.status === "running" && state.recent?.length
+        ? state.recent.slice(-BATCH_RECENT_LINES).map((entry) => `    ${formatTraceEntry(entry)}`)
+        : [])
+    ])
+  ].join("\n");
+}
+
+export function formatDeepProgress(event) {
+  const planLines = event.rounds.flatMap((round) => [
+    `round ${round.round}:${round.planError ? ` (planning failed: ${round.planError}, researching the question directly)` : ""}`,
+    ...round.subQuestions.map((question, i) => `  ${round.offset + i + 1}. ${truncateText(question, MAX_DEEP_PREVIEW)}`)
+  ]);
+  const phase = event.round && event.phase !== "synthesizing" && event.phase !== "done"
+    ? `${event.phase} (round ${event.round}/${event.depth})`
+    : event.phase;
+
+  return [
+    "Running deep Codex research...",
+    `question: ${truncateText(event.question, MAX_DEEP_PREVIEW)}`,
+    `elapsed: ${event.elapsedSeconds}s`,
+    `limits: breadth ${event.breadth}, depth ${event.depth}`,
+    `phase: ${phase}`,
+    "",
+    "plan:",
+    ...(planLines.length ? planLines : ["(planning)"]),
+    ...(event.phase === "researching" && event.nested ? ["", formatProgressEvent(event.nested)] : [])
+  ].join("\n");
+}
+
+export function formatProgressEvent(event) {
+  if (event?.type === "deep") return formatDeepProgress(event);
+  if (event?.type === "batch") return formatBatchProgress(event);
+  if (event?.type === "question") return formatQuestionProgress(event);
+  return "";
+}
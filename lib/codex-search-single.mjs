@@ -1,23 +1,43 @@
-import { spawn } from "node:child_process";
-import { mkdtemp, readFile, rm, writeFile } from "node:fs/promises";
-import { tmpdir } from "node:os";
-import { join } from "node:path";
+import { SEARCH_BACKENDS, resolveSearchBackend } from "./codex-backends.mjs";
+import {
+  addUsage,
+  createUsageBudget,
+  estimateCostUsd,
+  formatBudgetExceeded,
+  normalizeUsage,
+  resolvePriceTable,
+  resolveTokenLimits
+} from "./codex-search-budget.mjs";
+import { checkReportedAsOf, formatDateWindowLabel, resolveDateWindow } from "./codex-date-window.mjs";
+import { resolveOutputSchema, validateJsonValue } from "./codex-output-schema.mjs";
+import { CONFIG_DEFAULTS, CONFIG_SCHEMA } from "./codex-search-config.mjs";
+import { describeFollowUp } from "./codex-search-follow-up.mjs";
 import {
-  CODEX_RESULT_SCHEMA,
   buildCodexPrompt,
+  checkDomainPolicy,
   coerceStructuredResult,
+  createDomainPolicy,
+  computeRetryDelayMs,
   createProgressCounters,
-  formatProgressStatus,
+  evaluateEscalationTriggers,
+  formatClaimLines,
   normalizeAsOfPeriod,
+  normalizeSchemaMode,
   normalizeSources,
   parseCodexJsonlEvents,
   parseJsonObject,
+  resolveEscalationPolicy,
+  resolveResultSchema,
+  resolveRetryPolicy,
   updateProgressCountersFromEvent
 } from "./codex-runner.mjs";
+import {
+  formatSourceCheckLabel,
+  formatSourceCheckWarnings,
+  normalizeVerifyMode,
+  verifySources
+} from "./codex-source-verification.mjs";
 
-const DEFAULT_TIMEOUT_SEC = 1800;
-const MAX_TIMEOUT_SEC = 7200;
-const DEFAULT_MAX_SOURCES = 8;
 const PROGRESS_HEARTBEAT_MS = 5000;
 const PROGRESS_MIN_INTERVAL_MS = 350;
 
@@ -31,161 +51,450 @@ export async function runSingleCodexSearch(params, options = {}) {
     };
   }
 
+  const outputSchema = resolveOutputSchema(params.output_schema);
+  if (outputSchema.errors.length) {
+    return invalidOutputSchemaResult(question, outputSchema.errors);
+  }
+
+  const dateWindow = resolveDateWindow(params, { now: options.now });
+  if (dateWindow.errors.length) {
+    return invalidDateWindowResult(question, dateWindow.errors);
+  }
+
   const asOfYear = Number.isFinite(params.as_of_year) ? Number(params.as_of_year) : new Date().getUTCFullYear();
   const asOfPeriod = normalizeAsOfPeriod(params.as_of_period);
-  const maxSources = Math.max(1, Math.min(params.max_sources ?? DEFAULT_MAX_SOURCES, 20));
-  const timeoutSec = Math.max(30, Math.min(params.timeout_sec ?? DEFAULT_TIMEOUT_SEC, MAX_TIMEOUT_SEC));
-  const failOnCommandEvent = params.fail_on_command_event !== false;
-  const startedAt = Date.now();
-  const progress = createProgressCounters();
+  const maxSources = Math.max(
+    CONFIG_SCHEMA.max_sources.min,
+    Math.min(params.max_sources ?? CONFIG_DEFAULTS.max_sources, CONFIG_SCHEMA.max_sources.max)
+  );
+  const timeoutSec = Math.max(
+    CONFIG_SCHEMA.timeout_sec.min,
+    Math.min(params.timeout_sec ?? CONFIG_DEFAULTS.timeout_sec, CONFIG_SCHEMA.timeout_sec.max)
+  );
+  const failOnCommandEvent =
+    typeof params.fail_on_command_event === "boolean"
+      ? params.fail_on_command_event
+      : CONFIG_DEFAULTS.fail_on_command_event;
+  const schemaMode = normalizeSchemaMode(params.schema_mode);
+  const domainPolicy = createDomainPolicy({
+    includeDomains: params.include_domains,
+    excludeDomains: params.exclude_domains
+  });
+  const strictDomains = params.strict_domains === true;
+  const verifyMode = normalizeVerifyMode(params.verify_sources);
+  const retryPolicy = resolveRetryPolicy(params);
+  const backend = options.backend ?? resolveSearchBackend(params.backend, options.backendConfig);
+  if (!backend) {
+    const requested = params.backend || process.env.PI_CODEX_SEARCH_BACKEND;
+    return {
+      ok: false,
+      text: `codex_search error: unknown backend "${requested}" (expected one of: ${SEARCH_BACKENDS.join(", ")})`,
+      details: { error: true, reason: "unknown_backend", query: question, backend: requested }
+    };
+  }
 
-  const emit = options.onUpdate;
-  let lastProgressEmitAt = 0;
-  const emitProgress = (force = false) => {
-    if (!emit) return;
-    const now = Date.now();
-    if (!force && now - lastProgressEmitAt < PROGRESS_MIN_INTERVAL_MS) return;
-    lastProgressEmitAt = now;
-    emit(formatProgressStatus(progress, startedAt));
-  };
+  const startedAt = Date.now();
 
   const prompt = buildCodexPrompt({
     question,
     asOfPeriod,
-    asOfYear
+    asOfYear,
+    schemaMode,
+    domainPolicy,
+    outputSchema: outputSchema.schema,
+    dateWindow: dateWindow.window,
+    followUp: options.followUp
+  });
+
+  const budget = createUsageBudget({
+    scope: "question",
+    limits: resolveTokenLimits(params, "question"),
+    parent: options.budget ?? null
+  });
+
+  options.onProgress?.({
+    ...buildProgressEvent("prompt", { question, startedAt, budget }, createProgressCounters()),
+    prompt
   });
 
-  if (emit) {
-    emit(["Codex prompt:", prompt].join("\n"));
+  const attemptParams = {
+    question,
+    prompt,
+    model: params.model,
+    asOfPeriod,
+    asOfYear,
+    maxSources,
+    timeoutSec,
+    failOnCommandEvent,
+    schemaMode,
+    domainPolicy,
+    strictDomains,
+    verifyMode,
+    outputSchema: outputSchema.schema,
+    dateWindow: dateWindow.window,
+    backend,
+    startedAt,
+    budget,
+    followUp: describeFollowUp(options.followUp)
+  };
+
+  const escalationPolicy = resolveEscalationPolicy(params);
+  const runs = [];
+  let run = await runWithRetries(attemptParams, retryPolicy, options);
+  runs.push({ step: 0, model: params.model || null, timeoutSec, ...run });
+
+  for (let step = 1; escalationPolicy && step <= escalationPolicy.chain.length; step += 1) {
+    const previous = runs[runs.length - 1];
+    const triggers = previous.result.ok
+      ? evaluateEscalationTriggers(previous.result.details.structured, escalationPolicy)
+      : [];
+    previous.triggers = triggers;
+    if (!triggers.length || options.signal?.aborted) break;
+
+    const { model, timeoutSec: stepTimeoutSec } = escalationPolicy.chain[step - 1];
+    const escalated = {
+      ...attemptParams,
+      model: model ?? attemptParams.model,
+      escalationStep: step,
+      timeoutSec: stepTimeoutSec
+        ? Math.max(CONFIG_SCHEMA.timeout_sec.min, Math.min(stepTimeoutSec, CONFIG_SCHEMA.timeout_sec.max))
+        : attemptParams.timeoutSec
+    };
+
+    options.onProgress?.(
+      buildProgressEvent("escalating", escalated, {
+        ...createProgressCounters(),
+        lastAction: `escalating to ${escalated.model || "default model"} (${triggers.join(", ")})`
+      })
+    );
+
+    run = await runWithRetries(escalated, retryPolicy, options);
+    runs.push({ step, model: escalated.model || null, timeoutSec: escalated.timeoutSec, ...run });
   }
 
-  const tempDir = await mkdtemp(join(tmpdir(), "pi-codex-search-"));
-  const schemaPath = join(tempDir, "schema.json");
-  const outputPath = join(tempDir, "output.json");
+  const last = runs[runs.length - 1];
+  if (escalationPolicy && !last.triggers) {
+    last.triggers = last.result.ok ? evaluateEscalationTriggers(last.result.details.structured, escalationPolicy) : [];
+  }
 
-  try {
-    await writeFile(schemaPath, JSON.stringify(CODEX_RESULT_SCHEMA, null, 2), "utf8");
-
-    const args = [
-      "--search",
-      "exec",
-      "--ephemeral",
-      "--skip-git-repo-check",
-      "--sandbox",
-      "read-only",
-      "--json",
-      "--output-schema",
-      schemaPath,
-      "-o",
-      outputPath
-    ];
+  const selected = runs.reduce((best, candidate) => (compareRuns(candidate, best) >= 0 ? candidate : best));
+  const { result } = selected;
+  const attempts = runs.flatMap((entry) =>
+    escalationPolicy ? entry.attempts.map((attempt) => ({ ...attempt, escalationStep: entry.step })) : entry.attempts
+  );
+  const usage = addUsage(...attempts.map((entry) => entry.usage));
+  const priceTable = resolvePriceTable(options.priceTable);
+  const runCosts = runs.map((entry) =>
+    estimateCostUsd(addUsage(...entry.attempts.map((attempt) => attempt.usage)), entry.model, priceTable)
+  );
+
+  const escalation = escalationPolicy
+    ? {
+        threshold: escalationPolicy.threshold,
+        minSources: escalationPolicy.minSources,
+        chain: escalationPolicy.chain,
+        triggered: runs.length > 1,
+        selectedStep: selected.step,
+        runs: runs.map((entry) => ({
+          step: entry.step,
+          model: entry.model,
+          timeoutSec: entry.timeoutSec,
+          ok: entry.result.ok,
+          reason: entry.result.ok ? null : entry.result.details?.reason || "unknown",
+          confidence: entry.result.ok ? entry.result.details.structured.confidence : null,
+          sourceCount: entry.result.ok ? entry.result.details.structured.sources.length : null,
+          triggers: entry.triggers ?? [],
+          attempts: entry.attempts.length,
+          usage: addUsage(...entry.attempts.map((attempt) => attempt.usage))
+        }))
+      }
+    : undefined;
+
+  const text =
+    !result.ok && selected.attempts.length > 1
+      ? `${result.text} (after ${selected.attempts.length} attempts)`
+      : result.text;
+  const estimatedCostUsd = runCosts.includes(null)
+    ? null
+    : Math.round(runCosts.reduce((sum, cost) => sum + cost, 0) * 1_000_000) / 1_000_000;
+  const debug = await options.debug?.finish(result);
+
+  return {
+    ...result,
+    text: escalation?.triggered ? [text, "", ...formatEscalationLines(escalation)].join("\n") : text,
+    details: {
+      ...result.details,
+      backend: backend.name,
+      attempts,
+      retryPolicy,
+      ...(escalation ? { escalation } : {}),
+      ...(debug ? { debug } : {}),
+      usage,
+      estimatedCostUsd
+    }
+  };
+}
 
-    if (params.model?.trim()) {
-      args.push("--model", params.model.trim());
+function compareRuns(a, b) {
+  if (a.result.ok !== b.result.ok) return a.result.ok ? 1 : -1;
+  if (!a.result.ok) return 0;
+  const passedA = a.triggers?.length === 0;
+  const passedB = b.triggers?.length === 0;
+  if (passedA !== passedB) return passedA ? 1 : -1;
+  const structuredA = a.result.details.structured;
+  const structuredB = b.result.details.structured;
+  if (structuredA.confidence !== structuredB.confidence) return structuredA.confidence > structuredB.confidence ? 1 : -1;
+  return structuredA.sources.length - structuredB.sources.length;
+}
+
+function formatEscalationLines(escalation) {
+  return [
+    "Escalation:",
+    ...escalation.runs.map((entry) => {
+      const label = `- step ${entry.step} (model ${entry.model || "default"}, timeout ${entry.timeoutSec}s)`;
+      const outcome = entry.ok
+        ? `confidence ${entry.confidence}, ${entry.sourceCount} source(s)`
+        : `failed (${entry.reason})`;
+      const triggers = entry.triggers.length ? ` [${entry.triggers.join(", ")}]` : "";
+      const selected = entry.step === escalation.selectedStep ? " (selected)" : "";
+      return `${label}: ${outcome}${triggers}${selected}`;
+    })
+  ];
+}
+
+async function runWithRetries(attemptParams, retryPolicy, options) {
+  const { question, prompt, startedAt, budget } = attemptParams;
+  const attempts = [];
+  let result;
+
+  for (let attempt = 1; attempt <= retryPolicy.maxAttempts; attempt += 1) {
+    const exceeded = budget.check();
+    if (exceeded) {
+      result = budgetExceededResult(question, prompt, exceeded, startedAt);
+      break;
     }
 
-    args.push(prompt);
+    const attemptStartedAt = Date.now();
+    result = await runCodexSearchAttempt({ ...attemptParams, attempt, maxAttempts: retryPolicy.maxAttempts }, options);
+
+    const reason = result.ok ? null : result.details?.reason || "unknown";
+    const record = {
+      attempt,
+      ok: result.ok,
+      reason,
+      exitCode: result.details?.exitCode ?? null,
+      elapsedSeconds: Math.max(0, Math.floor((Date.now() - attemptStartedAt) / 1000)),
+      telemetry: result.details?.telemetry ?? null,
+      progress: result.details?.progress ?? null,
+      usage: result.details?.usage ?? normalizeUsage(null)
+    };
+    attempts.push(record);
+
+    if (result.ok || attempt >= retryPolicy.maxAttempts) break;
+    if (!retryPolicy.retryOn.includes(reason) || options.signal?.aborted) break;
+
+    const delayMs = computeRetryDelayMs(retryPolicy, attempt);
+    record.retryDelayMs = delayMs;
+    options.onProgress?.(
+      buildProgressEvent(
+        "retrying",
+        { ...attemptParams, attempt, maxAttempts: retryPolicy.maxAttempts },
+        { ...createProgressCounters(), lastAction: `retrying in ${Math.round(delayMs / 1000)}s after ${reason}` }
+      )
+    );
+
+    if (!(await waitForRetry(delayMs, options.signal))) break;
+  }
 
-    emitProgress(true);
+  return { result, attempts };
+}
+
+function buildProgressEvent(phase, attemptParams, counters, pendingUsage = null) {
+  return {
+    type: "question",
+    phase,
+    question: attemptParams.question,
+    attempt: attemptParams.attempt ?? null,
+    maxAttempts: attemptParams.maxAttempts ?? null,
+    escalationStep: attemptParams.escalationStep ?? null,
+    elapsedSeconds: Math.max(0, Math.floor((Date.now() - attemptParams.startedAt) / 1000)),
+    searches: counters.searches,
+    pagesOpened: counters.pagesOpened,
+    lastAction: counters.lastAction,
+    latestQuery: counters.latestQuery,
+    latestUrl: counters.latestUrl,
+    recent: [...counters.recent],
+    trace: [...counters.trace],
+    usage: addUsage(attemptParams.budget.usage, pendingUsage)
+  };
+}
+
+function formatSchemaErrors(title, errors) {
+  return [`codex_search error: ${title}`, ...errors.map((error) => `- ${error}`)].join("\n");
+}
+
+function invalidDateWindowResult(question, errors) {
+  return {
+    ok: false,
+    text: ["codex_search error: invalid date window", ...errors.map((error) => `- ${error}`)].join("\n"),
+    details: { error: true, reason: "invalid_date_window", query: question, errors }
+  };
+}
+
+function invalidOutputSchemaResult(question, errors) {
+  return {
+    ok: false,
+    text: formatSchemaErrors("invalid output_schema", errors),
+    details: { error: true, reason: "invalid_output_schema", query: question, schemaErrors: errors }
+  };
+}
 
-    const child = spawn("codex", args, {
-      stdio: ["ignore", "pipe", "pipe"],
-      env: process.env
-    });
-
-    let stdout = "";
-    let stderr = "";
-    let lineBuffer = "";
-    let timedOut = false;
-    let aborted = false;
-
-    const readStdoutLine = (line) => {
-      if (!line.trim()) return;
-      let event;
-      try {
-        event = JSON.parse(line);
-      } catch {
-        return;
+function budgetExceededResult(question, prompt, exceeded, startedAt, extraDetails = {}) {
+  return {
+    ok: false,
+    text: `codex_search budget error: ${formatBudgetExceeded(exceeded)}`,
+    details: {
+      error: true,
+      reason: "budget_exceeded",
+      query: question,
+      codex_prompt: prompt,
+      budgetExceeded: exceeded,
+      ...extraDetails,
+      progress: {
+        elapsedSeconds: Math.max(0, Math.floor((Date.now() - startedAt) / 1000)),
+        searches: extraDetails.progress?.searches ?? 0,
+        pagesOpened: extraDetails.progress?.pagesOpened ?? 0
       }
+    }
+  };
+}
 
-      const update = updateProgressCountersFromEvent(event, progress);
-      if (update.changed) emitProgress();
+function waitForRetry(delayMs, signal) {
+  if (signal?.aborted) return Promise.resolve(false);
+  return new Promise((resolve) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      resolve(false);
     };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve(true);
+    }, delayMs);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
 
-    child.stdout.on("data", (chunk) => {
-      const text = String(chunk);
-      stdout += text;
-      lineBuffer += text;
-
-      let index = lineBuffer.indexOf("\n");
-      while (index !== -1) {
-        const line = lineBuffer.slice(0, index);
-        lineBuffer = lineBuffer.slice(index + 1);
-        readStdoutLine(line);
-        index = lineBuffer.indexOf("\n");
-      }
-    });
+async function runCodexSearchAttempt(attemptParams, options) {
+  const {
+    question,
+    prompt,
+    model,
+    asOfPeriod,
+    asOfYear,
+    maxSources,
+    timeoutSec,
+    failOnCommandEvent,
+    schemaMode,
+    domainPolicy,
+    strictDomains,
+    verifyMode,
+    backend,
+    startedAt,
+    attempt,
+    maxAttempts,
+    budget,
+    outputSchema,
+    dateWindow,
+    followUp
+  } = attemptParams;
+  const progress = createProgressCounters();
+  const controller = new AbortController();
+  const abortFromCaller = () => controller.abort();
+  if (options.signal?.aborted) controller.abort();
+  else options.signal?.addEventListener("abort", abortFromCaller, { once: true });
 
-    child.stderr.on("data", (chunk) => {
-      stderr += String(chunk);
-    });
+  let streamedUsage = null;
+  let budgetExceeded = null;
 
-    const progressTimer = setInterval(() => {
-      emitProgress(true);
-    }, PROGRESS_HEARTBEAT_MS);
+  const onProgress = options.onProgress;
+  let lastProgressEmitAt = 0;
+  const emitProgress = (force = false, pendingUsage = streamedUsage) => {
+    if (!onProgress) return;
+    const now = Date.now();
+    if (!force && now - lastProgressEmitAt < PROGRESS_MIN_INTERVAL_MS) return;
+    lastProgressEmitAt = now;
+    onProgress(buildProgressEvent("searching", attemptParams, progress, pendingUsage));
+  };
 
-    const timeoutTimer = setTimeout(() => {
-      timedOut = true;
-      progress.lastAction = `timeout after ${timeoutSec}s`;
-      emitProgress(true);
-      child.kill("SIGTERM");
-      setTimeout(() => child.kill("SIGKILL"), 1500).unref();
-    }, timeoutSec * 1000);
+  try {
+    emitProgress(true);
 
-    const abortListener = () => {
-      aborted = true;
-      progress.lastAction = "aborted";
+    const progressTimer = setInterval(() => {
       emitProgress(true);
-      child.kill("SIGTERM");
-      setTimeout(() => child.kill("SIGKILL"), 1500).unref();
-    };
-
-    if (options.signal) {
-      if (options.signal.aborted) abortListener();
-      else options.signal.addEventListener("abort", abortListener, { once: true });
-    }
+    }, PROGRESS_HEARTBEAT_MS);
 
-    const exitCode = await new Promise((resolve, reject) => {
-      child.once("error", (error) => {
-        reject(error);
-      });
-      child.once("close", (code) => {
-        resolve(code ?? -1);
+    const schema = resolveResultSchema(schemaMode, outputSchema);
+    const runStartedAt = Date.now();
+    const run = await backend
+      .run(
+        {
+          prompt,
+          schema,
+          model,
+          timeoutSec
+        },
+        {
+          signal: controller.signal,
+          onEvent: (event) => {
+            const update = updateProgressCountersFromEvent(event, progress);
+            if (update.changed) emitProgress();
+
+            if (event?.type !== "turn.completed" || !event.usage) return;
+            streamedUsage = addUsage(streamedUsage, event.usage);
+            const exceeded = budget.check(streamedUsage);
+            if (exceeded && !budgetExceeded) {
+              budgetExceeded = exceeded;
+              progress.lastAction = `cancelled: ${formatBudgetExceeded(exceeded)}`;
+              emitProgress(true);
+              controller.abort();
+            }
+          },
+          onAction: (action) => {
+            progress.lastAction = action;
+            emitProgress(true);
+          }
+        }
+      )
+      .finally(() => {
+        clearInterval(progressTimer);
+        options.signal?.removeEventListener("abort", abortFromCaller);
       });
-    }).finally(() => {
-      clearInterval(progressTimer);
-      clearTimeout(timeoutTimer);
-      if (options.signal) options.signal.removeEventListener("abort", abortListener);
-    });
 
-    if (lineBuffer.trim()) readStdoutLine(lineBuffer);
+    await options.debug?.recordAttempt({ attempt, model, timeoutSec, prompt, schema, run, startedAt: runStartedAt });
 
-    const telemetry = parseCodexJsonlEvents(stdout);
-    progress.lastAction = telemetry.usage ? "finalized" : progress.lastAction;
-    emitProgress(true);
+    const { exitCode, stdout, stderr, finalText, timedOut, aborted } = run;
+
+    const telemetry = parseCodexJsonlEvents(stdout, { domainPolicy });
+    const usage = streamedUsage ?? normalizeUsage(telemetry.usage);
+    budget.add(usage);
+    progress.lastAction = telemetry.usage && !budgetExceeded ? "finalized" : progress.lastAction;
+    emitProgress(true, null);
 
-    let finalText = "";
-    try {
-      finalText = await readFile(outputPath, "utf8");
-    } catch {
-      finalText = "";
+    if (exitCode !== 0 && budgetExceeded && aborted) {
+      return budgetExceededResult(question, prompt, budgetExceeded, startedAt, {
+        exitCode,
+        stderr,
+        telemetry,
+        usage,
+        progress
+      });
     }
 
     if (exitCode !== 0) {
       const reason = timedOut ? "timeout" : aborted ? "aborted" : "non_zero_exit";
       return {
         ok: false,
-        text: `codex_search error: codex exited with code ${exitCode}`,
+        text: `codex_search error: ${backend.label} exited with code ${exitCode}`,
         details: {
           error: true,
           reason,
@@ -195,6 +504,7 @@ export async function runSingleCodexSearch(params, options = {}) {
           stderr,
           stdoutTail: stdout.slice(-4000),
           telemetry,
+          usage,
           progress: {
             elapsedSeconds: Math.max(0, Math.floor((Date.now() - startedAt) / 1000)),
             searches: progress.searches,
@@ -205,7 +515,30 @@ export async function runSingleCodexSearch(params, options = {}) {
     }
 
     const parsed = parseJsonObject(finalText);
-    const structured = coerceStructuredResult(parsed);
+    const schemaErrors = outputSchema && parsed ? validateJsonValue(parsed.data, outputSchema) : [];
+    if (schemaErrors.length) {
+      return {
+        ok: false,
+        text: formatSchemaErrors("output does not match output_schema", schemaErrors),
+        details: {
+          error: true,
+          reason: "output_schema_mismatch",
+          query: question,
+          codex_prompt: prompt,
+          schemaErrors,
+          rawOutput: finalText.slice(0, 4000),
+          telemetry,
+          usage,
+          progress: {
+            elapsedSeconds: Math.max(0, Math.floor((Date.now() - startedAt) / 1000)),
+            searches: progress.searches,
+            pagesOpened: progress.pagesOpened
+          }
+        }
+      };
+    }
+
+    const structured = coerceStructuredResult(parsed, { schemaMode, domainPolicy, outputSchema, maxSources });
 
     if (!structured) {
       const noFinalOutput = !finalText.trim();
@@ -225,6 +558,7 @@ export async function runSingleCodexSearch(params, options = {}) {
             : undefined,
           rawOutput: finalText.slice(0, 4000),
           telemetry,
+          usage,
           progress: {
             elapsedSeconds: Math.max(0, Math.floor((Date.now() - startedAt) / 1000)),
             searches: progress.searches,
@@ -234,13 +568,69 @@ export async function runSingleCodexSearch(params, options = {}) {
       };
     }
 
-    structured.sources = normalizeSources(structured.sources, maxSources);
-
     const policyWarnings = [];
     if (telemetry.commandEvents.length > 0) {
       policyWarnings.push(`Detected ${telemetry.commandEvents.length} command-like event(s) in Codex JSONL trace.`);
     }
 
+    const rejectedSources = domainPolicy
+      ? normalizeSources(parsed.sources || [], 20).filter((source) => !checkDomainPolicy(source, domainPolicy).allowed)
+      : [];
+    if (rejectedSources.length > 0) {
+      policyWarnings.push(`Removed ${rejectedSources.length} source(s) outside the domain policy.`);
+    }
+
+    if (budgetExceeded) {
+      policyWarnings.push(`${formatBudgetExceeded(budgetExceeded)}; no further attempts or questions will start.`);
+    }
+
+    const asOfCheck = dateWindow ? checkReportedAsOf(structured.as_of, dateWindow) : null;
+    if (asOfCheck?.status === "outside") {
+      policyWarnings.push(
+        `Reported as-of "${structured.as_of}" falls outside the requested window (${formatDateWindowLabel(dateWindow)}).`
+      );
+    }
+
+    if (telemetry.domainViolations.length > 0) {
+      const hosts = [...new Set(telemetry.domainViolations.map((violation) => violation.host))];
+      policyWarnings.push(
+        `Opened ${telemetry.domainViolations.length} page(s) outside the domain policy: ${hosts.join(", ")}.`
+      );
+    }
+
+    const domainPolicyDetails = domainPolicy
+      ? {
+          include: domainPolicy.include,
+          exclude: domainPolicy.exclude,
+          strict: strictDomains,
+          rejectedSources,
+          violations: telemetry.domainViolations
+        }
+      : undefined;
+
+    if (strictDomains && telemetry.domainViolations.length > 0) {
+      return {
+        ok: false,
+        text: "codex_search policy error: Codex opened pages outside the domain policy",
+        details: {
+          error: true,
+          reason: "domain_policy_violation",
+          query: question,
+          codex_prompt: prompt,
+          structured,
+          telemetry,
+          usage,
+          policyWarnings,
+          domainPolicy: domainPolicyDetails,
+          progress: {
+            elapsedSeconds: Math.max(0, Math.floor((Date.now() - startedAt) / 1000)),
+            searches: progress.searches,
+            pagesOpened: progress.pagesOpened
+          }
+        }
+      };
+    }
+
     if (failOnCommandEvent && telemetry.commandEvents.length > 0) {
       return {
         ok: false,
@@ -252,6 +642,7 @@ export async function runSingleCodexSearch(params, options = {}) {
           codex_prompt: prompt,
           structured,
           telemetry,
+          usage,
           policyWarnings,
           progress: {
             elapsedSeconds: Math.max(0, Math.floor((Date.now() - startedAt) / 1000)),
@@ -262,9 +653,27 @@ export async function runSingleCodexSearch(params, options = {}) {
       };
     }
 
-    const sourceLines = structured.sources.map((source, i) => `${i + 1}. ${source}`);
+    let sourceChecks;
+    if (verifyMode !== "off") {
+      progress.lastAction = "verifying sources";
+      emitProgress(true, null);
+      sourceChecks = await verifySources(structured.sources, {
+        mode: verifyMode,
+        searchTrace: telemetry.searchTrace,
+        fetch: options.fetch,
+        signal: options.signal
+      });
+      policyWarnings.push(...formatSourceCheckWarnings(sourceChecks));
+    }
+
+    const sourceLines = structured.sources.map(
+      (source, i) => `${i + 1}. ${source}${formatSourceCheckLabel(sourceChecks?.checks[i])}`
+    );
+    const claimLines = formatClaimLines(structured.claims, structured.sources);
     const content = [
       `${structured.answer}`,
+      ...(claimLines.length ? ["", "Claims:", ...claimLines] : []),
+      ...(outputSchema ? ["", "Data:", JSON.stringify(structured.data, null, 2)] : []),
       "",
       `Query: ${question}`,
       "",
@@ -272,6 +681,7 @@ export async function runSingleCodexSearch(params, options = {}) {
       prompt,
       "",
       `As of: ${structured.as_of}`,
+      ...(dateWindow ? [`Requested window: ${formatDateWindowLabel(dateWindow)}`] : []),
       `Confidence: ${structured.confidence}`,
       "",
       "Sources:",
@@ -280,7 +690,8 @@ export async function runSingleCodexSearch(params, options = {}) {
       "Progress:",
       `- elapsed: ${Math.max(0, Math.floor((Date.now() - startedAt) / 1000))}s`,
       `- searches: ${progress.searches}`,
-      `- pages opened: ${progress.pagesOpened}`
+      `- pages opened: ${progress.pagesOpened}`,
+      ...(maxAttempts > 1 ? [`- attempt: ${attempt}/${maxAttempts}`] : [])
     ];
 
     if (structured.notes) {
@@ -299,10 +710,17 @@ export async function runSingleCodexSearch(params, options = {}) {
         codex_prompt: prompt,
         as_of_period: asOfPeriod,
         as_of_year: asOfYear,
-        model: params.model || null,
+        ...(dateWindow ? { dateWindow: { ...dateWindow, check: asOfCheck } } : {}),
+        schema_mode: schemaMode,
+        model: model || null,
+        ...(followUp ? { followUp } : {}),
         structured,
         telemetry,
+        usage,
+        ...(budgetExceeded ? { budgetExceeded } : {}),
         policyWarnings,
+        domainPolicy: domainPolicyDetails,
+        sourceChecks,
         progress: {
           elapsedSeconds: Math.max(0, Math.floor((Date.now() - startedAt) / 1000)),
           searches: progress.searches,
@@ -328,7 +746,5 @@ export async function runSingleCodexSearch(params, options = {}) {
         }
       }
     };
-  } finally {
-    await rm(tempDir, { recursive: true, force: true });
   }
 }
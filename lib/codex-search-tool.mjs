@@ -1,23 +1,69 @@
-import { normalizeQuestions, resolveParallelism } from "./codex-runner.mjs";
+import { resolveDateWindow } from "./codex-date-window.mjs";
+import { runDeepCodexSearch } from "./codex-deep-research.mjs";
+import { resolveOutputSchema } from "./codex-output-schema.mjs";
+import {
+  addUsage,
+  createUsageBudget,
+  estimateCostUsd,
+  formatBudgetExceeded,
+  formatUsageLine,
+  resolvePriceTable,
+  resolveTokenLimits,
+  sumEntryCostUsd,
+  sumEntryUsage
+} from "./codex-search-budget.mjs";
+import {
+  normalizeQuestionEntries,
+  normalizeSearchMode,
+  resolveBatchTimeoutSec,
+  resolveParallelism
+} from "./codex-runner.mjs";
+import { buildCacheDescriptor, buildCacheKey, normalizeCacheMode, resolveCacheTtlSec } from "./codex-search-cache.mjs";
+import { CONFIG_DEFAULTS, applyConfigToParams, resolveEffectiveConfig } from "./codex-search-config.mjs";
+import { findDuplicateQuestions } from "./codex-search-dedupe.mjs";
+import { applyOutputFormat } from "./codex-search-export.mjs";
+import { buildFollowUpContext, describeFollowUp, resolveFollowUp } from "./codex-search-follow-up.mjs";
+import { buildHistoryRecords } from "./codex-search-history.mjs";
 import { runSingleCodexSearch } from "./codex-search-single.mjs";
+import { mergeResultSources, runCodexSynthesis } from "./codex-synthesis.mjs";
 
-const MAX_PARALLEL_SEARCHES = 5;
 const PROGRESS_HEARTBEAT_MS = 5000;
 const PROGRESS_MIN_INTERVAL_MS = 350;
-const MAX_QUESTION_PREVIEW = 64;
 
 function toSingleSearchParams(question, params) {
   return {
     question,
     as_of_period: params.as_of_period,
     as_of_year: params.as_of_year,
+    as_of: params.as_of,
+    published_after: params.published_after,
+    published_before: params.published_before,
+    recency: params.recency,
     model: params.model,
+    backend: params.backend,
     timeout_sec: params.timeout_sec,
     max_sources: params.max_sources,
-    fail_on_command_event: params.fail_on_command_event
+    fail_on_command_event: params.fail_on_command_event,
+    schema_mode: params.schema_mode,
+    include_domains: params.include_domains,
+    exclude_domains: params.exclude_domains,
+    strict_domains: params.strict_domains,
+    max_attempts: params.max_attempts,
+    retry_backoff_sec: params.retry_backoff_sec,
+    retry_on: params.retry_on,
+    verify_sources: params.verify_sources,
+    escalate_below_confidence: params.escalate_below_confidence,
+    escalate_min_sources: params.escalate_min_sources,
+    escalation: params.escalation,
+    follow_up_of: params.follow_up_of,
+    output_schema: params.output_schema
   };
 }
 
+function toQuestionSearchParams(entry, params) {
+  return toSingleSearchParams(entry.question, { ...params, ...entry.overrides });
+}
+
 function runnerExceptionResult(question, error) {
   const message = error instanceof Error ? error.message : String(error);
   return {
@@ -32,46 +78,186 @@ function runnerExceptionResult(question, error) {
   };
 }
 
-function truncateText(value, max = MAX_QUESTION_PREVIEW) {
-  const text = typeof value === "string" ? value.trim() : "";
-  if (!text) return "";
-  if (text.length <= max) return text;
-  return `${text.slice(0, max - 1)}…`;
+function createCacheContext(params, options) {
+  const cache = options.cache;
+  if (!cache || typeof cache.get !== "function" || typeof cache.set !== "function") return null;
+  return {
+    cache,
+    mode: normalizeCacheMode(params.cache),
+    ttlSec: resolveCacheTtlSec(params.cache_ttl_sec),
+    backendConfig: options.backendConfig
+  };
 }
 
-function toNonNegativeInt(value) {
-  const numeric = Number(value);
-  if (!Number.isFinite(numeric)) return undefined;
-  return Math.max(0, Math.floor(numeric));
+async function lookupCache(cacheContext, singleParams) {
+  if (!cacheContext || cacheContext.mode === "bypass") return null;
+
+  const key = buildCacheKey(singleParams, cacheContext.backendConfig);
+  if (cacheContext.mode !== "use") return { key, hit: null };
+
+  let hit = null;
+  try {
+    hit = await cacheContext.cache.get(key, { ttlSec: cacheContext.ttlSec });
+  } catch {
+    hit = null;
+  }
+  return { key, hit };
+}
+
+async function storeCache(cacheContext, lookup, singleParams, result) {
+  if (!cacheContext || !lookup || !result.ok) return false;
+  try {
+    return (await cacheContext.cache.set(lookup.key, result, buildCacheDescriptor(singleParams, cacheContext.backendConfig))) === true;
+  } catch {
+    return false;
+  }
+}
+
+function withCacheDetails(result, cacheInfo) {
+  if (!cacheInfo) return result;
+  return {
+    ...result,
+    details: {
+      ...(result.details && typeof result.details === "object" ? result.details : {}),
+      cache: cacheInfo
+    }
+  };
 }
 
-function parseNestedProgressUpdate(text) {
-  const lines = String(text || "")
-    .split(/\r?\n/)
-    .map((line) => line.trim())
-    .filter(Boolean);
+function cachedHitResult(cacheContext, lookup) {
+  const { result, storedAt, ageSeconds } = lookup.hit;
+  const storedAtIso = new Date(storedAt).toISOString();
+  return withCacheDetails(
+    {
+      ...result,
+      text: `${result.text}\n\nCache: hit (stored ${storedAtIso}, age ${ageSeconds}s)`
+    },
+    {
+      status: "hit",
+      key: lookup.key,
+      storedAt: storedAtIso,
+      ageSeconds,
+      ttlSec: cacheContext.ttlSec
+    }
+  );
+}
+
+async function runWithCache(cacheContext, lookup, singleParams, run) {
+  const result = await run();
+  if (!cacheContext) return result;
+  if (!lookup) return withCacheDetails(result, { status: "bypass" });
+
+  const stored = await storeCache(cacheContext, lookup, singleParams, result);
+  return withCacheDetails(result, {
+    status: cacheContext.mode === "refresh" ? "refresh" : "miss",
+    key: lookup.key,
+    stored,
+    ttlSec: cacheContext.ttlSec
+  });
+}
+
+async function synthesizeEntries(entries, params, options) {
+  const results = entries
+    .map((entry, index) => ({
+      number: index + 1,
+      question: entry.question,
+      structured: entry.ok && entry.duplicateOf === undefined ? entry.details?.structured : null
+    }))
+    .filter((result) => result.structured && typeof result.structured.answer === "string");
+  const resultNumbers = results.map((result) => result.number);
+  const resultSources = results.map((result) => result.structured.sources);
+
+  if (results.length < 2) {
+    return { ok: false, reason: "not_enough_results", resultNumbers, sources: mergeResultSources(resultSources) };
+  }
+
+  if (options.signal?.aborted) {
+    return { ok: false, reason: "aborted", resultNumbers, sources: mergeResultSources(resultSources) };
+  }
 
-  if (!lines.length) return null;
-  if (!lines.some((line) => /^Running Codex web search/i.test(line))) return null;
+  if (options.budget?.check()) {
+    return { ok: false, reason: "budget_exceeded", resultNumbers, sources: mergeResultSources(resultSources) };
+  }
 
-  const elapsedLine = lines.find((line) => /^elapsed:/i.test(line));
-  const searchesLine = lines.find((line) => /^searches:/i.test(line));
-  const pagesLine = lines.find((line) => /^pages opened:/i.test(line));
-  const actionLine = lines.find((line) => /^last action:/i.test(line));
+  const runSynthesis = typeof options.runSynthesis === "function" ? options.runSynthesis : runCodexSynthesis;
+  let result;
+  try {
+    result = await runSynthesis(
+      {
+        results,
+        as_of_period: params.as_of_period,
+        as_of_year: params.as_of_year,
+        date_window: resolveDateWindow(params, { now: options.now }).window,
+        model: params.model,
+        backend: params.backend,
+        timeout_sec: params.timeout_sec
+      },
+      { signal: options.signal }
+    );
+  } catch (error) {
+    result = runnerExceptionResult(undefined, error);
+  }
+  options.budget?.add(result.details?.telemetry?.usage);
 
-  const elapsedSeconds = toNonNegativeInt(elapsedLine?.match(/(\d+)/)?.[1]);
-  const searches = toNonNegativeInt(searchesLine?.match(/(\d+)/)?.[1]);
-  const pagesOpened = toNonNegativeInt(pagesLine?.match(/(\d+)/)?.[1]);
-  const lastAction = actionLine ? actionLine.replace(/^last action:\s*/i, "").trim() : undefined;
+  if (!result.ok) {
+    return {
+      ok: false,
+      reason: extractFailureReason(result.details),
+      text: result.text,
+      resultNumbers,
+      sources: mergeResultSources(resultSources),
+      details: result.details
+    };
+  }
 
+  const structured = result.details.structured;
   return {
-    elapsedSeconds,
-    searches,
-    pagesOpened,
-    lastAction
+    ok: true,
+    answer: structured.answer,
+    contradictions: structured.contradictions,
+    confidence: structured.confidence,
+    notes: structured.notes,
+    sources: mergeResultSources([structured.sources, ...resultSources]),
+    resultNumbers,
+    telemetry: result.details.telemetry,
+    elapsedSeconds: result.details.elapsedSeconds
   };
 }
 
+function formatSynthesisSection(synthesis) {
+  if (!synthesis.ok) {
+    return ["", "--- Synthesis ---", `Status: error (${synthesis.reason})`];
+  }
+
+  const contradictionLines = synthesis.contradictions.map((entry) => {
+    const numbers = entry.result_numbers.length ? ` (results ${entry.result_numbers.join(", ")})` : "";
+    return `- ${entry.topic}${numbers}${entry.details ? `: ${entry.details}` : ""}`;
+  });
+
+  return [
+    "",
+    "--- Synthesis ---",
+    `Based on results: ${synthesis.resultNumbers.join(", ")}`,
+    "",
+    synthesis.answer,
+    "",
+    "Contradictions:",
+    ...(contradictionLines.length ? contradictionLines : ["(none)"]),
+    "",
+    `Confidence: ${synthesis.confidence}`,
+    "",
+    "Sources:",
+    ...(synthesis.sources.length ? synthesis.sources.map((source, i) => `${i + 1}. ${source}`) : ["(none)"]),
+    ...(synthesis.notes ? ["", `Notes: ${synthesis.notes}`] : [])
+  ];
+}
+
+function toNonNegativeInt(value) {
+  const numeric = Number(value);
+  if (!Number.isFinite(numeric)) return undefined;
+  return Math.max(0, Math.floor(numeric));
+}
+
 function extractProgressFromResultDetails(details) {
   if (!details || typeof details !== "object") return {};
   const progress = details.progress;
@@ -90,41 +276,99 @@ function extractFailureReason(details) {
   return "unknown";
 }
 
-function createRunState(question, index) {
+function createBatchStop({ timeoutSec = null, signal = null, parent = null } = {}) {
+  const outer = parent ? parent.signal : signal;
+  const controller = new AbortController();
+  let reason = null;
+
+  const stop = (stopReason) => {
+    if (controller.signal.aborted) return;
+    reason = stopReason;
+    controller.abort();
+  };
+  const abortFromOuter = () => stop(parent?.reason ?? "abort");
+  if (outer?.aborted) abortFromOuter();
+  else outer?.addEventListener("abort", abortFromOuter, { once: true });
+  const timer = timeoutSec ? setTimeout(() => stop("batch_timeout"), timeoutSec * 1000) : null;
+
+  return {
+    signal: controller.signal,
+    timeoutSec: timeoutSec ?? parent?.timeoutSec ?? null,
+    stop,
+
+    get reason() {
+      return reason;
+    },
+
+    dispose() {
+      clearTimeout(timer);
+      outer?.removeEventListener("abort", abortFromOuter);
+    }
+  };
+}
+
+function describeBatchStop(batchStop) {
+  if (batchStop.reason === "batch_timeout") return `the batch timeout (${batchStop.timeoutSec}s) was reached`;
+  if (batchStop.reason === "fail_fast") return "another query failed (fail_fast)";
+  return "the batch was aborted";
+}
+
+function stoppedRunResult(result, batchStop) {
+  if (result.ok || result.details?.reason !== "aborted") return result;
+  if (batchStop.reason !== "batch_timeout" && batchStop.reason !== "fail_fast") return result;
+
+  return {
+    ok: false,
+    text: `codex_search error: query was cancelled because ${describeBatchStop(batchStop)}`,
+    details: {
+      ...result.details,
+      error: true,
+      reason: batchStop.reason === "batch_timeout" ? "batch_timeout" : "cancelled_fail_fast"
+    }
+  };
+}
+
+function notStartedReason(budgetExceeded, batchStop) {
+  if (budgetExceeded) return "not_started_due_budget";
+  if (batchStop.reason === "batch_timeout") return "not_started_due_batch_timeout";
+  if (batchStop.reason === "fail_fast") return "not_started_due_fail_fast";
+  return "not_started_due_abort";
+}
+
+function createRunState(entry, index) {
   return {
     index,
-    question,
+    question: entry.question,
+    priority: entry.priority,
+    overrides: entry.overrides,
+    duplicateOf: null,
+    similarity: null,
+    duplicates: [],
     status: "pending",
     elapsedSeconds: 0,
     searches: 0,
     pagesOpened: 0,
     lastAction: "queued",
+    latestQuery: null,
+    latestUrl: null,
+    recent: [],
+    trace: [],
+    cache: null,
+    attempt: null,
+    attempts: null,
     startedAt: 0,
     updatedAt: Date.now()
   };
 }
 
-function formatRunStateLine(state, total) {
-  const label = `[${state.index + 1}/${total}] ${truncateText(state.question)}`;
-  const stats = `s=${state.searches} p=${state.pagesOpened}`;
-
-  if (state.status === "pending") {
-    return `${label} | pending`;
-  }
-
-  if (state.status === "running") {
-    return `${label} | running | ${state.elapsedSeconds}s | ${stats} | ${state.lastAction}`;
-  }
-
-  if (state.status === "ok") {
-    return `${label} | ok | ${state.elapsedSeconds}s | ${stats}`;
+async function executeCodexSearch(params, options) {
+  const questionEntries = normalizeQuestionEntries(params.questions);
+  if (normalizeSearchMode(params.mode) === "deep") {
+    const deepParams = questionEntries.length === 1 ? { ...params, ...questionEntries[0].overrides } : params;
+    return runDeepCodexSearch(deepParams, { ...options, runBatch: executeCodexSearch });
   }
 
-  return `${label} | failed | ${state.elapsedSeconds}s | ${stats} | ${state.lastAction}`;
-}
-
-export async function runCodexSearch(params, options = {}) {
-  const questions = normalizeQuestions(params.questions);
+  const questions = questionEntries.map((entry) => entry.question);
   if (!questions.length) {
     return {
       ok: false,
@@ -134,83 +378,198 @@ export async function runCodexSearch(params, options = {}) {
   }
 
   const runSingle = typeof options.runSingle === "function" ? options.runSingle : runSingleCodexSearch;
+  const cacheContext = createCacheContext(params, options);
+  const budget = createUsageBudget({
+    scope: "batch",
+    limits: resolveTokenLimits(params, "batch"),
+    parent: options.budget ?? null
+  });
 
   if (questions.length === 1) {
-    try {
-      return await runSingle(toSingleSearchParams(questions[0], params), {
-        signal: options.signal,
-        onUpdate: options.onUpdate
-      });
-    } catch (error) {
-      return runnerExceptionResult(questions[0], error);
-    }
+    const singleParams = toQuestionSearchParams(questionEntries[0], params);
+    const lookup = await lookupCache(cacheContext, singleParams);
+    if (lookup?.hit) return cachedHitResult(cacheContext, lookup);
+
+    const debugBatch = await options.debugTraces?.openBatch(params.debug_dir, options.cwd);
+    const batchStop = createBatchStop({ parent: options.callStop, signal: options.signal });
+    const result = await runWithCache(cacheContext, lookup, singleParams, async () => {
+      try {
+        const single = await runSingle(singleParams, {
+          signal: batchStop.timeoutSec ? batchStop.signal : options.signal,
+          onProgress: options.onProgress,
+          budget,
+          priceTable: options.priceTable,
+          fetch: options.fetch,
+          followUp: options.followUp,
+          now: options.now,
+          debug: debugBatch?.run(0, questions[0])
+        });
+        return stoppedRunResult(single, batchStop);
+      } catch (error) {
+        return runnerExceptionResult(questions[0], error);
+      } finally {
+        batchStop.dispose();
+      }
+    });
+    const debug = await debugBatch?.close([result]);
+    if (!debug) return result;
+    return {
+      ...result,
+      details: {
+        ...result.details,
+        debug: { ...result.details?.debug, batchDir: debug.dir, ...(debug.errors ? { errors: debug.errors } : {}) }
+      }
+    };
   }
 
-  const parallelism = resolveParallelism(params.parallelism, questions.length, MAX_PARALLEL_SEARCHES);
   const startedAt = Date.now();
-  const emit = options.onUpdate;
+  const onProgress = options.onProgress;
 
   const entries = new Array(questions.length);
-  const runStates = questions.map((question, index) => createRunState(question, index));
+  const runStates = questionEntries.map((entry, index) => createRunState(entry, index));
+  const searchParams = questionEntries.map((entry) => toQuestionSearchParams(entry, params));
+  const duplicates = findDuplicateQuestions(searchParams, {
+    enabled: params.dedupe !== false,
+    similarity: params.dedupe_similarity
+  });
+  duplicates.forEach((duplicate, index) => {
+    if (!duplicate) return;
+    const state = runStates[index];
+    state.duplicateOf = duplicate.index;
+    state.similarity = duplicate.similarity;
+    state.lastAction = `duplicate of query ${duplicate.index + 1}`;
+    runStates[duplicate.index].duplicates.push(index);
+  });
+  const lookups = await Promise.all(
+    searchParams.map((singleParams, index) => (duplicates[index] ? null : lookupCache(cacheContext, singleParams)))
+  );
 
-  let nextIndex = 0;
-  let running = 0;
   let completed = 0;
   let failed = 0;
+  let cacheHits = 0;
+  const pendingIndexes = [];
+
+  const settleDuplicates = (index) => {
+    const source = runStates[index];
+    for (const duplicateIndex of source.duplicates) {
+      const state = runStates[duplicateIndex];
+      entries[duplicateIndex] = { ...entries[index], question: questions[duplicateIndex], duplicateOf: index };
+      state.status = source.status;
+      state.elapsedSeconds = source.elapsedSeconds;
+      state.searches = source.searches;
+      state.pagesOpened = source.pagesOpened;
+      state.cache = source.cache;
+      state.attempts = source.attempts;
+      state.updatedAt = Date.now();
+      completed += 1;
+      if (!entries[index].ok) failed += 1;
+    }
+  };
+
+  for (let i = 0; i < questions.length; i += 1) {
+    if (duplicates[i]) continue;
+    const lookup = lookups[i];
+    const state = runStates[i];
+
+    if (!lookup?.hit) {
+      if (cacheContext) state.cache = lookup ? (cacheContext.mode === "refresh" ? "refresh" : "miss") : "bypass";
+      pendingIndexes.push(i);
+      continue;
+    }
+
+    const result = cachedHitResult(cacheContext, lookup);
+    entries[i] = {
+      question: questions[i],
+      ok: result.ok,
+      text: result.text,
+      details: result.details
+    };
+
+    const resultProgress = extractProgressFromResultDetails(result.details);
+    if (resultProgress.elapsedSeconds !== undefined) state.elapsedSeconds = resultProgress.elapsedSeconds;
+    if (resultProgress.searches !== undefined) state.searches = resultProgress.searches;
+    if (resultProgress.pagesOpened !== undefined) state.pagesOpened = resultProgress.pagesOpened;
+
+    state.status = "ok";
+    state.cache = "hit";
+    state.lastAction = "cache hit";
+    state.updatedAt = Date.now();
+    completed += 1;
+    cacheHits += 1;
+    settleDuplicates(i);
+  }
+
+  const schedulingPriority = (index) =>
+    Math.max(...[index, ...runStates[index].duplicates].map((position) => questionEntries[position].priority));
+  pendingIndexes.sort((a, b) => schedulingPriority(b) - schedulingPriority(a) || a - b);
+
+  const debugBatch = pendingIndexes.length ? await options.debugTraces?.openBatch(params.debug_dir, options.cwd) : null;
+  const parallelism = resolveParallelism(
+    params.parallelism,
+    pendingIndexes.length,
+    options.effectiveConfig?.values.max_parallelism ?? CONFIG_DEFAULTS.max_parallelism
+  );
+
+  let nextIndex = 0;
+  let running = 0;
   let lastProgressEmitAt = 0;
 
+  const buildBatchEvent = (phase, extra = {}) => ({
+    type: "batch",
+    phase,
+    elapsedSeconds: Math.max(0, Math.floor((Date.now() - startedAt) / 1000)),
+    total: questions.length,
+    completed,
+    running,
+    failed,
+    cacheHits: cacheContext ? cacheHits : null,
+    parallelism,
+    runs: runStates.map((state) => ({ ...state })),
+    ...extra
+  });
+
   const emitStatus = (force = false) => {
-    if (!emit) return;
+    if (!onProgress) return;
     const now = Date.now();
     if (!force && now - lastProgressEmitAt < PROGRESS_MIN_INTERVAL_MS) return;
     lastProgressEmitAt = now;
-
-    emit(
-      [
-        "Running parallel Codex web searches...",
-        `elapsed: ${Math.max(0, Math.floor((Date.now() - startedAt) / 1000))}s`,
-        `total: ${questions.length}`,
-        `completed: ${completed}`,
-        `running: ${running}`,
-        `failed: ${failed}`,
-        `parallelism: ${parallelism}`,
-        "",
-        "runs:",
-        ...runStates.map((state) => formatRunStateLine(state, questions.length))
-      ].join("\n")
-    );
+    onProgress(buildBatchEvent("running"));
   };
 
-  const applyNestedUpdate = (index, text) => {
+  const applyNestedProgress = (index, event) => {
     const state = runStates[index];
-    if (!state) return;
+    if (!state || event?.type !== "question") return;
 
-    if (typeof text === "string" && /^Codex prompt:/i.test(text.trim())) {
+    if (event.phase === "prompt") {
       state.lastAction = "prompt prepared";
-      state.updatedAt = Date.now();
-      emitStatus(true);
-      return;
+    } else {
+      state.elapsedSeconds = event.elapsedSeconds;
+      state.searches = event.searches;
+      state.pagesOpened = event.pagesOpened;
+      state.lastAction = event.lastAction;
+      state.latestQuery = event.latestQuery;
+      state.latestUrl = event.latestUrl;
+      state.recent = event.recent;
+      state.trace = event.trace;
+      if (event.maxAttempts > 1) state.attempt = `${event.attempt}/${event.maxAttempts}`;
     }
-
-    const parsed = parseNestedProgressUpdate(text);
-    if (!parsed) return;
-
-    if (parsed.elapsedSeconds !== undefined) state.elapsedSeconds = parsed.elapsedSeconds;
-    if (parsed.searches !== undefined) state.searches = parsed.searches;
-    if (parsed.pagesOpened !== undefined) state.pagesOpened = parsed.pagesOpened;
-    if (parsed.lastAction) state.lastAction = parsed.lastAction;
     state.updatedAt = Date.now();
 
     emitStatus(true);
   };
 
+  let budgetExceeded = null;
+  const batchStop = createBatchStop({ parent: options.callStop, signal: options.signal });
+
   const worker = async () => {
     while (true) {
-      if (options.signal?.aborted) return;
+      if (batchStop.signal.aborted) return;
 
-      const index = nextIndex;
+      if (nextIndex >= pendingIndexes.length) return;
+      budgetExceeded = budgetExceeded ?? budget.check();
+      if (budgetExceeded) return;
+      const index = pendingIndexes[nextIndex];
       nextIndex += 1;
-      if (index >= questions.length) return;
 
       const question = questions[index];
       const state = runStates[index];
@@ -221,20 +580,29 @@ export async function runCodexSearch(params, options = {}) {
       state.updatedAt = state.startedAt;
       state.lastAction = "starting";
 
-      emit?.(`Starting query ${index + 1}/${questions.length}: ${question}`);
+      onProgress?.(buildBatchEvent("question_started", { index, question }));
       emitStatus(true);
 
-      let result;
-      try {
-        result = await runSingle(toSingleSearchParams(question, params), {
-          signal: options.signal,
-          onUpdate: (text) => {
-            applyNestedUpdate(index, text);
-          }
-        });
-      } catch (error) {
-        result = runnerExceptionResult(question, error);
-      }
+      const singleParams = toQuestionSearchParams(questionEntries[index], params);
+      const result = await runWithCache(cacheContext, lookups[index], singleParams, async () => {
+        try {
+          const single = await runSingle(singleParams, {
+            signal: batchStop.signal,
+            budget,
+            priceTable: options.priceTable,
+            fetch: options.fetch,
+            followUp: options.followUp,
+            now: options.now,
+            debug: debugBatch?.run(index, question),
+            onProgress: (event) => {
+              applyNestedProgress(index, event);
+            }
+          });
+          return stoppedRunResult(single, batchStop);
+        } catch (error) {
+          return runnerExceptionResult(question, error);
+        }
+      });
 
       entries[index] = {
         question,
@@ -247,6 +615,7 @@ export async function runCodexSearch(params, options = {}) {
       if (resultProgress.elapsedSeconds !== undefined) state.elapsedSeconds = resultProgress.elapsedSeconds;
       if (resultProgress.searches !== undefined) state.searches = resultProgress.searches;
       if (resultProgress.pagesOpened !== undefined) state.pagesOpened = resultProgress.pagesOpened;
+      if (Array.isArray(result.details?.attempts)) state.attempts = result.details.attempts.length;
 
       state.status = result.ok ? "ok" : "failed";
       state.updatedAt = Date.now();
@@ -255,8 +624,10 @@ export async function runCodexSearch(params, options = {}) {
       running -= 1;
       completed += 1;
       if (!result.ok) failed += 1;
+      if (!result.ok && params.fail_fast === true) batchStop.stop("fail_fast");
+      settleDuplicates(index);
 
-      emit?.(`Finished query ${index + 1}/${questions.length}: ${result.ok ? "ok" : "failed"}`);
+      onProgress?.(buildBatchEvent("question_finished", { index, question, ok: result.ok }));
       emitStatus(true);
     }
   };
@@ -270,6 +641,7 @@ export async function runCodexSearch(params, options = {}) {
     await Promise.all(Array.from({ length: parallelism }, () => worker()));
   } finally {
     clearInterval(heartbeat);
+    batchStop.dispose();
   }
 
   for (let i = 0; i < entries.length; i += 1) {
@@ -277,32 +649,64 @@ export async function runCodexSearch(params, options = {}) {
     failed += 1;
     completed += 1;
 
+    const reason = notStartedReason(budgetExceeded, batchStop);
     const state = runStates[i];
     state.status = "failed";
-    state.lastAction = "error: not_started_due_abort";
+    state.lastAction = `error: ${reason}`;
     state.updatedAt = Date.now();
 
     entries[i] = {
       question: questions[i],
       ok: false,
-      text: "codex_search error: query was not started because the batch was aborted",
+      text: budgetExceeded
+        ? `codex_search error: query was not started because the ${formatBudgetExceeded(budgetExceeded)}`
+        : `codex_search error: query was not started because ${describeBatchStop(batchStop)}`,
       details: {
         error: true,
-        reason: "not_started_due_abort",
+        reason,
         query: questions[i]
       }
     };
+    settleDuplicates(i);
   }
 
+  const debug = await debugBatch?.close(entries);
+
+  let synthesis;
+  if (params.synthesize === true) {
+    onProgress?.(buildBatchEvent("synthesizing"));
+    synthesis = await synthesizeEntries(entries, params, {
+      ...options,
+      signal: options.callStop?.signal ?? options.signal,
+      budget
+    });
+    if (!synthesis.ok && synthesis.reason === "aborted" && options.callStop?.reason === "batch_timeout") {
+      synthesis = { ...synthesis, reason: "batch_timeout" };
+    }
+    onProgress?.(buildBatchEvent("synthesized", { synthesis: { ok: synthesis.ok, reason: synthesis.reason ?? null } }));
+  }
+
+  const stop = { reason: batchStop.reason ?? options.callStop?.reason ?? null, timeoutSec: batchStop.timeoutSec };
   const elapsedSeconds = Math.max(0, Math.floor((Date.now() - startedAt) / 1000));
   const succeeded = questions.length - failed;
 
+  const ranEntries = entries.filter((entry) => entry.duplicateOf === undefined);
+  const priceTable = resolvePriceTable(options.priceTable);
+  const usage = addUsage(sumEntryUsage(ranEntries), synthesis?.telemetry?.usage);
   const summary = {
     total: questions.length,
     succeeded,
     failed,
+    cacheHits,
+    duplicates: runStates.filter((state) => state.duplicateOf !== null).length,
     parallelism,
-    elapsedSeconds
+    elapsedSeconds,
+    usage,
+    estimatedCostUsd: sumEntryCostUsd(ranEntries, params.model, priceTable, [
+      estimateCostUsd(synthesis?.telemetry?.usage, params.model, priceTable)
+    ]),
+    budget: { limits: budget.describeLimits(), exceeded: budgetExceeded ?? budget.check() },
+    ...(stop.reason === "batch_timeout" || stop.reason === "fail_fast" ? { stoppedBy: stop.reason } : {})
   };
 
   const text = [
@@ -310,8 +714,15 @@ export async function runCodexSearch(params, options = {}) {
     `- total: ${summary.total}`,
     `- succeeded: ${summary.succeeded}`,
     `- failed: ${summary.failed}`,
+    ...(cacheContext ? [`- cache hits: ${summary.cacheHits}`] : []),
+    ...(summary.duplicates ? [`- duplicates collapsed: ${summary.duplicates}`] : []),
     `- parallelism: ${summary.parallelism}`,
     `- elapsed: ${summary.elapsedSeconds}s`,
+    `- tokens: ${formatUsageLine(summary.usage)}`,
+    ...(summary.estimatedCostUsd !== null ? [`- estimated cost: $${summary.estimatedCostUsd.toFixed(4)}`] : []),
+    ...(summary.budget.exceeded ? [`- budget: ${formatBudgetExceeded(summary.budget.exceeded)}`] : []),
+    ...(summary.stoppedBy ? [`- stopped: ${describeBatchStop(stop)}`] : []),
+    ...(synthesis ? formatSynthesisSection(synthesis) : []),
     ...entries.flatMap((entry, index) => [
       "",
       `--- Result ${index + 1}/${questions.length} ---`,
@@ -327,11 +738,18 @@ export async function runCodexSearch(params, options = {}) {
     runStates: runStates.map((state) => ({
       index: state.index,
       question: state.question,
+      priority: state.priority,
+      overrides: state.overrides,
+      duplicateOf: state.duplicateOf,
+      similarity: state.similarity,
+      duplicates: state.duplicates,
       status: state.status,
       elapsedSeconds: state.elapsedSeconds,
       searches: state.searches,
       pagesOpened: state.pagesOpened,
       lastAction: state.lastAction,
+      cache: state.cache,
+      attempts: state.attempts,
       startedAt: state.startedAt || null,
       updatedAt: state.updatedAt || null
     })),
@@ -340,7 +758,9 @@ export async function runCodexSearch(params, options = {}) {
       ok: entry.ok,
       text: entry.text,
       details: entry.details
-    }))
+    })),
+    ...(synthesis ? { synthesis } : {}),
+    ...(debug ? { debug } : {})
   };
 
   if (succeeded === 0) {
@@ -364,3 +784,102 @@ export async function runCodexSearch(params, options = {}) {
     }
   };
 }
+
+function formatResultIdLines(records) {
+  if (records.length === 1) return [`Result id: ${records[0].id} (pass as follow_up_of to continue this research)`];
+  if (!records.length) return [];
+  return [
+    "Result ids (pass one as follow_up_of to continue that research):",
+    ...records.map((record) => `- ${record.id}: ${record.question}`)
+  ];
+}
+
+export async function runCodexSearch(params, options = {}) {
+  const effectiveConfig = resolveEffectiveConfig(options.config, params);
+  const config = { values: effectiveConfig.values, sources: effectiveConfig.sources, files: effectiveConfig.files };
+
+  if (effectiveConfig.errors.length) {
+    return {
+      ok: false,
+      text: ["codex_search config error:", ...effectiveConfig.errors.map((error) => `- ${error}`)].join("\n"),
+      details: { error: true, reason: "invalid_config", errors: effectiveConfig.errors, config }
+    };
+  }
+
+  const dateWindowErrors = [
+    ...resolveDateWindow(params, { now: options.now }).errors,
+    ...normalizeQuestionEntries(params.questions).flatMap((entry) =>
+      Object.keys(entry.overrides).length
+        ? resolveDateWindow({ ...params, ...entry.overrides }, { now: options.now }).errors.map(
+            (error) => `${JSON.stringify(entry.question)}: ${error}`
+          )
+        : []
+    )
+  ];
+  if (dateWindowErrors.length) {
+    return {
+      ok: false,
+      text: ["codex_search error: invalid date window", ...dateWindowErrors.map((error) => `- ${error}`)].join("\n"),
+      details: { error: true, reason: "invalid_date_window", errors: dateWindowErrors, config }
+    };
+  }
+
+  const outputSchema = resolveOutputSchema(params.output_schema);
+  if (outputSchema.errors.length) {
+    return {
+      ok: false,
+      text: ["codex_search error: invalid output_schema", ...outputSchema.errors.map((error) => `- ${error}`)].join("\n"),
+      details: { error: true, reason: "invalid_output_schema", schemaErrors: outputSchema.errors, config }
+    };
+  }
+
+  const followUp = await resolveFollowUp(params.follow_up_of, options);
+  if (followUp?.error) {
+    return {
+      ok: false,
+      text: `codex_search error: ${followUp.error.message}`,
+      details: { error: true, reason: followUp.error.reason, follow_up_of: params.follow_up_of, config }
+    };
+  }
+
+  const followUpContext = followUp ? buildFollowUpContext(followUp.record, followUp.origin) : undefined;
+  const searchParams = {
+    ...params,
+    ...(outputSchema.schema ? { output_schema: outputSchema.schema } : {}),
+    ...(followUp ? { follow_up_of: followUp.record.id } : {})
+  };
+  const callStop = createBatchStop({
+    timeoutSec: resolveBatchTimeoutSec(params.batch_timeout_sec),
+    signal: options.signal
+  });
+  let executed;
+  try {
+    executed = await executeCodexSearch(applyConfigToParams(searchParams, effectiveConfig), {
+      ...options,
+      effectiveConfig,
+      followUp: followUpContext,
+      callStop
+    });
+  } finally {
+    callStop.dispose();
+  }
+  const result = followUpContext
+    ? { ...executed, details: { ...executed.details, followUp: describeFollowUp(followUpContext) } }
+    : executed;
+
+  const records = buildHistoryRecords(params, result);
+  options.session?.add(records);
+  if (options.history) await options.history.append(records);
+
+  const resultIds = records.map((record) => record.id);
+  const idLines = options.session || options.history ? formatResultIdLines(records) : [];
+
+  return applyOutputFormat(
+    {
+      ...result,
+      text: idLines.length ? [result.text, "", ...idLines].join("\n") : result.text,
+      details: { ...result.details, resultIds, config }
+    },
+    params.output_format
+  );
+}
@@ -0,0 +1,163 @@
+export const VERIFY_MODES = ["off", "trace", "http"];
+export const DEFAULT_SOURCE_CHECK_TIMEOUT_MS = 10000;
+const SOURCE_CHECK_CONCURRENCY = 4;
+const HEAD_FALLBACK_STATUSES = new Set([403, 405, 501]);
+
+export function normalizeVerifyMode(value) {
+  const mode = String(value || "off").toLowerCase();
+  return VERIFY_MODES.includes(mode) ? mode : "off";
+}
+
+function normalizeHost(host) {
+  return String(host || "")
+    .toLowerCase()
+    .replace(/^www\./, "");
+}
+
+export function comparableUrl(value) {
+  try {
+    const url = new URL(value);
+    const path = url.pathname.replace(/\/+$/, "");
+    return `${normalizeHost(url.host)}${path}${url.search}`;
+  } catch {
+    return null;
+  }
+}
+
+export function crossCheckSources(sources, searchTrace = []) {
+  const opened = new Map();
+  for (const entry of searchTrace) {
+    if (entry?.actionType !== "open_page" || typeof entry.url !== "string") continue;
+    const key = comparableUrl(entry.url);
+    if (key && !opened.has(key)) opened.set(key, entry.url);
+  }
+
+  return sources.map((url) => {
+    const match = opened.get(comparableUrl(url));
+    return { url, opened: Boolean(match), openedUrl: match ?? null };
+  });
+}
+
+async function requestWithTimeout(fetchImpl, url, method, timeoutMs, signal) {
+  const controller = new AbortController();
+  const onAbort = () => controller.abort();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  if (signal?.aborted) controller.abort();
+  else signal?.addEventListener("abort", onAbort, { once: true });
+
+  try {
+    const response = await fetchImpl(url, { method, redirect: "follow", signal: controller.signal });
+    if (method === "GET") await response.body?.cancel?.().catch(() => {});
+    return response;
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener("abort", onAbort);
+  }
+}
+
+export async function checkSourceReachability(url, options = {}) {
+  const fetchImpl = typeof options.fetch === "function" ? options.fetch : globalThis.fetch;
+  const timeoutMs = options.timeoutMs ?? DEFAULT_SOURCE_CHECK_TIMEOUT_MS;
+
+  let method = "HEAD";
+  let response;
+  try {
+    response = await requestWithTimeout(fetchImpl, url, method, timeoutMs, options.signal);
+  } catch {
+    response = null;
+  }
+
+  if (!response || HEAD_FALLBACK_STATUSES.has(response.status)) {
+    method = "GET";
+    try {
+      response = await requestWithTimeout(fetchImpl, url, method, timeoutMs, options.signal);
+    } catch (error) {
+      return {
+        method,
+        status: null,
+        reachable: false,
+        finalUrl: null,
+        redirected: false,
+        offsite: false,
+        error: error instanceof Error ? error.message : String(error)
+      };
+    }
+  }
+
+  const finalUrl = typeof response.url === "string" && response.url ? response.url : url;
+  const redirected = comparableUrl(finalUrl) !== comparableUrl(url);
+  let offsite = false;
+  try {
+    offsite = normalizeHost(new URL(finalUrl).host) !== normalizeHost(new URL(url).host);
+  } catch {
+    offsite = false;
+  }
+
+  return {
+    method,
+    status: response.status,
+    reachable: response.status >= 200 && response.status < 400,
+    finalUrl,
+    redirected,
+    offsite,
+    error: null
+  };
+}
+
+function sourceVerdict(check) {
+  if (check.http && !check.http.reachable) return "unreachable";
+  if (check.http?.offsite) return "redirected_offsite";
+  if (!check.opened) return "not_opened";
+  return "ok";
+}
+
+export async function verifySources(sources, options = {}) {
+  const mode = normalizeVerifyMode(options.mode);
+  if (mode === "off") return null;
+
+  const checks = crossCheckSources(sources, options.searchTrace);
+
+  if (mode === "http") {
+    let next = 0;
+    const worker = async () => {
+      while (next < checks.length) {
+        const check = checks[next];
+        next += 1;
+        check.http = await checkSourceReachability(check.url, options);
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(SOURCE_CHECK_CONCURRENCY, checks.length) }, () => worker()));
+  }
+
+  for (const check of checks) check.verdict = sourceVerdict(check);
+
+  const count = (verdict) => checks.filter((check) => check.verdict === verdict).length;
+  return {
+    mode,
+    checks,
+    summary: {
+      total: checks.length,
+      ok: count("ok"),
+      notOpened: count("not_opened"),
+      unreachable: count("unreachable"),
+      redirectedOffsite: count("redirected_offsite")
+    }
+  };
+}
+
+export function formatSourceCheckWarnings(sourceChecks) {
+  if (!sourceChecks) return [];
+  const { summary } = sourceChecks;
+  const warnings = [];
+  if (summary.notOpened) warnings.push(`${summary.notOpened} source(s) were never opened during the search.`);
+  if (summary.unreachable) warnings.push(`${summary.unreachable} source(s) are unreachable.`);
+  if (summary.redirectedOffsite) warnings.push(`${summary.redirectedOffsite} source(s) redirect to another site.`);
+  return warnings;
+}
+
+export function formatSourceCheckLabel(check) {
+  if (!check || check.verdict === "ok") return "";
+  if (check.verdict === "not_opened") return " (not opened)";
+  if (check.verdict === "redirected_offsite") return ` (redirects to ${check.http.finalUrl})`;
+  return ` (unreachable: ${check.http.status ?? check.http.error})`;
+}
@@ -0,0 +1,149 @@
+import { SEARCH_BACKENDS, resolveSearchBackend } from "./codex-backends.mjs";
+import {
+  CODEX_DECOMPOSITION_SCHEMA,
+  CODEX_SYNTHESIS_SCHEMA,
+  buildDecompositionPrompt,
+  buildSynthesisPrompt,
+  coerceDecompositionResult,
+  coerceSynthesisResult,
+  normalizeSources,
+  parseCodexJsonlEvents,
+  parseJsonObject
+} from "./codex-runner.mjs";
+
+const DEFAULT_PASS_TIMEOUT_SEC = 600;
+const MAX_PASS_TIMEOUT_SEC = 7200;
+
+export function mergeResultSources(sourceLists) {
+  return normalizeSources(
+    sourceLists.flatMap((sources) => (Array.isArray(sources) ? sources : [])),
+    Number.MAX_SAFE_INTEGER
+  );
+}
+
+async function runStructuredPass(pass, params, options) {
+  const startedAt = Date.now();
+  const elapsed = () => Math.max(0, Math.floor((Date.now() - startedAt) / 1000));
+  const errorPrefix = `codex_search ${pass.name} error`;
+
+  const backend = options.backend ?? resolveSearchBackend(params.backend, options.backendConfig);
+  if (!backend) {
+    return {
+      ok: false,
+      text: `${errorPrefix}: unknown backend (expected one of: ${SEARCH_BACKENDS.join(", ")})`,
+      details: { error: true, reason: "unknown_backend" }
+    };
+  }
+
+  const timeoutSec = Math.max(30, Math.min(params.timeout_sec ?? DEFAULT_PASS_TIMEOUT_SEC, MAX_PASS_TIMEOUT_SEC));
+
+  try {
+    const run = await backend.run(
+      {
+        prompt: pass.prompt,
+        schema: pass.schema,
+        model: params.model,
+        timeoutSec,
+        search: false
+      },
+      { signal: options.signal, onEvent: options.onEvent }
+    );
+
+    const telemetry = parseCodexJsonlEvents(run.stdout);
+
+    if (run.exitCode !== 0) {
+      const reason = run.timedOut ? "timeout" : run.aborted ? "aborted" : "non_zero_exit";
+      return {
+        ok: false,
+        text: `${errorPrefix}: ${backend.label} exited with code ${run.exitCode}`,
+        details: {
+          error: true,
+          reason,
+          codex_prompt: pass.prompt,
+          exitCode: run.exitCode,
+          stderr: run.stderr,
+          telemetry,
+          elapsedSeconds: elapsed()
+        }
+      };
+    }
+
+    const structured = pass.coerce(parseJsonObject(run.finalText));
+    if (!structured) {
+      return {
+        ok: false,
+        text: `${errorPrefix}: failed to parse structured output`,
+        details: {
+          error: true,
+          reason: run.finalText.trim() ? "invalid_structured_output" : "no_final_output",
+          codex_prompt: pass.prompt,
+          rawOutput: run.finalText.slice(0, 4000),
+          telemetry,
+          elapsedSeconds: elapsed()
+        }
+      };
+    }
+
+    return {
+      ok: true,
+      text: pass.toText(structured),
+      details: {
+        codex_prompt: pass.prompt,
+        backend: backend.name,
+        structured,
+        telemetry,
+        elapsedSeconds: elapsed()
+      }
+    };
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    return {
+      ok: false,
+      text: `${errorPrefix}: ${message}`,
+      details: { error: true, reason: "spawn_failure", codex_prompt: pass.prompt, message, elapsedSeconds: elapsed() }
+    };
+  }
+}
+
+export async function runCodexSynthesis(params, options = {}) {
+  const results = Array.isArray(params.results) ? params.results : [];
+  return runStructuredPass(
+    {
+      name: "synthesis",
+      prompt: buildSynthesisPrompt({
+        results,
+        question: params.question,
+        asOfPeriod: params.as_of_period,
+        asOfYear: Number.isFinite(params.as_of_year) ? Number(params.as_of_year) : undefined,
+        dateWindow: params.date_window ?? null
+      }),
+      schema: CODEX_SYNTHESIS_SCHEMA,
+      coerce: (value) => coerceSynthesisResult(value, results.length ? Math.max(...results.map((r) => r.number)) : 0),
+      toText: (structured) => structured.answer
+    },
+    params,
+    options
+  );
+}
+
+export async function runCodexDecomposition(params, options = {}) {
+  const breadth = Number.isFinite(params.breadth) ? params.breadth : 4;
+  return runStructuredPass(
+    {
+      name: "planning",
+      prompt: buildDecompositionPrompt({
+        question: params.question,
+        breadth,
+        findings: Array.isArray(params.findings) ? params.findings : [],
+        asOfPeriod: params.as_of_period,
+        asOfYear: Number.isFinite(params.as_of_year) ? Number(params.as_of_year) : undefined,
+        dateWindow: params.date_window ?? null
+      }),
+      schema: CODEX_DECOMPOSITION_SCHEMA,
+      coerce: (value) => coerceDecompositionResult(value, breadth),
+      toText: (structured) => structured.subQuestions.join("\n")
+    },
+    params,
+    options
+  );
+}
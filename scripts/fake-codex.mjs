@@ -0,0 +1,110 @@
+#!/usr/bin/env node
+import { readFileSync, writeFileSync } from "node:fs";
+
+// Offline stand-in for `codex --search exec --json`. Replays a recorded trace
+// and is configured entirely through FAKE_CODEX_* environment variables:
+//
+//   FAKE_CODEX_TRACE              Codex JSONL events, or a Pi session log with a codex_search tool result
+//   FAKE_CODEX_DELAY_MS           delay before each replayed event (default: 0)
+//   FAKE_CODEX_OUTPUT             final message: a file path, inline JSON, or "none" (default: from the trace)
+//   FAKE_CODEX_EXIT_CODE          process exit code (default: 0)
+//   FAKE_CODEX_STDERR             text written to stderr
+//   FAKE_CODEX_HANG_MS            keep running this long after replaying the trace
+//   FAKE_CODEX_IGNORE_SIGTERM     "1" to survive SIGTERM so only SIGKILL stops the process
+//   FAKE_CODEX_FAIL_TIMES         fail (exit 1, no output) this many times, counted in FAKE_CODEX_COUNTER_FILE
+//   FAKE_CODEX_ARGS_FILE          write the received argv as JSON to this path
+
+const env = process.env;
+const argv = process.argv.slice(2);
+
+function argValue(flag) {
+  const index = argv.indexOf(flag);
+  return index === -1 ? undefined : argv[index + 1];
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function fromPiSessionLog(records) {
+  const toolResult = records.find(
+    (record) => record?.type === "tool_execution_end" && record.toolName === "codex_search"
+  );
+  const details = toolResult?.result?.details;
+  if (!details) return null;
+
+  const events = [{ type: "thread.started", thread_id: "replayed" }, { type: "turn.started" }];
+  for (const [index, entry] of (details.telemetry?.searchTrace || []).entries()) {
+    const action = { type: entry.actionType, queries: entry.queries || [] };
+    if (entry.actionType === "search") action.query = entry.query;
+    if (entry.url) action.url = entry.url;
+    events.push({ type: "item.completed", item: { id: `item_${index}`, type: "web_search", query: entry.query, action } });
+  }
+  events.push({ type: "turn.completed", usage: details.telemetry?.usage || null });
+
+  return { events, output: details.structured ? JSON.stringify(details.structured) : undefined };
+}
+
+function loadTrace(path) {
+  if (!path) return { events: [], output: undefined };
+
+  const records = readFileSync(path, "utf8")
+    .split(/\r?\n/)
+    .filter((line) => line.trim())
+    .map((line) => JSON.parse(line));
+
+  const fromSession = fromPiSessionLog(records);
+  if (fromSession) return fromSession;
+
+  const lastMessage = records.filter((record) => record?.item?.type === "agent_message").at(-1);
+  return { events: records, output: lastMessage?.item?.text };
+}
+
+function resolveOutput(traceOutput) {
+  const configured = env.FAKE_CODEX_OUTPUT;
+  if (configured === "none") return undefined;
+  if (configured === undefined) return traceOutput;
+  if (configured.trim().startsWith("{")) return configured;
+  return readFileSync(configured, "utf8");
+}
+
+function shouldFailThisRun() {
+  const failTimes = Number(env.FAKE_CODEX_FAIL_TIMES || 0);
+  const counterFile = env.FAKE_CODEX_COUNTER_FILE;
+  if (!failTimes || !counterFile) return false;
+
+  let runs = 0;
+  try {
+    runs = Number(readFileSync(counterFile, "utf8")) || 0;
+  } catch {
+    runs = 0;
+  }
+  writeFileSync(counterFile, String(runs + 1));
+  return runs < failTimes;
+}
+
+if (env.FAKE_CODEX_IGNORE_SIGTERM === "1") {
+  process.on("SIGTERM", () => {});
+}
+
+if (env.FAKE_CODEX_ARGS_FILE) {
+  writeFileSync(env.FAKE_CODEX_ARGS_FILE, JSON.stringify(argv));
+}
+
+const failing = shouldFailThisRun();
+const trace = loadTrace(env.FAKE_CODEX_TRACE);
+const delayMs = Number(env.FAKE_CODEX_DELAY_MS || 0);
+
+for (const event of trace.events) {
+  if (delayMs > 0) await sleep(delayMs);
+  process.stdout.write(`${JSON.stringify(event)}\n`);
+}
+
+if (env.FAKE_CODEX_STDERR) process.stderr.write(env.FAKE_CODEX_STDERR);
+if (env.FAKE_CODEX_HANG_MS) await sleep(Number(env.FAKE_CODEX_HANG_MS));
+
+const outputPath = argValue("-o") ?? argValue("--output-last-message");
+const output = failing ? undefined : resolveOutput(trace.output);
+if (outputPath && output !== undefined) writeFileSync(outputPath, output);
+
+process.exitCode = failing ? 1 : Number(env.FAKE_CODEX_EXIT_CODE || 0);
@@ -0,0 +1,186 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { readFile } from "node:fs/promises";
+import { join } from "node:path";
+import { fileURLToPath } from "node:url";
+import {
+  createCodexCliBackend,
+  createOpenAiHttpBackend,
+  normalizeBackendName,
+  resolveSearchBackend
+} from "../lib/codex-backends.mjs";
+import { withMockServer, withTempDir } from "./helpers.mjs";
+
+const FAKE_CODEX = fileURLToPath(new URL("../scripts/fake-codex.mjs", import.meta.url));
+const NPM_TRACE = fileURLToPath(new URL("./fixtures/traces/npm-latest.jsonl", import.meta.url));
+
+function fakeCodexBackend(fakeEnv = {}, config = {}) {
+  return createCodexCliBackend({
+    env: { ...process.env, PI_CODEX_SEARCH_CODEX_BIN: FAKE_CODEX, ...fakeEnv },
+    ...config
+  });
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { "content-type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+test("normalizeBackendName defaults to codex-cli and rejects unknown names", () => {
+  assert.equal(normalizeBackendName(undefined), "codex-cli");
+  assert.equal(normalizeBackendName(" OpenAI-HTTP "), "openai-http");
+  assert.equal(normalizeBackendName("bing"), null);
+});
+
+test("resolveSearchBackend honors the param, then PI_CODEX_SEARCH_BACKEND", () => {
+  assert.equal(resolveSearchBackend(undefined, { env: {} }).name, "codex-cli");
+  assert.equal(resolveSearchBackend(undefined, { env: { PI_CODEX_SEARCH_BACKEND: "openai-http" } }).name, "openai-http");
+  assert.equal(resolveSearchBackend("codex-cli", { env: { PI_CODEX_SEARCH_BACKEND: "openai-http" } }).name, "codex-cli");
+  assert.equal(resolveSearchBackend("nope", { env: {} }), null);
+
+  const http = resolveSearchBackend("openai-http", {
+    env: { PI_CODEX_SEARCH_HTTP_BASE_URL: "http://localhost:9999/v1/" }
+  });
+  assert.equal(http.baseUrl, "http://localhost:9999/v1");
+  assert.equal(createCodexCliBackend().label, "codex");
+  assert.equal(createCodexCliBackend({ env: { PI_CODEX_SEARCH_CODEX_BIN: "/opt/codex" } }).command, "/opt/codex");
+  assert.equal(resolveSearchBackend("codex-cli", { env: {}, codexBin: "/opt/other" }).command, "/opt/other");
+});
+
+test("codex-cli backend replays a recorded trace through the codex binary override", async () => {
+  const events = [];
+  const run = await fakeCodexBackend({ FAKE_CODEX_TRACE: NPM_TRACE }).run(
+    { prompt: "What is npm latest?", schema: { type: "object" }, model: "gpt-test", timeoutSec: 30 },
+    { onEvent: (event) => events.push(event) }
+  );
+
+  assert.equal(run.exitCode, 0);
+  assert.equal(run.timedOut, false);
+  assert.equal(JSON.parse(run.finalText).answer, "The latest stable npm version is 11.10.1 (released February 19, 2026).");
+  assert.equal(events.at(-1).type, "turn.completed");
+  assert.equal(run.stdout.trim().split("\n").length, events.length);
+});
+
+test("codex-cli backend passes the locked search profile to the binary", async () => {
+  await withTempDir(async (dir) => {
+    const argsFile = join(dir, "args.json");
+    await fakeCodexBackend({ FAKE_CODEX_ARGS_FILE: argsFile }).run({
+      prompt: "the prompt",
+      schema: {},
+      model: "gpt-test",
+      timeoutSec: 30
+    });
+
+    const args = JSON.parse(await readFile(argsFile, "utf8"));
+    assert.deepEqual(args.slice(0, 7), ["--search", "exec", "--ephemeral", "--skip-git-repo-check", "--sandbox", "read-only", "--json"]);
+    assert.ok(args.includes("--output-schema"));
+    assert.deepEqual(args.slice(-3), ["--model", "gpt-test", "the prompt"]);
+  });
+});
+
+test("codex-cli backend kills a hung process on timeout, escalating to SIGKILL", async () => {
+  const actions = [];
+  const startedAt = Date.now();
+  const run = await fakeCodexBackend(
+    { FAKE_CODEX_HANG_MS: "10000", FAKE_CODEX_IGNORE_SIGTERM: "1" },
+    { killGraceMs: 100 }
+  ).run({ prompt: "q", schema: {}, timeoutSec: 0.3 }, { onAction: (action) => actions.push(action) });
+
+  assert.equal(run.timedOut, true);
+  assert.notEqual(run.exitCode, 0);
+  assert.deepEqual(actions, ["timeout after 0.3s"]);
+  assert.ok(Date.now() - startedAt < 5000);
+});
+
+test("codex-cli backend stops the process when the signal aborts", async () => {
+  const controller = new AbortController();
+  const promise = fakeCodexBackend({ FAKE_CODEX_TRACE: NPM_TRACE, FAKE_CODEX_DELAY_MS: "50" }).run(
+    { prompt: "q", schema: {}, timeoutSec: 30 },
+    {
+      signal: controller.signal,
+      onEvent: (event) => {
+        if (event.type === "item.completed") controller.abort();
+      }
+    }
+  );
+
+  const run = await promise;
+  assert.equal(run.aborted, true);
+  assert.notEqual(run.exitCode, 0);
+  assert.equal(run.finalText, "");
+});
+
+test("openai-http backend posts the prompt and schema and synthesizes a JSONL event stream", async () => {
+  const finalOutput = { answer: "42", as_of: "early 2026", confidence: 0.9, sources: ["https://a.example/"], notes: "" };
+
+  await withMockServer(
+    (_request, res) =>
+      sendJson(res, 200, {
+        choices: [
+          {
+            message: {
+              content: JSON.stringify(finalOutput),
+              annotations: [{ type: "url_citation", url_citation: { url: "https://a.example/" } }]
+            }
+          }
+        ],
+        usage: { prompt_tokens: 120, completion_tokens: 30 }
+      }),
+    async (origin, requests) => {
+      const backend = createOpenAiHttpBackend({ baseUrl: `${origin}/v1`, apiKey: "test-key", model: "mock-model" });
+      const events = [];
+
+      const run = await backend.run(
+        { prompt: "What is the answer?", schema: { $schema: "x", type: "object" }, timeoutSec: 10 },
+        { onEvent: (event) => events.push(event) }
+      );
+
+      assert.equal(run.exitCode, 0);
+      assert.deepEqual(JSON.parse(run.finalText), finalOutput);
+      assert.equal(requests[0].url, "/v1/chat/completions");
+      assert.equal(requests[0].headers.authorization, "Bearer test-key");
+      assert.equal(requests[0].body.model, "mock-model");
+      assert.equal(requests[0].body.messages.at(-1).content, "What is the answer?");
+      assert.equal(requests[0].body.response_format.json_schema.strict, true);
+      assert.deepEqual(requests[0].body.response_format.json_schema.schema, { type: "object" });
+
+      assert.ok(events.some((event) => event.item?.action?.type === "open_page"));
+      const lines = run.stdout.trim().split("\n").map((line) => JSON.parse(line));
+      assert.deepEqual(lines.at(-1), {
+        type: "turn.completed",
+        usage: { input_tokens: 120, cached_input_tokens: 0, output_tokens: 30 }
+      });
+    }
+  );
+});
+
+test("openai-http backend maps HTTP errors to a non-zero exit code", async () => {
+  await withMockServer(
+    (_request, res) => sendJson(res, 503, { error: "overloaded" }),
+    async (origin) => {
+      const run = await createOpenAiHttpBackend({ baseUrl: `${origin}/v1` }).run({ prompt: "q", schema: {}, timeoutSec: 10 });
+
+      assert.equal(run.exitCode, 1);
+      assert.match(run.stderr, /HTTP 503/);
+      assert.equal(run.finalText, "");
+    }
+  );
+});
+
+test("openai-http backend stops on abort", async () => {
+  const controller = new AbortController();
+  controller.abort();
+
+  const run = await createOpenAiHttpBackend({
+    baseUrl: "http://127.0.0.1:9/v1",
+    fetch: (_url, init) =>
+      new Promise((_resolve, reject) => {
+        if (init.signal.aborted) reject(new Error("aborted"));
+        init.signal.addEventListener("abort", () => reject(new Error("aborted")));
+      })
+  }).run({ prompt: "q", schema: {}, timeoutSec: 10 }, { signal: controller.signal });
+
+  assert.equal(run.aborted, true);
+  assert.equal(run.timedOut, false);
+  assert.notEqual(run.exitCode, 0);
+});
@@ -0,0 +1,119 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  checkReportedAsOf,
+  formatDateWindowLabel,
+  formatDateWindowPrompt,
+  parseIsoDate,
+  parseRelativeWindow,
+  parseReportedAsOf,
+  resolveDateWindow
+} from "../lib/codex-date-window.mjs";
+
+const NOW = Date.parse("2026-03-15T12:00:00.000Z");
+
+test("parseIsoDate accepts only real calendar dates", () => {
+  assert.equal(parseIsoDate("2026-02-28"), "2026-02-28");
+  assert.equal(parseIsoDate(" 2024-02-29 "), "2024-02-29");
+  assert.equal(parseIsoDate("2026-02-30"), null);
+  assert.equal(parseIsoDate("2026-3-1"), null);
+  assert.equal(parseIsoDate(undefined), null);
+});
+
+test("parseRelativeWindow resolves last/past N units against now", () => {
+  assert.deepEqual(parseRelativeWindow("last 30 days", NOW), {
+    label: "last 30 days",
+    after: "2026-02-13",
+    before: "2026-03-15"
+  });
+  assert.deepEqual(parseRelativeWindow("Past 2  weeks", NOW), {
+    label: "last 2 weeks",
+    after: "2026-03-01",
+    before: "2026-03-15"
+  });
+  assert.equal(parseRelativeWindow("last month", NOW).after, "2026-02-15");
+  assert.equal(parseRelativeWindow("last year", NOW).after, "2025-03-15");
+  assert.equal(parseRelativeWindow("next week", NOW), null);
+  assert.equal(parseRelativeWindow("last 0 days", NOW), null);
+});
+
+test("resolveDateWindow returns null without date params and keeps valid periods", () => {
+  assert.deepEqual(resolveDateWindow({}), { window: null, errors: [] });
+  assert.deepEqual(resolveDateWindow({ as_of_period: "MID", as_of_year: 2025 }), { window: null, errors: [] });
+});
+
+test("resolveDateWindow combines as_of, explicit bounds and recency", () => {
+  const now = () => NOW;
+
+  assert.deepEqual(resolveDateWindow({ as_of: "2026-01-31", recency: "last 2 weeks" }, { now }).window, {
+    as_of: "2026-01-31",
+    published_after: "2026-01-17",
+    published_before: "2026-01-31",
+    recency: "last 2 weeks"
+  });
+  assert.deepEqual(
+    resolveDateWindow({ published_after: "2026-01-01", recency: "last 30 days" }, { now }).window,
+    { as_of: null, published_after: "2026-01-01", published_before: "2026-03-15", recency: "last 30 days" }
+  );
+  assert.equal(resolveDateWindow({ as_of_period: "last 7 days" }, { now }).window.published_after, "2026-03-08");
+});
+
+test("resolveDateWindow reports invalid dates, periods and ranges instead of coercing them", () => {
+  assert.deepEqual(resolveDateWindow({ as_of_period: "soon" }).errors, [
+    'as_of_period must be early|mid|late (got "soon"); use as_of, published_after/published_before or recency for exact windows'
+  ]);
+  assert.deepEqual(resolveDateWindow({ as_of: "2026-13-01", recency: "recently" }).errors, [
+    'as_of must be an ISO date (YYYY-MM-DD) (got "2026-13-01")',
+    'recency must look like "last 30 days", "past 2 weeks" or "last year" (got "recently")'
+  ]);
+  assert.deepEqual(resolveDateWindow({ published_after: "2026-02-01", published_before: "2026-01-01" }).errors, [
+    "published_after (2026-02-01) must not be later than published_before (2026-01-01)"
+  ]);
+  assert.deepEqual(resolveDateWindow({ as_of: "2026-01-01", published_after: "2026-02-01" }).errors, [
+    "as_of (2026-01-01) must not be earlier than published_after (2026-02-01)"
+  ]);
+});
+
+test("formatDateWindowPrompt and formatDateWindowLabel describe the window", () => {
+  const window = { as_of: "2026-03-01", published_after: "2026-01-01", published_before: null, recency: null };
+  assert.deepEqual(formatDateWindowPrompt(window), [
+    "Search for the latest available information as of 2026-03-01.",
+    "Describe the state of things on 2026-03-01 and ignore anything that happened after it.",
+    "Only use sources published on or after 2026-01-01.",
+    "Set the as_of field to the date (YYYY-MM-DD) or month (YYYY-MM) that the answer reflects."
+  ]);
+  assert.equal(formatDateWindowLabel(window), "on or after 2026-01-01");
+  assert.equal(formatDateWindowLabel({ as_of: "2026-03-01", published_after: null, published_before: null }), "as of 2026-03-01");
+});
+
+test("parseReportedAsOf understands dates, months, periods, quarters and years", () => {
+  const range = (text) => {
+    const parsed = parseReportedAsOf(text);
+    return parsed && [new Date(parsed.start).toISOString().slice(0, 10), new Date(parsed.end).toISOString().slice(0, 10)];
+  };
+
+  assert.deepEqual(range("2026-03-01"), ["2026-03-01", "2026-03-01"]);
+  assert.deepEqual(range("as of 2026-02"), ["2026-02-01", "2026-02-28"]);
+  assert.deepEqual(range("March 5, 2026"), ["2026-03-05", "2026-03-05"]);
+  assert.deepEqual(range("Sept 2025"), ["2025-09-01", "2025-09-30"]);
+  assert.deepEqual(range("early 2026"), ["2026-01-01", "2026-04-30"]);
+  assert.deepEqual(range("late-2025"), ["2025-09-01", "2025-12-31"]);
+  assert.deepEqual(range("Q2 2026"), ["2026-04-01", "2026-06-30"]);
+  assert.deepEqual(range("2025"), ["2025-01-01", "2025-12-31"]);
+  assert.equal(range("recently"), null);
+});
+
+test("checkReportedAsOf flags reported dates outside the requested window", () => {
+  const window = { as_of: "2026-03-01", published_after: "2026-01-01", published_before: null, recency: null };
+
+  assert.deepEqual(checkReportedAsOf("February 2026", window), {
+    reported: "February 2026",
+    status: "inside",
+    start: "2026-02-01",
+    end: "2026-02-28"
+  });
+  assert.equal(checkReportedAsOf("early 2026", window).status, "inside");
+  assert.equal(checkReportedAsOf("late 2025", window).status, "outside");
+  assert.equal(checkReportedAsOf("2026-04-02", window).status, "outside");
+  assert.equal(checkReportedAsOf("now", window).status, "unknown");
+});
@@ -0,0 +1,261 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { runCodexSearch } from "../lib/codex-search-tool.mjs";
+import { formatProgressEvent } from "../lib/codex-search-progress.mjs";
+
+function structuredResult(question) {
+  return {
+    ok: true,
+    text: `ok: ${question}`,
+    details: {
+      query: question,
+      structured: {
+        answer: `answer to ${question}`,
+        as_of: "early 2026",
+        confidence: 0.8,
+        sources: [`https://${question.replace(/\W+/g, "-")}.example/`],
+        notes: ""
+      }
+    }
+  };
+}
+
+function planResult(subQuestions, rationale = "") {
+  return { ok: true, text: subQuestions.join("\n"), details: { structured: { subQuestions, rationale } } };
+}
+
+function synthesisResult(answer = "combined answer") {
+  return {
+    ok: true,
+    text: answer,
+    details: {
+      structured: {
+        answer,
+        contradictions: [{ topic: "release date", details: "differs", result_numbers: [1, 3] }],
+        confidence: 0.7,
+        sources: ["https://synthesis.example/"],
+        notes: ""
+      },
+      telemetry: {},
+      elapsedSeconds: 1
+    }
+  };
+}
+
+test("deep mode plans, researches sub-questions as a batch and synthesizes", async () => {
+  const planCalls = [];
+  const singleCalls = [];
+  let synthesisParams = null;
+  const updates = [];
+
+  const result = await runCodexSearch(
+    { questions: ["Is Bun production ready?"], mode: "deep", deep_breadth: 3, model: "gpt-test" },
+    {
+      onProgress: (event) => updates.push(formatProgressEvent(event)),
+      runDecomposition: async (params) => {
+        planCalls.push(params);
+        return planResult(["adoption", "stability", "ecosystem"], "three angles");
+      },
+      runSingle: async (params) => {
+        singleCalls.push(params);
+        return structuredResult(params.question);
+      },
+      runSynthesis: async (params) => {
+        synthesisParams = params;
+        return synthesisResult();
+      }
+    }
+  );
+
+  assert.equal(result.ok, true);
+  assert.equal(planCalls.length, 1);
+  assert.equal(planCalls[0].breadth, 3);
+  assert.equal(planCalls[0].model, "gpt-test");
+  assert.deepEqual(
+    singleCalls.map((params) => params.question),
+    ["adoption", "stability", "ecosystem"]
+  );
+  assert.equal(synthesisParams.question, "Is Bun production ready?");
+  assert.deepEqual(
+    synthesisParams.results.map((entry) => entry.number),
+    [1, 2, 3]
+  );
+
+  assert.equal(result.details.mode, "deep");
+  assert.deepEqual(result.details.plan[0].subQuestions, ["adoption", "stability", "ecosystem"]);
+  assert.equal(result.details.plan[0].rationale, "three angles");
+  assert.equal(result.details.plan[0].runStates.length, 3);
+  assert.equal(result.details.synthesis.answer, "combined answer");
+  assert.equal(result.details.synthesis.sources[0], "https://synthesis.example/");
+  assert.equal(result.details.summary.subQuestions, 3);
+  assert.match(result.text, /^combined answer/);
+  assert.match(result.text, /1\. \[round 1\] adoption \(ok\)/);
+
+  assert.ok(updates.some((text) => text.includes("phase: planning")));
+  assert.ok(updates.some((text) => text.includes("phase: researching") && text.includes("runs:")));
+  assert.ok(updates.some((text) => text.includes("phase: synthesizing")));
+});
+
+test("deep mode passes the resolved date window to planning and synthesis", async () => {
+  const passes = [];
+  await runCodexSearch(
+    { questions: ["Is Bun production ready?"], mode: "deep", deep_rounds: 1, recency: "last 30 days" },
+    {
+      now: () => Date.UTC(2026, 2, 15),
+      runDecomposition: async (params) => {
+        passes.push(params);
+        return planResult(["adoption", "stability"]);
+      },
+      runSingle: async (params) => structuredResult(params.question),
+      runSynthesis: async (params) => {
+        passes.push(params);
+        return synthesisResult();
+      }
+    }
+  );
+
+  assert.equal(passes.length, 2);
+  for (const params of passes) {
+    assert.deepEqual(params.date_window, {
+      as_of: null,
+      published_after: "2026-02-13",
+      published_before: "2026-03-15",
+      recency: "last 30 days"
+    });
+  }
+});
+
+test("deep mode feeds earlier findings into later rounds and stops on an empty plan", async () => {
+  const planCalls = [];
+  const plans = [["a", "b"], ["c"], []];
+
+  const result = await runCodexSearch(
+    { questions: ["q"], mode: "deep", deep_depth: 3 },
+    {
+      runDecomposition: async (params) => {
+        planCalls.push(params);
+        return planResult(plans[planCalls.length - 1]);
+      },
+      runSingle: async (params) => structuredResult(params.question),
+      runSynthesis: async (params) => synthesisResult(`from ${params.results.length}`)
+    }
+  );
+
+  assert.equal(planCalls.length, 3);
+  assert.deepEqual(planCalls[0].findings, []);
+  assert.deepEqual(
+    planCalls[2].findings.map((finding) => finding.question),
+    ["a", "b", "c"]
+  );
+  assert.equal(result.details.plan.length, 2);
+  assert.equal(result.details.summary.rounds, 2);
+  assert.equal(result.details.results.length, 3);
+  assert.match(result.text, /3\. \[round 2\] c \(ok\)/);
+  assert.equal(result.details.synthesis.answer, "from 3");
+});
+
+function waitOrAbort(ms, signal, value, abortedValue) {
+  return new Promise((resolve) => {
+    const timer = setTimeout(() => resolve(value), ms);
+    signal?.addEventListener(
+      "abort",
+      () => {
+        clearTimeout(timer);
+        resolve(abortedValue);
+      },
+      { once: true }
+    );
+  });
+}
+
+test("deep mode applies batch_timeout_sec to the whole call across rounds", async () => {
+  let planCalls = 0;
+  let synthesisCalls = 0;
+
+  const result = await runCodexSearch(
+    { questions: ["q"], mode: "deep", deep_depth: 3, batch_timeout_sec: 0.1 },
+    {
+      runDecomposition: async () => {
+        planCalls += 1;
+        return planResult([`r${planCalls}a`, `r${planCalls}b`]);
+      },
+      runSingle: async (params, options) =>
+        waitOrAbort(60, options.signal, structuredResult(params.question), {
+          ok: false,
+          text: "aborted",
+          details: { error: true, reason: "aborted", query: params.question }
+        }),
+      runSynthesis: async () => {
+        synthesisCalls += 1;
+        return synthesisResult();
+      }
+    }
+  );
+
+  assert.equal(planCalls, 2);
+  assert.equal(synthesisCalls, 0);
+  assert.deepEqual(
+    result.details.results.map((entry) => entry.details.reason ?? "ok"),
+    ["ok", "ok", "batch_timeout", "batch_timeout"]
+  );
+  assert.equal(result.details.synthesis.reason, "batch_timeout");
+  assert.equal(result.details.summary.stoppedBy, "batch_timeout");
+  assert.match(result.text, /- stopped: the batch timeout \(0\.1s\) was reached/);
+});
+
+test("deep mode researches the question directly when planning fails", async () => {
+  const singleCalls = [];
+
+  const result = await runCodexSearch(
+    { questions: ["q"], mode: "deep" },
+    {
+      runDecomposition: async () => ({ ok: false, text: "err", details: { error: true, reason: "timeout" } }),
+      runSingle: async (params) => {
+        singleCalls.push(params.question);
+        return structuredResult(params.question);
+      },
+      runSynthesis: async () => synthesisResult()
+    }
+  );
+
+  assert.equal(result.ok, true);
+  assert.deepEqual(singleCalls, ["q"]);
+  assert.equal(result.details.plan[0].planError, "timeout");
+  assert.deepEqual(result.details.plan[0].subQuestions, ["q"]);
+});
+
+test("deep mode reports failures without hiding partial results", async () => {
+  const failed = await runCodexSearch(
+    { questions: ["q"], mode: "deep" },
+    {
+      runDecomposition: async () => planResult(["a", "b"]),
+      runSingle: async (params) => ({ ok: false, text: "error", details: { error: true, reason: "timeout", query: params.question } }),
+      runSynthesis: async () => {
+        throw new Error("should not synthesize");
+      }
+    }
+  );
+  assert.equal(failed.ok, false);
+  assert.equal(failed.details.reason, "all_failed");
+  assert.equal(failed.details.synthesis.reason, "no_results");
+
+  const partial = await runCodexSearch(
+    { questions: ["q"], mode: "deep" },
+    {
+      runDecomposition: async () => planResult(["a", "b"]),
+      runSingle: async (params) => structuredResult(params.question),
+      runSynthesis: async () => ({ ok: false, text: "error", details: { error: true, reason: "non_zero_exit" } })
+    }
+  );
+  assert.equal(partial.ok, true);
+  assert.equal(partial.details.partialFailure, true);
+  assert.equal(partial.details.synthesis.reason, "non_zero_exit");
+  assert.match(partial.text, /synthesis unavailable \(non_zero_exit\)/);
+});
+
+test("deep mode takes exactly one question", async () => {
+  const result = await runCodexSearch({ questions: ["a", "b"], mode: "deep" });
+
+  assert.equal(result.ok, false);
+  assert.equal(result.details.reason, "deep_mode_single_question");
+});
@@ -0,0 +1,92 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { resolveOutputSchema, validateJsonValue, validateOutputSchema } from "../lib/codex-output-schema.mjs";
+
+const VERSION_TABLE_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  required: ["rows"],
+  properties: {
+    rows: {
+      type: "array",
+      minItems: 1,
+      items: {
+        type: "object",
+        additionalProperties: false,
+        required: ["name", "version", "lts"],
+        properties: {
+          name: { type: "string", minLength: 1 },
+          version: { type: "string", pattern: "^\\d+\\.\\d+\\.\\d+$" },
+          lts: { anyOf: [{ type: "boolean" }, { type: "null" }] }
+        }
+      }
+    }
+  }
+};
+
+test("validateOutputSchema accepts strict schemas", () => {
+  assert.deepEqual(validateOutputSchema(VERSION_TABLE_SCHEMA), []);
+  assert.deepEqual(validateOutputSchema({ type: "array", items: { enum: ["a", "b"] } }), []);
+});
+
+test("validateOutputSchema explains what makes a schema unusable", () => {
+  assert.deepEqual(validateOutputSchema("nope"), ["output_schema: must be a JSON Schema object"]);
+  assert.deepEqual(
+    validateOutputSchema({
+      type: "object",
+      required: ["a", "missing"],
+      properties: {
+        a: { type: "strng" },
+        b: { $ref: "#/defs/b" },
+        c: { type: "array" }
+      }
+    }),
+    [
+      'output_schema.properties.a.type: unknown type "strng"',
+      'output_schema: property "b" must be listed in required',
+      'output_schema.properties.b: unsupported keyword "$ref"',
+      "output_schema.properties.b: must declare a type, enum or const",
+      'output_schema: property "c" must be listed in required',
+      "output_schema.properties.c: arrays must define items",
+      'output_schema: required property "missing" is not defined',
+      "output_schema: objects must set additionalProperties: false"
+    ]
+  );
+});
+
+test("validateJsonValue reports paths for every mismatch", () => {
+  assert.deepEqual(
+    validateJsonValue({ rows: [{ name: "node", version: "24.1.0", lts: true }] }, VERSION_TABLE_SCHEMA),
+    []
+  );
+  assert.deepEqual(
+    validateJsonValue(
+      { rows: [{ name: "", version: "v24", lts: "yes", extra: 1 }, { name: "npm" }] },
+      VERSION_TABLE_SCHEMA
+    ),
+    [
+      "data.rows[0].name: must be at least 1 characters",
+      "data.rows[0].version: must match pattern ^\\d+\\.\\d+\\.\\d+$",
+      "data.rows[0].lts: does not match any of the allowed schemas",
+      'data.rows[0]: unexpected property "extra"',
+      'data.rows[1]: missing required property "version"',
+      'data.rows[1]: missing required property "lts"'
+    ]
+  );
+  assert.deepEqual(validateJsonValue(undefined, VERSION_TABLE_SCHEMA), ["data: expected object, got undefined"]);
+  assert.deepEqual(validateJsonValue(1.5, { type: "integer", minimum: 2 }), ["data: expected integer, got number"]);
+  assert.deepEqual(validateJsonValue(1, { type: "integer", minimum: 2 }), ["data: must be >= 2"]);
+});
+
+test("resolveOutputSchema accepts objects or JSON strings", () => {
+  assert.deepEqual(resolveOutputSchema(undefined), { schema: null, errors: [] });
+  assert.deepEqual(resolveOutputSchema(JSON.stringify(VERSION_TABLE_SCHEMA)), {
+    schema: VERSION_TABLE_SCHEMA,
+    errors: []
+  });
+  assert.match(resolveOutputSchema("{not json").errors[0], /^output_schema: invalid JSON/);
+  assert.deepEqual(resolveOutputSchema({ type: "object", properties: {} }), {
+    schema: null,
+    errors: ["output_schema: objects must set additionalProperties: false"]
+  });
+});
@@ -8,10 +8,30 @@ import {
   coerceStructuredResult,
   normalizeAsOfPeriod,
   normalizeQuestions,
+  normalizeQuestionEntries,
+  resolveBatchTimeoutSec,
+  MAX_BATCH_TIMEOUT_SEC,
   resolveParallelism,
   createProgressCounters,
+  PROGRESS_RECENT_LIMIT,
   updateProgressCountersFromEvent,
-  formatProgressStatus
+  resolveRetryPolicy,
+  computeRetryDelayMs,
+  resolveResultSchema,
+  formatClaimLines,
+  CODEX_RESULT_SCHEMA,
+  CODEX_CLAIMS_RESULT_SCHEMA,
+  normalizeDomainList,
+  createDomainPolicy,
+  checkDomainPolicy,
+  buildSynthesisPrompt,
+  coerceSynthesisResult,
+  buildDecompositionPrompt,
+  coerceDecompositionResult,
+  normalizeSearchMode,
+  resolveDeepLimits,
+  resolveEscalationPolicy,
+  evaluateEscalationTriggers
 } from "../lib/codex-runner.mjs";
 
 test("buildCodexPrompt includes policy constraints and as_of framing", () => {
@@ -116,6 +136,33 @@ test("normalizeQuestions trims empty entries", () => {
   assert.deepEqual(questions, ["first", "second"]);
 });
 
+test("normalizeQuestionEntries accepts strings and { question, priority } objects", () => {
+  assert.deepEqual(
+    normalizeQuestionEntries(["first", { question: " second ", priority: 3 }, { question: "third", priority: "high" }, { priority: 1 }]),
+    [
+      { question: "first", priority: 0, overrides: {} },
+      { question: "second", priority: 3, overrides: {} },
+      { question: "third", priority: 0, overrides: {} }
+    ]
+  );
+  assert.deepEqual(normalizeQuestions([{ question: "first" }, "second"]), ["first", "second"]);
+});
+
+test("normalizeQuestionEntries keeps only known per-question overrides", () => {
+  const [entry] = normalizeQuestionEntries([
+    { question: "q1", model: "gpt-5", as_of_year: 2025, include_domains: ["nodejs.org"], parallelism: 3, cache: "bypass" }
+  ]);
+  assert.deepEqual(entry.overrides, { model: "gpt-5", as_of_year: 2025, include_domains: ["nodejs.org"] });
+});
+
+test("resolveBatchTimeoutSec ignores invalid values and caps the limit", () => {
+  assert.equal(resolveBatchTimeoutSec(undefined), null);
+  assert.equal(resolveBatchTimeoutSec(0), null);
+  assert.equal(resolveBatchTimeoutSec(-5), null);
+  assert.equal(resolveBatchTimeoutSec(90), 90);
+  assert.equal(resolveBatchTimeoutSec(10 ** 9), MAX_BATCH_TIMEOUT_SEC);
+});
+
 test("resolveParallelism clamps to question count and configured maximum", () => {
   assert.equal(resolveParallelism(undefined, 4, 5), 4);
   assert.equal(resolveParallelism(10, 4, 5), 4);
@@ -152,20 +199,387 @@ test("progress counters increment for search/open_page events", () => {
   assert.equal(counters.searches, 1);
   assert.equal(counters.pagesOpened, 1);
   assert.match(counters.lastAction, /open:/i);
+  assert.equal(counters.latestQuery, "node latest lts");
+  assert.equal(counters.latestUrl, "https://nodejs.org/en/about/previous-releases");
 });
 
-test("formatProgressStatus includes elapsed time and counters", () => {
+test("progress counters keep the full trace and a rolling log of recent actions", () => {
   const counters = createProgressCounters();
-  counters.searches = 3;
-  counters.pagesOpened = 2;
-  counters.lastAction = "search: npm latest";
-
-  const startedAt = Date.now() - 2500;
-  const text = formatProgressStatus(counters, startedAt);
-
-  assert.match(text, /Running Codex web search/);
-  assert.match(text, /elapsed: \d+s/);
-  assert.match(text, /searches: 3/);
-  assert.match(text, /pages opened: 2/);
-  assert.match(text, /last action: search: npm latest/);
+  for (let i = 1; i <= PROGRESS_RECENT_LIMIT + 2; i += 1) {
+    updateProgressCountersFromEvent(
+      { type: "item.completed", item: { type: "web_search", query: `q${i}`, action: { type: "search", query: `q${i}` } } },
+      counters
+    );
+  }
+  updateProgressCountersFromEvent({ type: "turn.completed", usage: {} }, counters);
+
+  assert.equal(counters.trace.length, PROGRESS_RECENT_LIMIT + 2);
+  assert.deepEqual(counters.trace[0], { actionType: "search", query: "q1", queries: [], url: undefined });
+  assert.deepEqual(
+    counters.recent.map((entry) => entry.query),
+    ["q3", "q4", "q5", "q6", "q7"]
+  );
+});
+
+test("resolveRetryPolicy keeps timeouts and aborts non-retryable by default", () => {
+  const policy = resolveRetryPolicy({});
+  assert.equal(policy.maxAttempts, 2);
+  assert.equal(policy.backoffSec, 5);
+  assert.deepEqual(policy.retryOn, ["non_zero_exit", "no_final_output", "invalid_structured_output"]);
+  assert.ok(!policy.retryOn.includes("timeout"));
+  assert.ok(!policy.retryOn.includes("aborted"));
+
+  const custom = resolveRetryPolicy({ max_attempts: 99, retry_backoff_sec: -1, retry_on: [" timeout ", "timeout", 3] });
+  assert.equal(custom.maxAttempts, 5);
+  assert.equal(custom.backoffSec, 0);
+  assert.deepEqual(custom.retryOn, ["timeout"]);
+});
+
+test("computeRetryDelayMs backs off exponentially", () => {
+  const policy = resolveRetryPolicy({ retry_backoff_sec: 2 });
+  assert.equal(computeRetryDelayMs(policy, 1), 2000);
+  assert.equal(computeRetryDelayMs(policy, 2), 4000);
+  assert.equal(computeRetryDelayMs(policy, 3), 8000);
+  assert.equal(computeRetryDelayMs(resolveRetryPolicy({ retry_backoff_sec: 200 }), 3), 300000);
+});
+
+test("claims schema mode extends the base schema and prompt", () => {
+  assert.equal(resolveResultSchema("basic"), CODEX_RESULT_SCHEMA);
+  assert.equal(resolveResultSchema("CLAIMS"), CODEX_CLAIMS_RESULT_SCHEMA);
+  assert.ok(CODEX_CLAIMS_RESULT_SCHEMA.required.includes("claims"));
+  assert.ok(!CODEX_RESULT_SCHEMA.required.includes("claims"));
+
+  const prompt = buildCodexPrompt({ question: "q", asOfYear: 2026, schemaMode: "claims" });
+  assert.match(prompt, /claims field/i);
+  assert.doesNotMatch(buildCodexPrompt({ question: "q", asOfYear: 2026 }), /claims field/i);
+});
+
+test("coerceStructuredResult validates claim sources against top-level sources", () => {
+  const base = {
+    answer: "npm 11.2.0 is the latest release",
+    as_of: "early 2026",
+    confidence: 0.8,
+    sources: ["https://docs.npmjs.com/", "https://github.com/npm/cli/releases"],
+    notes: ""
+  };
+
+  const valid = coerceStructuredResult(
+    {
+      ...base,
+      claims: [
+        {
+          claim: "npm 11.2.0 is the latest release",
+          sources: ["https://github.com/npm/cli/releases"],
+          quote: "v11.2.0"
+        },
+        { claim: "npm ships with Node.js", sources: ["https://docs.npmjs.com"], quote: "" }
+      ]
+    },
+    { schemaMode: "claims" }
+  );
+
+  assert.deepEqual(valid?.claims, [
+    { claim: "npm 11.2.0 is the latest release", sources: ["https://github.com/npm/cli/releases"], quote: "v11.2.0" },
+    { claim: "npm ships with Node.js", sources: ["https://docs.npmjs.com/"], quote: undefined }
+  ]);
+
+  const unknownSource = coerceStructuredResult(
+    { ...base, claims: [{ claim: "x", sources: ["https://example.com/other"], quote: "" }] },
+    { schemaMode: "claims" }
+  );
+  const missingClaims = coerceStructuredResult(base, { schemaMode: "claims" });
+
+  assert.equal(unknownSource, null);
+  assert.equal(missingClaims, null);
+  assert.equal(coerceStructuredResult(base)?.claims, undefined);
+});
+
+test("coerceStructuredResult keeps cited sources when truncating to maxSources", () => {
+  const sources = Array.from({ length: 12 }, (_, i) => `https://s${i + 1}.example/`);
+  const structured = coerceStructuredResult(
+    {
+      answer: "a",
+      as_of: "early 2026",
+      confidence: 0.8,
+      sources,
+      notes: "",
+      claims: [
+        { claim: "first", sources: [sources[0]], quote: "" },
+        { claim: "tenth", sources: [sources[9]], quote: "" },
+        { claim: "twelfth", sources: [sources[11]], quote: "" }
+      ]
+    },
+    { schemaMode: "claims", maxSources: 3 }
+  );
+
+  assert.deepEqual(structured.sources, [sources[0], sources[9], sources[11]]);
+  assert.deepEqual(
+    structured.claims.map((claim) => claim.sources),
+    [[sources[0]], [sources[9]], [sources[11]]]
+  );
+  assert.deepEqual(formatClaimLines(structured.claims, structured.sources), ["- first [1]", "- tenth [2]", "- twelfth [3]"]);
+
+  const tooManyCited = coerceStructuredResult(
+    {
+      answer: "a",
+      as_of: "early 2026",
+      confidence: 0.8,
+      sources,
+      notes: "",
+      claims: sources.map((source, i) => ({ claim: `claim ${i + 1}`, sources: [source], quote: "" }))
+    },
+    { schemaMode: "claims", maxSources: 2 }
+  );
+  assert.deepEqual(tooManyCited.sources, sources.slice(0, 2));
+  assert.deepEqual(
+    tooManyCited.claims.map((claim) => claim.claim),
+    ["claim 1", "claim 2"]
+  );
+});
+
+test("formatClaimLines renders footnote markers that match the numbered sources", () => {
+  const sources = ["https://a.example/", "https://b.example/"];
+  const lines = formatClaimLines(
+    [
+      { claim: "first", sources: ["https://b.example/"], quote: "quoted" },
+      { claim: "second", sources: ["https://a.example/", "https://b.example/", "https://dropped.example/"] }
+    ],
+    sources
+  );
+
+  assert.deepEqual(lines, ["- first [2]", '  > "quoted"', "- second [1][2]"]);
+});
+
+test("normalizeDomainList accepts hosts, URLs and wildcards", () => {
+  assert.deepEqual(
+    normalizeDomainList(["Nodejs.org", "https://www.rfc-editor.org/rfc/rfc9110", "*.example.com", "", 42, "nodejs.org"]),
+    ["nodejs.org", "www.rfc-editor.org", "example.com"]
+  );
+  assert.equal(createDomainPolicy({ includeDomains: [], excludeDomains: [" "] }), null);
+});
+
+test("checkDomainPolicy matches subdomains and lets excludes win over includes", () => {
+  const policy = createDomainPolicy({ includeDomains: ["nodejs.org"], excludeDomains: ["blog.nodejs.org"] });
+
+  assert.equal(checkDomainPolicy("https://nodejs.org/en", policy).allowed, true);
+  assert.equal(checkDomainPolicy("https://docs.nodejs.org/api", policy).allowed, true);
+  assert.deepEqual(checkDomainPolicy("https://blog.nodejs.org/x", policy), {
+    allowed: false,
+    host: "blog.nodejs.org",
+    rule: "exclude"
+  });
+  assert.equal(checkDomainPolicy("https://evilnodejs.org/", policy).rule, "include");
+});
+
+test("domain policy is woven into the prompt and enforced on sources and opened pages", () => {
+  const domainPolicy = createDomainPolicy({ includeDomains: ["nodejs.org"], excludeDomains: ["spam.example"] });
+  const prompt = buildCodexPrompt({ question: "q", asOfYear: 2026, domainPolicy });
+  assert.match(prompt, /Only use and cite sources from these domains.*nodejs\.org/);
+  assert.match(prompt, /Do not open or cite sources from these domains: spam\.example/);
+
+  assert.deepEqual(
+    normalizeSources(["https://nodejs.org/a", "https://spam.example/b", "https://other.example/c"], 12, domainPolicy),
+    ["https://nodejs.org/a"]
+  );
+
+  const jsonl = [
+    { type: "item.completed", item: { type: "web_search", action: { type: "open_page", url: "https://nodejs.org/a" } } },
+    { type: "item.completed", item: { type: "web_search", action: { type: "open_page", url: "https://spam.example/b" } } }
+  ]
+    .map((event) => JSON.stringify(event))
+    .join("\n");
+
+  const parsed = parseCodexJsonlEvents(jsonl, { domainPolicy });
+  assert.deepEqual(parsed.domainViolations, [{ url: "https://spam.example/b", host: "spam.example", rule: "exclude" }]);
+  assert.deepEqual(parseCodexJsonlEvents(jsonl).domainViolations, []);
+});
+
+test("coerceStructuredResult drops denied claim sources and claims left without sources", () => {
+  const domainPolicy = createDomainPolicy({ excludeDomains: ["spam.example"] });
+  const structured = coerceStructuredResult(
+    {
+      answer: "a",
+      as_of: "early 2026",
+      confidence: 0.5,
+      sources: ["https://nodejs.org/a", "https://spam.example/b"],
+      notes: "",
+      claims: [
+        { claim: "kept", sources: ["https://nodejs.org/a", "https://spam.example/b"], quote: "" },
+        { claim: "dropped", sources: ["https://spam.example/b"], quote: "" }
+      ]
+    },
+    { schemaMode: "claims", domainPolicy }
+  );
+
+  assert.deepEqual(structured?.sources, ["https://nodejs.org/a"]);
+  assert.deepEqual(structured?.claims, [{ claim: "kept", sources: ["https://nodejs.org/a"], quote: undefined }]);
+});
+
+test("buildSynthesisPrompt numbers each result and forbids new searches", () => {
+  const prompt = buildSynthesisPrompt({
+    asOfPeriod: "late",
+    asOfYear: 2025,
+    results: [
+      { number: 1, question: "q1", structured: { answer: "a1", as_of: "x", confidence: 0.5, sources: ["https://a/"] } },
+      { number: 3, question: "q3", structured: { answer: "a3", as_of: "y", confidence: 0.9, sources: [], notes: "n" } }
+    ]
+  });
+
+  assert.match(prompt, /as of late 2025/);
+  assert.match(prompt, /Do not search the web/);
+  assert.match(prompt, /Result 1:\nQuestion: q1\nAnswer: a1/);
+  assert.match(prompt, /Result 3:[\s\S]*Sources: \(none\)\nNotes: n/);
+});
+
+test("coerceSynthesisResult validates the answer and cleans contradictions", () => {
+  const result = coerceSynthesisResult(
+    {
+      answer: " combined ",
+      confidence: 0.6,
+      contradictions: [
+        { topic: "date", details: "differs", result_numbers: [1, 2, 2, 9, 0] },
+        { topic: " ", details: "ignored", result_numbers: [1] }
+      ],
+      sources: ["https://a.example", "not-a-url"],
+      notes: ""
+    },
+    2
+  );
+
+  assert.equal(result.answer, "combined");
+  assert.deepEqual(result.contradictions, [{ topic: "date", details: "differs", result_numbers: [1, 2] }]);
+  assert.deepEqual(result.sources, ["https://a.example/"]);
+  assert.equal(coerceSynthesisResult({ answer: "x" }), null);
+});
+
+test("buildDecompositionPrompt bounds the plan and lists earlier findings", () => {
+  const first = buildDecompositionPrompt({ question: "Is Bun production ready?", breadth: 3, asOfYear: 2026 });
+  assert.match(first, /Plan web research for this question: Is Bun production ready\?/);
+  assert.match(first, /at most 3 focused/);
+  assert.doesNotMatch(first, /Earlier research rounds/);
+
+  const followUp = buildDecompositionPrompt({
+    question: "q",
+    breadth: 2,
+    findings: [{ question: "sub 1", answer: "found 1" }]
+  });
+  assert.match(followUp, /empty list if the question is fully covered/);
+  assert.match(followUp, /Sub-question: sub 1\nFinding: found 1/);
+});
+
+test("buildSynthesisPrompt and buildDecompositionPrompt describe an exact date window", () => {
+  const dateWindow = { as_of: "2026-03-01", published_after: "2026-01-01", published_before: "2026-03-01", recency: null };
+  const synthesis = buildSynthesisPrompt({ asOfPeriod: "early", asOfYear: 2026, dateWindow, results: [] });
+  const plan = buildDecompositionPrompt({ question: "q", breadth: 2, asOfYear: 2026, dateWindow });
+
+  for (const prompt of [synthesis, plan]) {
+    assert.doesNotMatch(prompt, /early 2026/);
+    assert.match(prompt, /as of 2026-03-01\. Describe the state of things on 2026-03-01/);
+    assert.match(prompt, /Only use sources published between 2026-01-01 and 2026-03-01\./);
+    assert.doesNotMatch(prompt, /Search for the latest|Set the as_of field/);
+  }
+});
+
+test("coerceDecompositionResult deduplicates and caps sub-questions at the breadth", () => {
+  assert.deepEqual(
+    coerceDecompositionResult({ sub_questions: [" a ", "A", "", 3, "b", "c"], rationale: " why " }, 2),
+    { subQuestions: ["a", "b"], rationale: "why" }
+  );
+  assert.deepEqual(coerceDecompositionResult({ sub_questions: [] }), { subQuestions: [], rationale: "" });
+  assert.equal(coerceDecompositionResult({ rationale: "x" }), null);
+});
+
+test("deep mode settings default and clamp", () => {
+  assert.equal(normalizeSearchMode(undefined), "standard");
+  assert.equal(normalizeSearchMode("DEEP"), "deep");
+  assert.equal(normalizeSearchMode("wide"), "standard");
+  assert.deepEqual(resolveDeepLimits({}), { breadth: 4, depth: 1 });
+  assert.deepEqual(resolveDeepLimits({ deep_breadth: 20, deep_depth: 0 }), { breadth: 8, depth: 1 });
+  assert.deepEqual(resolveDeepLimits({ deep_breadth: 2.7, deep_depth: 5 }), { breadth: 2, depth: 3 });
+});
+
+test("resolveEscalationPolicy requires a gate and a chain and clamps values", () => {
+  assert.equal(resolveEscalationPolicy({}), null);
+  assert.equal(resolveEscalationPolicy({ escalate_below_confidence: 0.7 }), null);
+  assert.equal(resolveEscalationPolicy({ escalation: [{ model: "gpt-5" }] }), null);
+
+  assert.deepEqual(
+    resolveEscalationPolicy({
+      escalate_below_confidence: 2,
+      escalate_min_sources: 0,
+      escalation: [{ model: " gpt-5 " }, {}, null, { timeout_sec: 3600 }, { model: "a" }, { model: "b" }]
+    }),
+    {
+      threshold: 1,
+      minSources: 1,
+      chain: [
+        { model: "gpt-5", timeoutSec: null },
+        { model: null, timeoutSec: 3600 },
+        { model: "a", timeoutSec: null }
+      ]
+    }
+  );
+});
+
+test("evaluateEscalationTriggers reports low confidence and too few sources", () => {
+  const policy = { threshold: 0.7, minSources: 2, chain: [{ model: "gpt-5", timeoutSec: null }] };
+  assert.deepEqual(evaluateEscalationTriggers({ confidence: 0.9, sources: ["a", "b"] }, policy), []);
+  assert.deepEqual(evaluateEscalationTriggers({ confidence: 0.5, sources: ["a"] }, policy), [
+    "low_confidence",
+    "few_sources"
+  ]);
+  assert.deepEqual(evaluateEscalationTriggers({ confidence: 0.5, sources: [] }, null), []);
+});
+
+test("buildCodexPrompt appends earlier research for follow-ups", () => {
+  const prompt = buildCodexPrompt({
+    question: "And what about the Windows build",
+    asOfYear: 2026,
+    followUp: {
+      question: "What is the latest Node.js LTS",
+      answer: "Node.js 24",
+      as_of: "early 2026",
+      sources: ["https://nodejs.org/en"],
+      trace: { searches: ["node lts"], pagesOpened: ["https://nodejs.org/en"] }
+    }
+  });
+
+  const [instructions, context] = prompt.split("\n\n");
+  assert.match(instructions, /^And what about the Windows build\./);
+  assert.match(instructions, /follow-up to the earlier research below/);
+  assert.equal(
+    context,
+    [
+      "Earlier research:",
+      "Question: What is the latest Node.js LTS",
+      "Answer: Node.js 24",
+      "As of: early 2026",
+      "Sources: https://nodejs.org/en",
+      "Searches already run: node lts",
+      "Pages already opened: https://nodejs.org/en"
+    ].join("\n")
+  );
+  assert.doesNotMatch(buildCodexPrompt({ question: "q", asOfYear: 2026 }), /Earlier research/);
+});
+
+test("resolveResultSchema and coerceStructuredResult add caller data under output_schema", () => {
+  const outputSchema = {
+    $schema: "https://json-schema.org/draft/2020-12/schema",
+    type: "array",
+    items: { type: "string" }
+  };
+
+  const schema = resolveResultSchema("claims", outputSchema);
+  assert.deepEqual(schema.required, [...CODEX_CLAIMS_RESULT_SCHEMA.required, "data"]);
+  assert.deepEqual(schema.properties.data, { type: "array", items: { type: "string" } });
+  assert.ok(schema.properties.claims);
+  assert.equal(resolveResultSchema("basic", null), CODEX_RESULT_SCHEMA);
+
+  const base = { answer: "a", as_of: "early 2026", confidence: 0.8, sources: [], notes: "" };
+  assert.deepEqual(coerceStructuredResult({ ...base, data: ["x"] }, { outputSchema }).data, ["x"]);
+  assert.equal(coerceStructuredResult({ ...base, data: [1] }, { outputSchema }), null);
+  assert.equal(coerceStructuredResult({ ...base, data: ["x"] }).data, undefined);
+
+  assert.match(buildCodexPrompt({ question: "q", asOfYear: 2026, outputSchema }), /data field, following its schema/);
+  assert.doesNotMatch(buildCodexPrompt({ question: "q", asOfYear: 2026 }), /data field/);
 });
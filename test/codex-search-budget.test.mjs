@@ -0,0 +1,84 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  DEFAULT_PRICE_TABLE,
+  addUsage,
+  createUsageBudget,
+  estimateCostUsd,
+  resolvePriceTable,
+  resolveSessionTokenLimits,
+  resolveTokenLimits,
+  sumEntryCostUsd
+} from "../lib/codex-search-budget.mjs";
+
+test("addUsage sums partial usage objects", () => {
+  assert.deepEqual(addUsage({ input_tokens: 10, output_tokens: 2 }, null, { input_tokens: 5, cached_input_tokens: 3 }), {
+    input_tokens: 15,
+    cached_input_tokens: 3,
+    output_tokens: 2
+  });
+});
+
+test("resolveTokenLimits reads per-scope params and ignores non-positive values", () => {
+  assert.equal(resolveTokenLimits({}, "question"), null);
+  assert.deepEqual(resolveTokenLimits({ max_question_input_tokens: 1000.9, max_question_output_tokens: 0 }, "question"), {
+    input_tokens: 1000,
+    output_tokens: null
+  });
+  assert.deepEqual(resolveSessionTokenLimits({ PI_CODEX_SEARCH_SESSION_MAX_OUTPUT_TOKENS: "5000" }), {
+    input_tokens: null,
+    output_tokens: 5000
+  });
+});
+
+test("createUsageBudget checks its own limits, then its parents, including pending usage", () => {
+  const session = createUsageBudget({ scope: "session", limits: { input_tokens: 100, output_tokens: null } });
+  const batch = createUsageBudget({ scope: "batch", limits: { input_tokens: null, output_tokens: 10 }, parent: session });
+  const question = createUsageBudget({ scope: "question", parent: batch });
+
+  question.add({ input_tokens: 60, output_tokens: 4 });
+  assert.equal(session.usage.input_tokens, 60);
+  assert.equal(question.check(), null);
+  assert.deepEqual(question.check({ output_tokens: 7 }), { scope: "batch", kind: "output_tokens", limit: 10, used: 11 });
+  assert.deepEqual(question.check({ input_tokens: 41 }), { scope: "session", kind: "input_tokens", limit: 100, used: 101 });
+  assert.deepEqual(question.describeLimits(), {
+    session: { input_tokens: 100, output_tokens: null },
+    batch: { input_tokens: null, output_tokens: 10 }
+  });
+});
+
+test("estimateCostUsd prices cached input separately and falls back to the default model", () => {
+  const table = { default: { input: 2, output: 8 }, cheap: { input: 1, cached_input: 0.1, output: 4 } };
+  const usage = { input_tokens: 1_000_000, cached_input_tokens: 500_000, output_tokens: 100_000 };
+
+  assert.equal(estimateCostUsd(usage, "cheap", table), 0.95);
+  assert.equal(estimateCostUsd(usage, "unknown", table), 2.8);
+  assert.equal(estimateCostUsd(usage, null, {}), null);
+});
+
+test("sumEntryCostUsd adds per-entry costs, skipping cache hits and entries without usage", () => {
+  const table = { default: { input: 2, output: 8 }, cheap: { input: 1, output: 4 } };
+  const usage = { input_tokens: 1_000_000, cached_input_tokens: 0, output_tokens: 0 };
+  const entries = [
+    { details: { usage, estimatedCostUsd: 0.5 } },
+    { details: { usage, model: "cheap" } },
+    { details: { usage, estimatedCostUsd: 9, cache: { status: "hit" } } },
+    { details: { reason: "not_started_due_budget" } }
+  ];
+
+  assert.equal(sumEntryCostUsd(entries, "default", table), 1.5);
+  assert.equal(sumEntryCostUsd(entries, "default", table, [0.25]), 1.75);
+  assert.equal(sumEntryCostUsd([{ details: { usage, estimatedCostUsd: null } }], "default", table), null);
+});
+
+test("resolvePriceTable layers env JSON and explicit overrides over the defaults", () => {
+  const table = resolvePriceTable(
+    { mine: { input: 1, output: 1 } },
+    { PI_CODEX_SEARCH_PRICES: JSON.stringify({ "gpt-5": { input: 9, output: 9 } }) }
+  );
+
+  assert.equal(table["gpt-5"].input, 9);
+  assert.equal(table.mine.output, 1);
+  assert.ok(table.default);
+  assert.deepEqual(resolvePriceTable(undefined, { PI_CODEX_SEARCH_PRICES: "{nope" }), DEFAULT_PRICE_TABLE);
+});
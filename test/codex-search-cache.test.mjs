@@ -0,0 +1,120 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { readdir } from "node:fs/promises";
+import { join } from "node:path";
+import {
+  buildCacheDescriptor,
+  buildCacheKey,
+  createSearchCache,
+  normalizeCacheMode,
+  normalizeQuestionForCache,
+  resolveCacheTtlSec
+} from "../lib/codex-search-cache.mjs";
+import { withTempDir } from "./helpers.mjs";
+
+test("normalizeQuestionForCache ignores case, whitespace and trailing punctuation", () => {
+  assert.equal(normalizeQuestionForCache("  What is   npm latest?  "), "what is npm latest");
+  assert.equal(normalizeQuestionForCache("WHAT IS NPM LATEST"), "what is npm latest");
+});
+
+test("buildCacheKey is stable for equivalent params and varies by as-of window, backend, model, max_sources, schema mode, domains, source verification, escalation, follow-ups and date windows", () => {
+  const base = { question: "What is npm latest?", as_of_period: "mid", as_of_year: 2026, max_sources: 8 };
+
+  assert.equal(buildCacheKey(base), buildCacheKey({ ...base, question: "what is npm latest", max_sources: undefined }));
+  assert.equal(buildCacheKey(base), buildCacheKey({ ...base, as_of_period: "MID" }));
+  assert.notEqual(buildCacheKey(base), buildCacheKey({ ...base, as_of_period: "late" }));
+  assert.notEqual(buildCacheKey(base), buildCacheKey({ ...base, as_of_year: 2025 }));
+  assert.notEqual(buildCacheKey(base), buildCacheKey({ ...base, model: "gpt-5" }));
+  assert.notEqual(buildCacheKey(base), buildCacheKey({ ...base, backend: "openai-http" }));
+  assert.notEqual(buildCacheKey(base), buildCacheKey({ ...base, max_sources: 4 }));
+  assert.notEqual(buildCacheKey(base), buildCacheKey({ ...base, schema_mode: "claims" }));
+  assert.notEqual(buildCacheKey(base), buildCacheKey({ ...base, include_domains: ["nodejs.org"] }));
+  assert.equal(
+    buildCacheKey({ ...base, exclude_domains: ["b.example", "a.example"] }),
+    buildCacheKey({ ...base, exclude_domains: ["A.example", "https://b.example/path"] })
+  );
+  assert.equal(buildCacheKey(base), buildCacheKey({ ...base, verify_sources: "off" }));
+  assert.notEqual(buildCacheKey(base), buildCacheKey({ ...base, verify_sources: "trace" }));
+  assert.equal(buildCacheKey(base), buildCacheKey({ ...base, escalate_below_confidence: 0.7 }));
+  assert.notEqual(
+    buildCacheKey(base),
+    buildCacheKey({ ...base, escalate_below_confidence: 0.7, escalation: [{ model: "gpt-5" }] })
+  );
+  assert.notEqual(buildCacheKey(base), buildCacheKey({ ...base, follow_up_of: "abc123" }));
+  assert.notEqual(buildCacheKey(base), buildCacheKey({ ...base, as_of: "2026-03-01" }));
+  assert.notEqual(
+    buildCacheKey({ ...base, published_after: "2026-01-01" }),
+    buildCacheKey({ ...base, published_after: "2026-02-01" })
+  );
+});
+
+test("buildCacheKey varies by fail_on_command_event and the openai-http endpoint", () => {
+  const base = { question: "What is npm latest?", as_of_period: "mid", as_of_year: 2026 };
+  const http = { ...base, backend: "openai-http" };
+  const env = (overrides = {}) => ({ env: { ...overrides } });
+
+  assert.equal(buildCacheKey(base), buildCacheKey({ ...base, fail_on_command_event: true }));
+  assert.notEqual(buildCacheKey(base), buildCacheKey({ ...base, fail_on_command_event: false }));
+
+  assert.equal(buildCacheDescriptor(http, env()).http_base_url, "https://api.openai.com/v1");
+  assert.equal(
+    buildCacheKey(http, env()),
+    buildCacheKey(http, env({ PI_CODEX_SEARCH_HTTP_BASE_URL: "https://api.openai.com/v1/" }))
+  );
+  assert.notEqual(
+    buildCacheKey(http, env()),
+    buildCacheKey(http, env({ PI_CODEX_SEARCH_HTTP_BASE_URL: "http://localhost:8080/v1" }))
+  );
+  assert.notEqual(buildCacheKey(http, env()), buildCacheKey(http, { httpBaseUrl: "http://localhost:8080/v1", env: {} }));
+  assert.notEqual(
+    buildCacheKey(http, env()),
+    buildCacheKey(http, env({ PI_CODEX_SEARCH_HTTP_MODEL: "gpt-4o-mini-search-preview" }))
+  );
+  assert.equal(
+    buildCacheKey({ ...http, model: "gpt-5" }, env()),
+    buildCacheKey({ ...http, model: "gpt-5" }, env({ PI_CODEX_SEARCH_HTTP_MODEL: "gpt-4o-mini-search-preview" }))
+  );
+  assert.equal(
+    buildCacheKey(base, env()),
+    buildCacheKey(base, env({ PI_CODEX_SEARCH_HTTP_BASE_URL: "http://localhost:8080/v1" }))
+  );
+});
+
+test("normalizeCacheMode and resolveCacheTtlSec fall back to defaults", () => {
+  assert.equal(normalizeCacheMode("REFRESH"), "refresh");
+  assert.equal(normalizeCacheMode("bypass"), "bypass");
+  assert.equal(normalizeCacheMode("nonsense"), "use");
+  assert.equal(resolveCacheTtlSec(undefined), 21600);
+  assert.equal(resolveCacheTtlSec(-5), 0);
+  assert.equal(resolveCacheTtlSec(10 ** 9), 604800);
+});
+
+test("createSearchCache stores results on disk without run-local details and expires them after the TTL", async () => {
+  await withTempDir(async (dir) => {
+    let now = 1_000_000;
+    const cache = createSearchCache({ dir, now: () => now });
+    const result = {
+      ok: true,
+      text: "answer",
+      details: {
+        query: "q",
+        cache: { status: "miss" },
+        debug: { dir: "/tmp/trace/q01-q", attempts: 1 },
+        progress: { elapsedSeconds: 12, searches: 3, pagesOpened: 2 }
+      }
+    };
+
+    assert.equal(await cache.get("abc"), null);
+    assert.equal(await cache.set("abc", result, { question: "q" }), true);
+
+    now += 30_000;
+    const hit = await cache.get("abc", { ttlSec: 60 });
+    assert.equal(hit.ageSeconds, 30);
+    assert.equal(hit.storedAt, 1_000_000);
+    assert.deepEqual(hit.result, { ok: true, text: "answer", details: { query: "q" } });
+
+    now += 60_000;
+    assert.equal(await cache.get("abc", { ttlSec: 60 }), null);
+    assert.deepEqual(await readdir(dir), []);
+  });
+});
@@ -0,0 +1,99 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { parseAsOfWindow, parseSearchCommandArgs, tokenizeCommandArgs } from "../lib/codex-search-command.mjs";
+
+test("parseSearchCommandArgs keeps the plain || syntax working", () => {
+  assert.deepEqual(parseSearchCommandArgs("What is npm latest? || What is pnpm latest?"), {
+    params: { questions: ["What is npm latest?", "What is pnpm latest?"] },
+    json: false
+  });
+  assert.deepEqual(parseSearchCommandArgs("a||b").params.questions, ["a", "b"]);
+});
+
+test("parseSearchCommandArgs reads flags at question boundaries", () => {
+  assert.deepEqual(
+    parseSearchCommandArgs("--model gpt-5 --as-of late-2025 --timeout=600 q1 || --max-sources 12 --parallel 3 --json q2"),
+    {
+      params: {
+        questions: ["q1", "q2"],
+        model: "gpt-5",
+        as_of_period: "late",
+        as_of_year: 2025,
+        timeout_sec: 600,
+        max_sources: 12,
+        parallelism: 3
+      },
+      json: true
+    }
+  );
+});
+
+test("parseSearchCommandArgs keeps quoted || and -- text inside a question", () => {
+  assert.deepEqual(
+    parseSearchCommandArgs(`"Is a || b valid in bash?" || 'What does --force do?' || what is -5 squared`).params.questions,
+    ["Is a || b valid in bash?", "What does --force do?", "what is -5 squared"]
+  );
+  assert.deepEqual(
+    tokenizeCommandArgs(String.raw`"say \"hi\""`).tokens.map((token) => token.value),
+    ['say "hi"']
+  );
+  assert.deepEqual(parseSearchCommandArgs('"unterminated'), { error: "Unterminated double quote" });
+});
+
+test("parseSearchCommandArgs keeps -- words inside a question as text", () => {
+  assert.deepEqual(parseSearchCommandArgs("what does node --watch do").params.questions, ["what does node --watch do"]);
+  assert.deepEqual(parseSearchCommandArgs("--json q1 --model gpt-5 || --model gpt-5 q2 -h"), {
+    params: { questions: ["q1 --model gpt-5", "q2 -h"], model: "gpt-5" },
+    json: true
+  });
+});
+
+test("parseSearchCommandArgs keeps apostrophes and quotes inside words", () => {
+  assert.deepEqual(parseSearchCommandArgs("What's new in Node 22?").params.questions, ["What's new in Node 22?"]);
+  assert.deepEqual(
+    parseSearchCommandArgs("Is rust's borrow checker sound || what's npm latest").params.questions,
+    ["Is rust's borrow checker sound", "what's npm latest"]
+  );
+  assert.deepEqual(
+    tokenizeCommandArgs(`say 6'2" tall`).tokens.map((token) => token.value),
+    ["say", `6'2"`, "tall"]
+  );
+});
+
+test("parseSearchCommandArgs reports help and validation errors", () => {
+  assert.deepEqual(parseSearchCommandArgs("--help"), { help: true });
+  assert.deepEqual(parseSearchCommandArgs("q || -h"), { help: true });
+  assert.equal(parseSearchCommandArgs("--verbose q").error, "Unknown flag --verbose (see /codex-search --help)");
+  assert.equal(parseSearchCommandArgs("--model").error, "--model requires a value");
+  assert.equal(parseSearchCommandArgs("--model --json q").error, "--model requires a value");
+  assert.equal(parseSearchCommandArgs("--timeout 5 q").error, '--timeout expects an integer between 30 and 7200 (got "5")');
+  assert.equal(parseSearchCommandArgs("--parallel two q").error, '--parallel expects an integer of at least 1 (got "two")');
+  assert.match(parseSearchCommandArgs("--as-of soon q").error, /--as-of expects/);
+  assert.match(parseSearchCommandArgs("--json").error, /^Usage: \/codex-search/);
+  assert.deepEqual(parseSearchCommandArgs("constructor toString").params.questions, ["constructor toString"]);
+});
+
+test("parseAsOfWindow accepts a period, a year or both", () => {
+  assert.deepEqual(parseAsOfWindow("late-2025"), { as_of_period: "late", as_of_year: 2025 });
+  assert.deepEqual(parseAsOfWindow("2026-mid"), { as_of_period: "mid", as_of_year: 2026 });
+  assert.deepEqual(parseAsOfWindow("EARLY"), { as_of_period: "early" });
+  assert.deepEqual(parseAsOfWindow("2024"), { as_of_year: 2024 });
+  assert.equal(parseAsOfWindow("q3-2025"), null);
+});
+
+test("parseSearchCommandArgs reads --follow-up", () => {
+  assert.deepEqual(parseSearchCommandArgs("--follow-up last and on Windows?").params, {
+    questions: ["and on Windows?"],
+    follow_up_of: "last"
+  });
+  assert.equal(parseSearchCommandArgs("q || --follow-up").error, "--follow-up requires a value");
+});
+
+test("parseSearchCommandArgs accepts exact dates and recency windows", () => {
+  assert.deepEqual(parseSearchCommandArgs('--as-of 2026-03-01 --recency "last 30 days" q').params, {
+    questions: ["q"],
+    as_of: "2026-03-01",
+    recency: "last 30 days"
+  });
+  assert.match(parseSearchCommandArgs("--recency soon q").error, /^--recency expects/);
+});
@@ -0,0 +1,99 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { mkdir, writeFile } from "node:fs/promises";
+import { join } from "node:path";
+import {
+  CONFIG_DEFAULTS,
+  applyConfigToParams,
+  loadCodexSearchConfig,
+  readEnvConfig,
+  resolveEffectiveConfig,
+  validateConfigSection
+} from "../lib/codex-search-config.mjs";
+import { withTempDir } from "./helpers.mjs";
+
+async function writeSettings(path, settings) {
+  await mkdir(join(path, ".."), { recursive: true });
+  await writeFile(path, typeof settings === "string" ? settings : JSON.stringify(settings), "utf8");
+}
+
+test("validateConfigSection reports unknown keys and out-of-range values with their location", () => {
+  const { values, errors } = validateConfigSection(
+    { timeout_sec: 10, max_sources: 4, backend: "bing", model: "gpt-5", colour: "red" },
+    "settings.json codexSearch"
+  );
+
+  assert.deepEqual(values, { max_sources: 4, model: "gpt-5" });
+  assert.deepEqual(errors, [
+    'settings.json codexSearch: "timeout_sec" must be a number between 30 and 7200 (got 10)',
+    'settings.json codexSearch: "backend" must be one of: codex-cli, openai-http (got "bing")',
+    'settings.json codexSearch: unknown key "colour" (expected one of: timeout_sec, max_sources, max_parallelism, model, backend, fail_on_command_event)'
+  ]);
+  assert.match(validateConfigSection([], "x").errors[0], /must be an object/);
+});
+
+test("readEnvConfig parses typed env vars", () => {
+  assert.deepEqual(
+    readEnvConfig({
+      PI_CODEX_SEARCH_TIMEOUT_SEC: "600",
+      PI_CODEX_SEARCH_FAIL_ON_COMMAND_EVENT: "false",
+      PI_CODEX_SEARCH_BACKEND: "OpenAI-HTTP"
+    }).values,
+    { timeout_sec: 600, backend: "openai-http", fail_on_command_event: false }
+  );
+  assert.match(readEnvConfig({ PI_CODEX_SEARCH_MAX_PARALLELISM: "many" }).errors[0], /env PI_CODEX_SEARCH_MAX_PARALLELISM/);
+});
+
+test("loadCodexSearchConfig layers global settings, project settings and env", async () => {
+  await withTempDir(async (dir) => {
+    const globalPath = join(dir, "agent", "settings.json");
+    const cwd = join(dir, "project");
+    await writeSettings(globalPath, { theme: "dark", codexSearch: { timeout_sec: 900, model: "gpt-5", max_sources: 5 } });
+    await writeSettings(join(cwd, ".pi", "settings.json"), { codexSearch: { timeout_sec: 300, max_parallelism: 2 } });
+
+    const loaded = await loadCodexSearchConfig({ cwd, globalPath, env: { PI_CODEX_SEARCH_MODEL: "gpt-5-mini" } });
+    assert.deepEqual(loaded.errors, []);
+
+    const effective = resolveEffectiveConfig(loaded, { max_sources: 3 });
+    assert.deepEqual(effective.values, {
+      ...CONFIG_DEFAULTS,
+      timeout_sec: 300,
+      max_sources: 3,
+      max_parallelism: 2,
+      model: "gpt-5-mini"
+    });
+    assert.deepEqual(effective.sources, {
+      timeout_sec: "project",
+      max_sources: "param",
+      max_parallelism: "project",
+      model: "env",
+      backend: "default",
+      fail_on_command_event: "default"
+    });
+  });
+});
+
+test("loadCodexSearchConfig reports invalid JSON and treats missing files as empty", async () => {
+  await withTempDir(async (dir) => {
+    const cwd = join(dir, "project");
+    await writeSettings(join(cwd, ".pi", "settings.json"), "{ nope");
+
+    const loaded = await loadCodexSearchConfig({ cwd, globalPath: join(dir, "missing.json"), env: {} });
+    assert.equal(loaded.errors.length, 1);
+    assert.match(loaded.errors[0], /project[/\\]\.pi[/\\]settings\.json: invalid JSON/);
+  });
+});
+
+test("applyConfigToParams fills only values that came from a settings layer", () => {
+  const effective = resolveEffectiveConfig(
+    { layers: { global: { timeout_sec: 900 }, project: {}, env: { max_parallelism: 3 } } },
+    { model: "from-param", timeout_sec: 10000 }
+  );
+
+  assert.equal(effective.values.timeout_sec, 7200);
+  assert.equal(effective.sources.timeout_sec, "param");
+
+  const params = { questions: ["q"], model: "from-param" };
+  const fromGlobal = resolveEffectiveConfig({ layers: { global: { timeout_sec: 900 } } }, params);
+  assert.deepEqual(applyConfigToParams(params, fromGlobal), { questions: ["q"], model: "from-param", timeout_sec: 900 });
+});
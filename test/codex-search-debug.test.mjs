@@ -0,0 +1,151 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { mkdir, readFile, readdir, writeFile } from "node:fs/promises";
+import { homedir } from "node:os";
+import { join } from "node:path";
+import {
+  DEFAULT_DEBUG_MAX_AGE_DAYS,
+  DEFAULT_DEBUG_MAX_SIZE_MB,
+  createDebugTraces,
+  pruneDebugDir,
+  resolveDebugSettings
+} from "../lib/codex-search-debug.mjs";
+import { runSingleCodexSearch } from "../lib/codex-search-single.mjs";
+import { runCodexSearch } from "../lib/codex-search-tool.mjs";
+import { createFakeBackend, structuredOutput, withTempDir } from "./helpers.mjs";
+
+const NOW = Date.UTC(2026, 2, 15, 12, 0, 0);
+
+const searchEvent = {
+  type: "item.completed",
+  item: { type: "web_search", query: "npm latest", action: { type: "search", query: "npm latest" } }
+};
+
+test("resolveDebugSettings reads the directory and pruning limits from env", () => {
+  assert.deepEqual(resolveDebugSettings({}), {
+    dir: null,
+    maxAgeDays: DEFAULT_DEBUG_MAX_AGE_DAYS,
+    maxSizeMb: DEFAULT_DEBUG_MAX_SIZE_MB
+  });
+  assert.deepEqual(
+    resolveDebugSettings({
+      PI_CODEX_SEARCH_DEBUG_DIR: "~/codex-debug",
+      PI_CODEX_SEARCH_DEBUG_MAX_AGE_DAYS: "2",
+      PI_CODEX_SEARCH_DEBUG_MAX_SIZE_MB: "abc"
+    }),
+    { dir: join(homedir(), "codex-debug"), maxAgeDays: 2, maxSizeMb: DEFAULT_DEBUG_MAX_SIZE_MB }
+  );
+});
+
+test("openBatch is a no-op when no debug directory is configured", async () => {
+  const traces = createDebugTraces({ dir: null });
+  assert.equal(await traces.openBatch(undefined), null);
+  assert.equal(await traces.openBatch("  "), null);
+});
+
+test("pruneDebugDir removes expired batches, then the oldest until under the size limit", async () => {
+  await withTempDir(async (dir) => {
+    const batches = {
+      "20260301T000000Z-aaaaaa": 10,
+      "20260314T000000Z-bbbbbb": 600 * 1024,
+      "20260315T000000Z-cccccc": 600 * 1024
+    };
+    for (const [name, size] of Object.entries(batches)) {
+      await mkdir(join(dir, name, "q01-x"), { recursive: true });
+      await writeFile(join(dir, name, "q01-x", "events.jsonl"), "x".repeat(size));
+    }
+    await writeFile(join(dir, "notes.txt"), "keep me");
+
+    const pruned = await pruneDebugDir(dir, { maxAgeDays: 7, maxSizeMb: 1, now: () => NOW });
+
+    assert.deepEqual(pruned.removed, ["20260301T000000Z-aaaaaa", "20260314T000000Z-bbbbbb"]);
+    assert.deepEqual((await readdir(dir)).sort(), ["20260315T000000Z-cccccc", "notes.txt"]);
+  });
+});
+
+test("runSingleCodexSearch keeps the raw trace of every attempt in its run directory", async () => {
+  await withTempDir(async (dir) => {
+    const traces = createDebugTraces({ dir, now: () => NOW, createId: () => "abc123" });
+    const batch = await traces.openBatch(undefined);
+    const backend = createFakeBackend([{ exitCode: 1, stderr: "boom" }, { events: [searchEvent], output: structuredOutput() }]);
+
+    const result = await runSingleCodexSearch(
+      { question: "What is npm latest?", max_attempts: 2, retry_backoff_sec: 0 },
+      { backend, debug: batch.run(0, "What is npm latest?") }
+    );
+
+    const runDir = join(dir, "20260315T120000Z-abc123", "q01-what-is-npm-latest");
+    assert.equal(result.ok, true);
+    assert.deepEqual(result.details.debug, { dir: runDir, attempts: 2 });
+    assert.match(await readFile(join(runDir, "prompt.txt"), "utf8"), /What is npm latest\?/);
+    assert.deepEqual(JSON.parse(await readFile(join(runDir, "schema.json"), "utf8")).required, [
+      "answer",
+      "as_of",
+      "sources",
+      "confidence",
+      "notes"
+    ]);
+    assert.equal(await readFile(join(runDir, "attempt-1", "stderr.txt"), "utf8"), "boom");
+    assert.equal(JSON.parse(await readFile(join(runDir, "attempt-1", "meta.json"), "utf8")).exitCode, 1);
+    assert.deepEqual(JSON.parse(await readFile(join(runDir, "attempt-2", "events.jsonl"), "utf8")), searchEvent);
+    assert.equal(JSON.parse(await readFile(join(runDir, "attempt-2", "output.json"), "utf8")).answer, "npm 11.2.0");
+    assert.deepEqual(JSON.parse(await readFile(join(runDir, "run.json"), "utf8")), {
+      question: "What is npm latest?",
+      ok: true,
+      reason: null,
+      attempts: 2
+    });
+  });
+});
+
+test("runCodexSearch resolves a relative debug_dir against the caller's cwd", async () => {
+  await withTempDir(async (dir) => {
+    const backend = createFakeBackend([{ events: [searchEvent], output: structuredOutput() }]);
+    const result = await runCodexSearch(
+      { questions: ["What is npm latest?"], debug_dir: "traces" },
+      {
+        cwd: dir,
+        debugTraces: createDebugTraces({ dir: null, now: () => NOW, createId: () => "aaa111" }),
+        runSingle: (params, options) => runSingleCodexSearch(params, { ...options, backend })
+      }
+    );
+
+    assert.equal(result.details.debug.dir, join(dir, "traces", "20260315T120000Z-aaa111", "q01-what-is-npm-latest"));
+    assert.deepEqual(await readdir(join(dir, "traces")), ["20260315T120000Z-aaa111"]);
+  });
+});
+
+test("runCodexSearch writes one index per batch and honours debug_dir", async () => {
+  await withTempDir(async (dir) => {
+    const backend = createFakeBackend([{ events: [searchEvent], output: structuredOutput() }]);
+    const result = await runCodexSearch(
+      { questions: ["What is npm latest?", "What is pnpm latest?"], debug_dir: dir },
+      {
+        debugTraces: createDebugTraces({ dir: null, now: () => NOW, createId: () => "def456" }),
+        runSingle: (params, options) => runSingleCodexSearch(params, { ...options, backend })
+      }
+    );
+
+    const batchDir = join(dir, "20260315T120000Z-def456");
+    assert.equal(result.ok, true);
+    assert.deepEqual(result.details.debug, { dir: batchDir, runs: 2 });
+    assert.equal(result.details.results[1].details.debug.dir, join(batchDir, "q02-what-is-pnpm-latest"));
+
+    const index = JSON.parse(await readFile(join(batchDir, "index.json"), "utf8"));
+    assert.equal(index.version, 1);
+    assert.equal(index.createdAt, "2026-03-15T12:00:00.000Z");
+    assert.deepEqual(
+      index.questions.map(({ index: position, question, dir: runDir, attempts, ok }) => ({
+        position,
+        question,
+        runDir,
+        attempts,
+        ok
+      })),
+      [
+        { position: 0, question: "What is npm latest?", runDir: "q01-what-is-npm-latest", attempts: 1, ok: true },
+        { position: 1, question: "What is pnpm latest?", runDir: "q02-what-is-pnpm-latest", attempts: 1, ok: true }
+      ]
+    );
+  });
+});
@@ -0,0 +1,66 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { findDuplicateQuestions, questionSimilarity, resolveDedupeSimilarity } from "../lib/codex-search-dedupe.mjs";
+
+function searchParams(question, overrides = {}) {
+  return { question, as_of_period: "early", as_of_year: 2026, ...overrides };
+}
+
+test("resolveDedupeSimilarity accepts thresholds in (0, 1]", () => {
+  assert.equal(resolveDedupeSimilarity(undefined), null);
+  assert.equal(resolveDedupeSimilarity(0), null);
+  assert.equal(resolveDedupeSimilarity(0.8), 0.8);
+  assert.equal(resolveDedupeSimilarity(3), 1);
+});
+
+test("questionSimilarity compares word pairs in order", () => {
+  assert.equal(questionSimilarity("What is npm latest?", "what is NPM latest"), 1);
+  assert.equal(questionSimilarity("Is Bun faster than Node?", "Is Node faster than Bun?"), 0.2);
+  assert.equal(questionSimilarity("npm latest", "pnpm latest"), 0.2);
+  assert.equal(questionSimilarity("", "npm"), 0);
+});
+
+test("findDuplicateQuestions collapses exact duplicates after normalization", () => {
+  const duplicates = findDuplicateQuestions([
+    searchParams("What is npm latest?"),
+    searchParams("what is   npm latest"),
+    searchParams("What is pnpm latest?"),
+    searchParams("WHAT IS NPM LATEST!")
+  ]);
+
+  assert.deepEqual(duplicates, [null, { index: 0, similarity: 1 }, null, { index: 0, similarity: 1 }]);
+});
+
+test("findDuplicateQuestions only collapses near-duplicates above the similarity threshold", () => {
+  const params = [
+    searchParams("What is the latest stable npm release"),
+    searchParams("What is the latest stable npm release version"),
+    searchParams("What is the latest stable pnpm release")
+  ];
+
+  assert.deepEqual(findDuplicateQuestions(params), [null, null, null]);
+  assert.deepEqual(findDuplicateQuestions(params, { similarity: 0.7 }), [null, { index: 0, similarity: 0.7 }, null]);
+  assert.deepEqual(findDuplicateQuestions(params, { similarity: 0.9 }), [null, null, null]);
+});
+
+test("findDuplicateQuestions never collapses reordered questions", () => {
+  const params = [searchParams("Is Bun faster than Node?"), searchParams("Is Node faster than Bun?")];
+
+  assert.deepEqual(findDuplicateQuestions(params, { similarity: 1 }), [null, null]);
+  assert.deepEqual(findDuplicateQuestions(params, { similarity: 0.5 }), [null, null]);
+});
+
+test("findDuplicateQuestions keeps questions with different search settings apart", () => {
+  const duplicates = findDuplicateQuestions([
+    searchParams("What is npm latest?"),
+    searchParams("What is npm latest?", { model: "gpt-5" }),
+    searchParams("What is npm latest?", { as_of_year: 2025 }),
+    searchParams("What is npm latest?", { model: "gpt-5" })
+  ]);
+
+  assert.deepEqual(duplicates, [null, null, null, { index: 1, similarity: 1 }]);
+  assert.deepEqual(
+    findDuplicateQuestions([searchParams("q1"), searchParams("q1")], { enabled: false }),
+    [null, null]
+  );
+});
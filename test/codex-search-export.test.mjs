@@ -0,0 +1,180 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, readFile, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import {
+  EXPORT_SCHEMA_VERSION,
+  applyOutputFormat,
+  buildExportDocument,
+  buildExportDocumentFromHistory,
+  defaultExportFileName,
+  normalizeOutputFormat,
+  parseExportArgs,
+  renderMarkdownReport,
+  writeExportFile
+} from "../lib/codex-search-export.mjs";
+
+const now = () => Date.UTC(2026, 2, 1, 12, 0, 0);
+
+function okDetails(question, overrides = {}) {
+  return {
+    query: question,
+    model: "gpt-test",
+    structured: {
+      answer: `answer to ${question}`,
+      as_of: "early 2026",
+      confidence: 0.9,
+      sources: ["https://nodejs.org/en/blog/", "https://github.com/npm/cli/releases"],
+      notes: "",
+      ...overrides
+    },
+    telemetry: {
+      searchTrace: [
+        { actionType: "search", query: "npm latest", queries: [] },
+        { actionType: "open_page", query: "", queries: [], url: "https://github.com/npm/cli/releases" }
+      ],
+      usage: null
+    },
+    progress: { elapsedSeconds: 7 }
+  };
+}
+
+const batchResult = {
+  ok: true,
+  text: "batch",
+  details: {
+    summary: { total: 2, succeeded: 1, failed: 1, elapsedSeconds: 9 },
+    results: [
+      { question: "q1", ok: true, text: "ok", details: okDetails("q1", { notes: "check again" }) },
+      { question: "q2", ok: false, text: "err", details: { error: true, reason: "timeout" } }
+    ],
+    synthesis: { ok: false, reason: "not_enough_results" }
+  }
+};
+
+test("normalizeOutputFormat defaults to text", () => {
+  assert.equal(normalizeOutputFormat(undefined), "text");
+  assert.equal(normalizeOutputFormat("MD"), "markdown");
+  assert.equal(normalizeOutputFormat("json"), "json");
+  assert.equal(normalizeOutputFormat("yaml"), "text");
+});
+
+test("buildExportDocument produces a stable, versioned document for single and batch results", () => {
+  const single = buildExportDocument({ ok: true, text: "x", details: okDetails("What is npm latest?") }, { now });
+  assert.equal(single.schema, "pi-codex-search/result");
+  assert.equal(single.version, EXPORT_SCHEMA_VERSION);
+  assert.equal(single.generatedAt, "2026-03-01T12:00:00.000Z");
+  assert.equal(single.mode, "single");
+  assert.deepEqual(Object.keys(single.results[0]), [
+    "question",
+    "ok",
+    "reason",
+    "answer",
+    "as_of",
+    "confidence",
+    "sources",
+    "claims",
+    "data",
+    "notes",
+    "model",
+    "elapsedSeconds",
+    "searchTrace",
+    "usage"
+  ]);
+  assert.equal(single.results[0].elapsedSeconds, 7);
+
+  const batch = buildExportDocument(batchResult, { now });
+  assert.equal(batch.mode, "batch");
+  assert.deepEqual(
+    batch.results.map((entry) => [entry.question, entry.ok, entry.reason]),
+    [
+      ["q1", true, null],
+      ["q2", false, "timeout"]
+    ]
+  );
+  assert.deepEqual(batch.synthesis, { ok: false, reason: "not_enough_results" });
+});
+
+test("renderMarkdownReport renders headings, linked sources, confidence badges, notes and a trace appendix", () => {
+  const markdown = renderMarkdownReport(buildExportDocument(batchResult, { now }));
+
+  assert.match(markdown, /^# Codex search report\n\n_Generated 2026-03-01T12:00:00.000Z_/);
+  assert.match(markdown, /\*\*Questions:\*\* 1 succeeded, 1 failed in 9s/);
+  assert.match(markdown, /## 1\. q1\n\nanswer to q1/);
+  assert.match(markdown, /\*\*Confidence:\*\* 🟢 high \(0\.9\)/);
+  assert.match(markdown, /1\. \[nodejs\.org\/en\/blog\]\(https:\/\/nodejs\.org\/en\/blog\/\)/);
+  assert.match(markdown, /### Notes\n\ncheck again/);
+  assert.match(markdown, /## 2\. q2\n\n\*\*Status:\*\* failed \(`timeout`\)/);
+  assert.match(markdown, /## Synthesized answer\n\n\*\*Status:\*\* failed \(`not_enough_results`\)/);
+  assert.match(markdown, /## Appendix: search trace\n\n### 1\. q1\n\n- search: npm latest\n- open page: <https:\/\/github\.com\/npm\/cli\/releases>/);
+});
+
+test("exports output_schema data in the JSON document and the Markdown report", () => {
+  const data = [{ package: "npm", version: "11.2.0" }];
+  const document = buildExportDocument({ ok: true, text: "x", details: okDetails("q", { data }) }, { now });
+
+  assert.deepEqual(document.results[0].data, data);
+  assert.deepEqual(JSON.parse(applyOutputFormat({ ok: true, text: "x", details: okDetails("q", { data }) }, "json").text).results[0].data, data);
+  assert.match(
+    renderMarkdownReport(document),
+    /### Sources\n\n[\s\S]*\n### Data\n\n```json\n\[\n  \{\n    "package": "npm",\n    "version": "11\.2\.0"\n  \}\n\]\n```/
+  );
+
+  const plain = buildExportDocument({ ok: true, text: "x", details: okDetails("q") }, { now });
+  assert.equal(plain.results[0].data, null);
+  assert.doesNotMatch(renderMarkdownReport(plain), /### Data/);
+});
+
+test("buildExportDocumentFromHistory exports a past entry", () => {
+  const document = buildExportDocumentFromHistory({
+    id: "abc",
+    recordedAt: "2026-01-01T00:00:00.000Z",
+    question: "q",
+    mode: "standard",
+    status: "ok",
+    reason: null,
+    model: null,
+    structured: okDetails("q").structured,
+    telemetry: { searchTrace: [] },
+    elapsedSeconds: 3
+  });
+
+  assert.equal(document.generatedAt, "2026-01-01T00:00:00.000Z");
+  assert.equal(document.results[0].historyId, "abc");
+  assert.match(renderMarkdownReport(document), /^# Codex search report[\s\S]*\nanswer to q\n/);
+});
+
+test("applyOutputFormat swaps the result text and records the format", () => {
+  const text = { ok: true, text: "plain", details: okDetails("q") };
+  assert.equal(applyOutputFormat(text, "text"), text);
+
+  const json = applyOutputFormat(text, "json");
+  assert.equal(JSON.parse(json.text).results[0].answer, "answer to q");
+  assert.equal(json.details.outputFormat, "json");
+
+  assert.match(applyOutputFormat(text, "markdown").text, /^# Codex search report/);
+});
+
+test("parseExportArgs infers the format from the path and validates flags", () => {
+  assert.deepEqual(parseExportArgs(""), { path: null, format: "markdown", id: null });
+  assert.deepEqual(parseExportArgs("out/result.json"), { path: "out/result.json", format: "json", id: null });
+  assert.deepEqual(parseExportArgs("--id abc --format json"), { path: null, format: "json", id: "abc" });
+  assert.match(parseExportArgs("--format pdf").error, /--format expects markdown or json/);
+  assert.match(parseExportArgs("a.md b.md").error, /one path/);
+  assert.match(parseExportArgs("--id").error, /--id requires a value/);
+  assert.equal(defaultExportFileName("json", Date.UTC(2026, 0, 2, 3, 4, 5, 678)), "codex-search-2026-01-02T03-04-05Z.json");
+});
+
+test("writeExportFile writes relative to cwd and creates directories", async () => {
+  const dir = await mkdtemp(join(tmpdir(), "codex-search-export-test-"));
+  try {
+    const document = buildExportDocument(batchResult, { now });
+    const path = await writeExportFile({ document, format: "json", path: "reports/out.json", cwd: dir });
+
+    assert.equal(path, join(dir, "reports", "out.json"));
+    assert.deepEqual(JSON.parse(await readFile(path, "utf8")), document);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
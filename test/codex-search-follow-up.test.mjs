@@ -0,0 +1,113 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  buildFollowUpContext,
+  createSessionResults,
+  describeFollowUp,
+  resolveFollowUp
+} from "../lib/codex-search-follow-up.mjs";
+
+function record(id, overrides = {}) {
+  return {
+    version: 1,
+    id,
+    recordedAt: "2026-03-01T10:00:00.000Z",
+    question: `question ${id}`,
+    status: "ok",
+    reason: null,
+    structured: { answer: `answer ${id}`, as_of: "early 2026", confidence: 0.9, sources: ["https://a.example/"] },
+    telemetry: { searchTrace: [] },
+    ...overrides
+  };
+}
+
+function createMemoryHistory(records) {
+  return {
+    async get(id) {
+      return records.find((entry) => entry.id === id) ?? null;
+    }
+  };
+}
+
+test("createSessionResults keeps the most recent records", () => {
+  const session = createSessionResults({ limit: 2 });
+  assert.equal(session.last(), null);
+
+  session.add([record("a"), record("b")]);
+  session.add([record("c")]);
+
+  assert.equal(session.get("a"), null);
+  assert.equal(session.get("b").id, "b");
+  assert.equal(session.last().id, "c");
+});
+
+test("resolveFollowUp looks in the session first, then history, and supports last", async () => {
+  const session = createSessionResults();
+  session.add([record("s1"), record("s2")]);
+  const history = createMemoryHistory([record("h1"), record("s1", { question: "stale" })]);
+
+  assert.equal(await resolveFollowUp(undefined, { session, history }), null);
+  assert.equal(await resolveFollowUp("  ", { session, history }), null);
+
+  const fromSession = await resolveFollowUp("s1", { session, history });
+  assert.equal(fromSession.origin, "session");
+  assert.equal(fromSession.record.question, "question s1");
+
+  const fromHistory = await resolveFollowUp(" h1 ", { session, history });
+  assert.equal(fromHistory.origin, "history");
+  assert.equal(fromHistory.record.id, "h1");
+
+  assert.equal((await resolveFollowUp("last", { session, history })).record.id, "s2");
+});
+
+test("resolveFollowUp rejects unknown and failed results", async () => {
+  const session = createSessionResults();
+  session.add([record("bad", { status: "failed", reason: "timeout", structured: null })]);
+
+  assert.deepEqual(await resolveFollowUp("missing", { session }), {
+    error: {
+      reason: "follow_up_not_found",
+      message: 'no codex_search result with id "missing" in this session or in history'
+    }
+  });
+  assert.equal((await resolveFollowUp("last", {})).error.reason, "follow_up_not_found");
+  assert.equal((await resolveFollowUp("bad", { session })).error.reason, "follow_up_failed");
+});
+
+test("buildFollowUpContext summarizes the trace and extends the lineage", () => {
+  const parent = record("p2", {
+    lineage: ["p1"],
+    telemetry: {
+      searchTrace: [
+        { actionType: "search", query: "node lts", queries: ["node lts", "node release schedule"] },
+        { actionType: "search", query: "node lts", queries: [] },
+        { actionType: "open_page", url: "https://nodejs.org/en/about/previous-releases" },
+        { actionType: "open_page", url: "https://nodejs.org/en/about/previous-releases" }
+      ]
+    }
+  });
+
+  const context = buildFollowUpContext(parent, "history");
+
+  assert.deepEqual(context, {
+    id: "p2",
+    origin: "history",
+    question: "question p2",
+    recordedAt: "2026-03-01T10:00:00.000Z",
+    answer: "answer p2",
+    as_of: "early 2026",
+    sources: ["https://a.example/"],
+    trace: {
+      searches: ["node lts", "node release schedule"],
+      pagesOpened: ["https://nodejs.org/en/about/previous-releases"]
+    },
+    lineage: ["p2", "p1"]
+  });
+  assert.deepEqual(describeFollowUp(context), {
+    id: "p2",
+    origin: "history",
+    question: "question p2",
+    recordedAt: "2026-03-01T10:00:00.000Z",
+    lineage: ["p2", "p1"]
+  });
+});
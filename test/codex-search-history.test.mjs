@@ -0,0 +1,169 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { appendFile } from "node:fs/promises";
+import { join } from "node:path";
+import {
+  buildHistoryRecords,
+  createSearchHistory,
+  formatHistoryLine,
+  parseHistoryFilter
+} from "../lib/codex-search-history.mjs";
+import { withTempDir } from "./helpers.mjs";
+
+function sequentialIds() {
+  let next = 0;
+  return () => `id${(next += 1)}`;
+}
+
+const singleResult = {
+  ok: true,
+  text: "npm 11.2.0",
+  details: {
+    query: "What is npm latest?",
+    codex_prompt: "prompt",
+    model: "gpt-test",
+    backend: "codex-cli",
+    as_of_period: "early",
+    as_of_year: 2026,
+    structured: { answer: "npm 11.2.0", as_of: "early 2026", confidence: 0.9, sources: [], notes: "" },
+    telemetry: { searchTrace: [] },
+    progress: { elapsedSeconds: 12 },
+    cache: { status: "miss" }
+  }
+};
+
+test("buildHistoryRecords records a single run with prompt, result, telemetry and timing", () => {
+  const [record] = buildHistoryRecords({ questions: ["What is npm latest?"] }, singleResult, {
+    now: () => Date.UTC(2026, 1, 3, 4, 5),
+    createId: sequentialIds()
+  });
+
+  assert.equal(record.id, "id1");
+  assert.equal(record.recordedAt, "2026-02-03T04:05:00.000Z");
+  assert.equal(record.status, "ok");
+  assert.equal(record.reason, null);
+  assert.equal(record.prompt, "prompt");
+  assert.equal(record.model, "gpt-test");
+  assert.equal(record.structured.answer, "npm 11.2.0");
+  assert.equal(record.elapsedSeconds, 12);
+  assert.equal(record.cache, "miss");
+  assert.equal(record.text, "npm 11.2.0");
+});
+
+test("buildHistoryRecords writes one record per batch question sharing a batch id", () => {
+  const records = buildHistoryRecords(
+    { questions: ["a", "b"], model: "gpt-test" },
+    {
+      ok: true,
+      text: "batch",
+      details: {
+        results: [
+          { question: "a", ok: true, text: "ok a", details: { structured: { answer: "A" } } },
+          { question: "b", ok: false, text: "err b", details: { error: true, reason: "timeout" } }
+        ]
+      }
+    },
+    { createId: sequentialIds() }
+  );
+
+  assert.deepEqual(
+    records.map((record) => [record.id, record.batchId, record.question, record.status, record.reason, record.model]),
+    [
+      ["id2", "id1", "a", "ok", null, "gpt-test"],
+      ["id3", "id1", "b", "failed", "timeout", "gpt-test"]
+    ]
+  );
+});
+
+test("buildHistoryRecords records the per-question model and as-of overrides of failed runs", () => {
+  const failed = (question) => ({ question, ok: false, text: `err ${question}`, details: { error: true, reason: "timeout" } });
+  const records = buildHistoryRecords(
+    { questions: ["a", { question: "b", model: "gpt-5", as_of_year: 2025 }], model: "gpt-test", as_of_year: 2026 },
+    {
+      ok: false,
+      text: "batch",
+      details: {
+        results: [failed("a"), failed("b")],
+        runStates: [{ overrides: {} }, { overrides: { model: "gpt-5", as_of_year: 2025 } }]
+      }
+    },
+    { createId: sequentialIds() }
+  );
+
+  assert.deepEqual(
+    records.map((record) => [record.question, record.model, record.as_of_year]),
+    [
+      ["a", "gpt-test", 2026],
+      ["b", "gpt-5", 2025]
+    ]
+  );
+
+  const [single] = buildHistoryRecords(
+    { questions: [{ question: "c", model: "gpt-5" }], model: "gpt-test" },
+    { ok: false, text: "err", details: { error: true, reason: "timeout" } },
+    { createId: sequentialIds() }
+  );
+  assert.equal(single.model, "gpt-5");
+});
+
+test("parseHistoryFilter separates free text from status, date and limit filters", () => {
+  assert.deepEqual(parseHistoryFilter("npm  status:OK since:2026-01-01 until:2026-01-31 limit:5 latest").filter, {
+    text: "npm latest",
+    status: "ok",
+    since: Date.UTC(2026, 0, 1),
+    until: Date.UTC(2026, 0, 31, 23, 59, 59, 999),
+    limit: 5
+  });
+  assert.equal(parseHistoryFilter("").filter.limit, 20);
+  assert.match(parseHistoryFilter("status:maybe").error, /Invalid status/);
+  assert.match(parseHistoryFilter("since:yesterday").error, /Invalid since date/);
+  assert.match(parseHistoryFilter("limit:0").error, /Invalid limit/);
+});
+
+test("createSearchHistory appends JSONL and lists newest matches first", async () => {
+  await withTempDir(async (dir) => {
+    const path = join(dir, "nested", "history.jsonl");
+    const history = createSearchHistory({ path });
+    const createId = sequentialIds();
+
+    assert.deepEqual(await history.list(), []);
+
+    await history.append(
+      buildHistoryRecords({ questions: ["What is npm latest?"] }, singleResult, {
+        now: () => Date.UTC(2026, 0, 10),
+        createId
+      })
+    );
+    await history.append(
+      buildHistoryRecords(
+        { questions: ["Is Bun stable?"] },
+        { ok: false, text: "err", details: { error: true, reason: "timeout", query: "Is Bun stable?" } },
+        { now: () => Date.UTC(2026, 1, 10), createId }
+      )
+    );
+    await appendFile(path, "{truncated\n", "utf8");
+
+    assert.deepEqual(
+      (await history.list()).map((record) => record.id),
+      ["id2", "id1"]
+    );
+    assert.deepEqual(
+      (await history.list({ status: "ok" })).map((record) => record.id),
+      ["id1"]
+    );
+    assert.deepEqual(
+      (await history.list(parseHistoryFilter("11.2.0").filter)).map((record) => record.id),
+      ["id1"]
+    );
+    assert.deepEqual(
+      (await history.list(parseHistoryFilter("since:2026-02-01").filter)).map((record) => record.id),
+      ["id2"]
+    );
+    assert.equal((await history.list({ limit: 1 })).length, 1);
+    assert.equal((await history.get("id1")).text, "npm 11.2.0");
+    assert.equal(await history.get("missing"), null);
+
+    const line = formatHistoryLine(await history.get("id2"));
+    assert.equal(line, "2026-02-10 00:00 | failed (timeout) | Is Bun stable? [id2]");
+  });
+});
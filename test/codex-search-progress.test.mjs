@@ -0,0 +1,150 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  formatBatchProgress,
+  formatDeepProgress,
+  formatProgressEvent,
+  formatQuestionProgress,
+  formatTraceEntry
+} from "../lib/codex-search-progress.mjs";
+
+function questionEvent(overrides = {}) {
+  return {
+    type: "question",
+    phase: "searching",
+    question: "npm latest",
+    attempt: 1,
+    maxAttempts: 1,
+    escalationStep: null,
+    elapsedSeconds: 2,
+    searches: 3,
+    pagesOpened: 2,
+    lastAction: "search: npm latest",
+    latestQuery: "npm latest",
+    latestUrl: null,
+    usage: { input_tokens: 0, cached_input_tokens: 0, output_tokens: 0 },
+    ...overrides
+  };
+}
+
+function runState(overrides = {}) {
+  return {
+    index: 0,
+    question: "q1",
+    status: "pending",
+    elapsedSeconds: 0,
+    searches: 0,
+    pagesOpened: 0,
+    lastAction: "queued",
+    cache: null,
+    attempt: null,
+    ...overrides
+  };
+}
+
+function batchEvent(overrides = {}) {
+  return {
+    type: "batch",
+    phase: "running",
+    elapsedSeconds: 5,
+    total: 2,
+    completed: 1,
+    running: 1,
+    failed: 0,
+    cacheHits: null,
+    parallelism: 2,
+    runs: [
+      runState({ status: "ok", elapsedSeconds: 4, searches: 1, pagesOpened: 1, cache: "hit" }),
+      runState({
+        index: 1,
+        question: "q2",
+        status: "running",
+        attempt: "2/3",
+        elapsedSeconds: 3,
+        lastAction: "open: x",
+        recent: ["a", "b", "c", "d"].map((query) => ({ actionType: "search", query, queries: [], url: undefined }))
+      })
+    ],
+    ...overrides
+  };
+}
+
+test("formatQuestionProgress includes elapsed time and counters", () => {
+  const text = formatQuestionProgress(questionEvent());
+
+  assert.match(text, /Running Codex web search/);
+  assert.match(text, /elapsed: 2s/);
+  assert.match(text, /searches: 3/);
+  assert.match(text, /pages opened: 2/);
+  assert.match(text, /last action: search: npm latest/);
+  assert.doesNotMatch(text, /tokens:/);
+});
+
+test("formatQuestionProgress shows the attempt number only when retries are enabled", () => {
+  assert.match(formatQuestionProgress(questionEvent({ attempt: 2, maxAttempts: 3 })), /attempt: 2\/3/);
+  assert.doesNotMatch(formatQuestionProgress(questionEvent()), /attempt:/);
+  assert.doesNotMatch(formatQuestionProgress(questionEvent({ attempt: null, maxAttempts: null })), /attempt:/);
+});
+
+test("formatQuestionProgress shows tokens used so far and the prompt event", () => {
+  const usage = { input_tokens: 1200, cached_input_tokens: 0, output_tokens: 30 };
+  assert.match(formatQuestionProgress(questionEvent({ usage })), /tokens: .*1200/);
+  assert.equal(formatQuestionProgress(questionEvent({ phase: "prompt", prompt: "Find it." })), "Codex prompt:\nFind it.");
+});
+
+test("formatQuestionProgress lists the most recent searches and opened pages", () => {
+  const recent = [
+    { actionType: "search", query: "", queries: ["npm latest", "npm release"], url: undefined },
+    { actionType: "open_page", query: "", queries: [], url: "https://github.com/npm/cli/releases" },
+    { actionType: "find_in_page", query: "", queries: [], url: undefined }
+  ];
+
+  assert.match(
+    formatQuestionProgress(questionEvent({ recent })),
+    /last action: search: npm latest\nrecent:\n- search: npm latest \| npm release\n- open: https:\/\/github\.com\/npm\/cli\/releases\n- find_in_page$/
+  );
+  assert.equal(formatTraceEntry({ actionType: "open_page", query: "", queries: [], url: undefined }), "open page");
+});
+
+test("formatBatchProgress renders the run table and per-question transitions", () => {
+  const text = formatBatchProgress(batchEvent({ cacheHits: 1 }));
+  assert.match(text, /^Running parallel Codex web searches\.\.\.\nelapsed: 5s\ntotal: 2\ncompleted: 1/);
+  assert.match(text, /cache hits: 1/);
+  assert.match(text, /\[1\/2\] q1 \| ok \(cached\) \| 4s \| s=1 p=1/);
+  assert.match(text, /\[2\/2\] q2 \| running \| attempt 2\/3 \| 3s \| s=0 p=0 \| open: x\n {4}search: b\n {4}search: c\n {4}search: d$/);
+  assert.doesNotMatch(formatBatchProgress(batchEvent()), /cache hits/);
+  assert.match(
+    formatBatchProgress(batchEvent({ runs: [runState({ index: 2, question: "Q1?", duplicateOf: 0 })], total: 3 })),
+    /\[3\/3\] Q1\? \| pending \(duplicate of 1\)$/
+  );
+
+  assert.equal(formatBatchProgress(batchEvent({ phase: "question_started", index: 1, question: "q2" })), "Starting query 2/2: q2");
+  assert.equal(formatBatchProgress(batchEvent({ phase: "question_finished", index: 0, ok: false })), "Finished query 1/2: failed");
+  assert.equal(formatBatchProgress(batchEvent({ phase: "synthesizing", failed: 1 })), "Synthesizing 1 successful result(s)...");
+  assert.equal(
+    formatBatchProgress(batchEvent({ phase: "synthesized", synthesis: { ok: false, reason: "timeout" } })),
+    "Synthesis failed: timeout"
+  );
+});
+
+test("formatDeepProgress renders the plan and the nested batch while researching", () => {
+  const event = {
+    type: "deep",
+    phase: "researching",
+    question: "Is Bun production ready?",
+    round: 1,
+    depth: 2,
+    breadth: 3,
+    elapsedSeconds: 9,
+    rounds: [{ round: 1, offset: 0, subQuestions: ["q1", "q2"], planError: undefined }],
+    nested: batchEvent()
+  };
+
+  const text = formatDeepProgress(event);
+  assert.match(text, /phase: researching \(round 1\/2\)/);
+  assert.match(text, /round 1:\n {2}1\. q1\n {2}2\. q2/);
+  assert.match(text, /runs:/);
+  assert.match(formatDeepProgress({ ...event, phase: "synthesizing", nested: null }), /phase: synthesizing\n/);
+  assert.equal(formatProgressEvent(event), text);
+  assert.equal(formatProgressEvent({ type: "unknown" }), "");
+});
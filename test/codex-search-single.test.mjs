@@ -0,0 +1,592 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { fileURLToPath } from "node:url";
+import { runSingleCodexSearch } from "../lib/codex-search-single.mjs";
+import { createFakeBackend, structuredOutput, withTempDir } from "./helpers.mjs";
+
+const FAKE_CODEX = fileURLToPath(new URL("../scripts/fake-codex.mjs", import.meta.url));
+const NPM_TRACE = fileURLToPath(new URL("./fixtures/traces/npm-latest.jsonl", import.meta.url));
+const SMOKE_SESSION_LOG = fileURLToPath(
+  new URL("../.agents/scratchpad/pi-codex-search/2026-02-21-live-progress-counters/logs/smoke.jsonl", import.meta.url)
+);
+
+function fakeCodexConfig(fakeEnv = {}) {
+  return { env: { ...process.env, ...fakeEnv }, codexBin: FAKE_CODEX };
+}
+
+function searchEvent(query) {
+  return { type: "item.completed", item: { type: "web_search", query, action: { type: "search", query } } };
+}
+
+function openEvent(url) {
+  return { type: "item.completed", item: { type: "web_search", query: url, action: { type: "open_page", url } } };
+}
+
+const usageEvent = { type: "turn.completed", usage: { input_tokens: 10, output_tokens: 5 } };
+
+test("runSingleCodexSearch runs the selected backend and reports it in details", async () => {
+  const backend = createFakeBackend([
+    { events: [searchEvent("npm latest"), openEvent("https://github.com/npm/cli/releases"), usageEvent], output: structuredOutput() }
+  ]);
+
+  const result = await runSingleCodexSearch({ question: "What is npm latest", as_of_year: 2026 }, { backend });
+
+  assert.equal(result.ok, true);
+  assert.equal(result.details.backend, "fake");
+  assert.equal(result.details.progress.searches, 1);
+  assert.equal(result.details.progress.pagesOpened, 1);
+  assert.match(backend.requests[0].prompt, /What is npm latest/);
+  assert.deepEqual(backend.requests[0].schema.required, ["answer", "as_of", "sources", "confidence", "notes"]);
+});
+
+test("runSingleCodexSearch rejects unknown backends", async () => {
+  const result = await runSingleCodexSearch({ question: "q", backend: "bing" });
+
+  assert.equal(result.ok, false);
+  assert.equal(result.details.reason, "unknown_backend");
+  assert.match(result.text, /codex-cli, openai-http/);
+});
+
+test("runSingleCodexSearch retries transient failures and keeps per-attempt telemetry", async () => {
+  const updates = [];
+  const backend = createFakeBackend([
+    { events: [searchEvent("first try")], exitCode: 1, stderr: "boom" },
+    { events: [searchEvent("second try"), usageEvent], output: structuredOutput() }
+  ]);
+
+  const result = await runSingleCodexSearch(
+    { question: "q", max_attempts: 3, retry_backoff_sec: 0 },
+    { backend, onProgress: (event) => updates.push(event) }
+  );
+
+  assert.equal(result.ok, true);
+  assert.equal(backend.requests.length, 2);
+  assert.deepEqual(
+    result.details.attempts.map((entry) => [entry.attempt, entry.ok, entry.reason]),
+    [
+      [1, false, "non_zero_exit"],
+      [2, true, null]
+    ]
+  );
+  assert.equal(result.details.attempts[0].telemetry.searchTrace[0].query, "first try");
+  assert.ok(updates.some((event) => event.phase === "retrying" && event.lastAction === "retrying in 0s after non_zero_exit"));
+  assert.ok(updates.some((event) => event.phase === "searching" && event.attempt === 2 && event.maxAttempts === 3));
+  assert.match(result.text, /attempt: 2\/3/);
+});
+
+test("runSingleCodexSearch does not retry timeouts by default", async () => {
+  const backend = createFakeBackend([{ exitCode: -1, timedOut: true }]);
+
+  const result = await runSingleCodexSearch({ question: "q", max_attempts: 3, retry_backoff_sec: 0 }, { backend });
+
+  assert.equal(result.ok, false);
+  assert.equal(result.details.reason, "timeout");
+  assert.equal(backend.requests.length, 1);
+  assert.equal(result.details.attempts.length, 1);
+});
+
+test("runSingleCodexSearch stops retrying with a combined failure text", async () => {
+  const backend = createFakeBackend([{ output: { answer: "missing fields" } }]);
+
+  const result = await runSingleCodexSearch({ question: "q", max_attempts: 2, retry_backoff_sec: 0 }, { backend });
+
+  assert.equal(result.ok, false);
+  assert.equal(result.details.reason, "invalid_structured_output");
+  assert.equal(backend.requests.length, 2);
+  assert.match(result.text, /after 2 attempts/);
+});
+
+test("runSingleCodexSearch renders claims with footnote markers", async () => {
+  const backend = createFakeBackend([
+    {
+      events: [usageEvent],
+      output: structuredOutput({
+        sources: ["https://docs.npmjs.com/", "https://github.com/npm/cli/releases"],
+        claims: [{ claim: "npm 11.2.0 is current", sources: ["https://github.com/npm/cli/releases"], quote: "v11.2.0" }]
+      })
+    }
+  ]);
+
+  const result = await runSingleCodexSearch({ question: "q", schema_mode: "claims" }, { backend });
+
+  assert.equal(result.ok, true);
+  assert.ok(backend.requests[0].schema.required.includes("claims"));
+  assert.match(result.text, /Claims:\n- npm 11\.2\.0 is current \[2\]\n {2}> "v11\.2\.0"/);
+});
+
+test("runSingleCodexSearch keeps the sources cited by claims within max_sources", async () => {
+  const backend = createFakeBackend([
+    {
+      events: [usageEvent],
+      output: structuredOutput({
+        sources: ["https://docs.npmjs.com/", "https://nodejs.org/", "https://github.com/npm/cli/releases"],
+        claims: [{ claim: "npm 11.2.0 is current", sources: ["https://github.com/npm/cli/releases"], quote: "" }]
+      })
+    }
+  ]);
+
+  const result = await runSingleCodexSearch({ question: "q", schema_mode: "claims", max_sources: 1 }, { backend });
+
+  assert.deepEqual(result.details.structured.sources, ["https://github.com/npm/cli/releases"]);
+  assert.match(result.text, /Claims:\n- npm 11\.2\.0 is current \[1\]/);
+});
+
+test("runSingleCodexSearch warns about, or fails on, pages opened outside the domain policy", async () => {
+  const runs = [
+    {
+      events: [openEvent("https://spam.example/page"), usageEvent],
+      output: structuredOutput({ sources: ["https://github.com/npm/cli/releases", "https://spam.example/page"] })
+    }
+  ];
+
+  const warned = await runSingleCodexSearch(
+    { question: "q", exclude_domains: ["spam.example"] },
+    { backend: createFakeBackend(runs) }
+  );
+  assert.equal(warned.ok, true);
+  assert.deepEqual(warned.details.structured.sources, ["https://github.com/npm/cli/releases"]);
+  assert.deepEqual(warned.details.domainPolicy.rejectedSources, ["https://spam.example/page"]);
+  assert.equal(warned.details.domainPolicy.violations.length, 1);
+  assert.ok(warned.details.policyWarnings.some((warning) => /spam\.example/.test(warning)));
+
+  const strict = await runSingleCodexSearch(
+    { question: "q", exclude_domains: ["spam.example"], strict_domains: true },
+    { backend: createFakeBackend(runs) }
+  );
+  assert.equal(strict.ok, false);
+  assert.equal(strict.details.reason, "domain_policy_violation");
+});
+
+test("runSingleCodexSearch cancels a run once streamed usage crosses the question budget", async () => {
+  const updates = [];
+  const backend = createFakeBackend([
+    {
+      events: [searchEvent("q"), { type: "turn.completed", usage: { input_tokens: 500, output_tokens: 5 } }],
+      output: structuredOutput()
+    }
+  ]);
+
+  const result = await runSingleCodexSearch(
+    { question: "q", max_question_input_tokens: 100, max_attempts: 1 },
+    { backend, onProgress: (event) => updates.push(event) }
+  );
+
+  assert.equal(result.ok, false);
+  assert.equal(result.details.reason, "budget_exceeded");
+  assert.deepEqual(result.details.budgetExceeded, { scope: "question", kind: "input_tokens", limit: 100, used: 500 });
+  assert.equal(result.details.usage.input_tokens, 500);
+  assert.equal(result.details.progress.searches, 1);
+  assert.ok(result.details.telemetry);
+  assert.ok(
+    updates.some(
+      (event) =>
+        event.lastAction === "cancelled: question input tokens budget exceeded (500 of 100)" && event.usage.input_tokens === 500
+    )
+  );
+});
+
+test("runSingleCodexSearch starts no retry once a failed run has spent the question budget", async () => {
+  const backend = createFakeBackend([
+    { events: [{ type: "turn.completed", usage: { input_tokens: 500, output_tokens: 5 } }], exitCode: 1 },
+    { events: [usageEvent], output: structuredOutput() }
+  ]);
+
+  const result = await runSingleCodexSearch(
+    { question: "q", max_question_input_tokens: 100, max_attempts: 2, retry_backoff_sec: 0 },
+    { backend }
+  );
+
+  assert.equal(backend.requests.length, 1);
+  assert.equal(result.ok, false);
+  assert.equal(result.details.reason, "budget_exceeded");
+  assert.equal(result.details.usage.input_tokens, 500);
+});
+
+test("runSingleCodexSearch reports usage and estimated cost across attempts", async () => {
+  const backend = createFakeBackend([
+    { events: [usageEvent], exitCode: 1 },
+    { events: [usageEvent], output: structuredOutput() }
+  ]);
+
+  const result = await runSingleCodexSearch(
+    { question: "q", model: "priced", max_attempts: 2, retry_backoff_sec: 0 },
+    { backend, priceTable: { priced: { input: 1, output: 2 } } }
+  );
+
+  assert.equal(result.ok, true);
+  assert.deepEqual(result.details.usage, { input_tokens: 20, cached_input_tokens: 0, output_tokens: 10 });
+  assert.equal(result.details.estimatedCostUsd, 0.00004);
+  assert.deepEqual(
+    result.details.attempts.map((entry) => entry.usage.input_tokens),
+    [10, 10]
+  );
+});
+
+test("runSingleCodexSearch streams the accumulated search trace while the run is in progress", async () => {
+  const updates = [];
+  const backend = {
+    name: "slow",
+    label: "slow",
+    async run(_request, hooks) {
+      const events = [searchEvent("npm latest"), openEvent("https://github.com/npm/cli/releases")];
+      for (const event of events) {
+        await new Promise((resolve) => setTimeout(resolve, 400));
+        hooks.onEvent(event);
+      }
+      return {
+        exitCode: 0,
+        stdout: events.map((event) => JSON.stringify(event)).join("\n"),
+        stderr: "",
+        finalText: JSON.stringify(structuredOutput()),
+        timedOut: false,
+        aborted: false
+      };
+    }
+  };
+
+  await runSingleCodexSearch({ question: "q" }, { backend, onProgress: (event) => updates.push(event) });
+
+  const searching = updates.filter((event) => event.phase === "searching");
+  assert.deepEqual(
+    searching.map((event) => event.trace.length),
+    [0, 1, 2, 2]
+  );
+  assert.deepEqual(searching[1].recent, [{ actionType: "search", query: "npm latest", queries: [], url: undefined }]);
+  assert.equal(searching[2].latestUrl, "https://github.com/npm/cli/releases");
+});
+
+test("runSingleCodexSearch runs the full codex process lifecycle against a replayed trace", async () => {
+  const updates = [];
+  const result = await runSingleCodexSearch(
+    { question: "What is the latest stable npm version?", as_of_year: 2026 },
+    {
+      backendConfig: fakeCodexConfig({ FAKE_CODEX_TRACE: NPM_TRACE, FAKE_CODEX_DELAY_MS: "1" }),
+      onProgress: (event) => updates.push(event)
+    }
+  );
+
+  assert.equal(result.ok, true);
+  assert.equal(result.details.backend, "codex-cli");
+  assert.equal(result.details.structured.confidence, 0.93);
+  assert.equal(result.details.progress.searches, 6);
+  assert.equal(result.details.progress.pagesOpened, 8);
+  assert.deepEqual(result.details.telemetry.usage, { input_tokens: 61564, cached_input_tokens: 2560, output_tokens: 2834 });
+  assert.equal(updates[0].phase, "prompt");
+  assert.match(updates[0].prompt, /What is the latest stable npm version\?/);
+  const finalized = updates.find((event) => event.lastAction === "finalized");
+  assert.deepEqual(
+    [finalized.searches, finalized.pagesOpened, finalized.usage.input_tokens],
+    [6, 8, 61564]
+  );
+  assert.ok(updates.some((event) => event.latestQuery && event.latestUrl));
+  assert.deepEqual(finalized.trace, result.details.telemetry.searchTrace);
+  assert.deepEqual(finalized.recent, result.details.telemetry.searchTrace.slice(-5));
+});
+
+test("runSingleCodexSearch replays a recorded Pi session log", async () => {
+  const result = await runSingleCodexSearch(
+    { question: "What is the latest stable npm version?" },
+    { backendConfig: fakeCodexConfig({ FAKE_CODEX_TRACE: SMOKE_SESSION_LOG }) }
+  );
+
+  assert.equal(result.ok, true);
+  assert.match(result.details.structured.answer, /11\.10\.1/);
+  assert.equal(result.details.telemetry.searchTrace.length, 15);
+});
+
+test("runSingleCodexSearch reports non-zero exits with stderr and trace tail", async () => {
+  const result = await runSingleCodexSearch(
+    { question: "q", max_attempts: 1 },
+    {
+      backendConfig: fakeCodexConfig({
+        FAKE_CODEX_TRACE: NPM_TRACE,
+        FAKE_CODEX_EXIT_CODE: "2",
+        FAKE_CODEX_STDERR: "rate limited"
+      })
+    }
+  );
+
+  assert.equal(result.ok, false);
+  assert.equal(result.details.reason, "non_zero_exit");
+  assert.equal(result.details.exitCode, 2);
+  assert.equal(result.details.stderr, "rate limited");
+  assert.match(result.details.stdoutTail, /turn\.completed/);
+  assert.match(result.text, /codex exited with code 2/);
+});
+
+test("runSingleCodexSearch reports a missing final output file as no_final_output", async () => {
+  const result = await runSingleCodexSearch(
+    { question: "q", max_attempts: 1 },
+    { backendConfig: fakeCodexConfig({ FAKE_CODEX_TRACE: NPM_TRACE, FAKE_CODEX_OUTPUT: "none" }) }
+  );
+
+  assert.equal(result.ok, false);
+  assert.equal(result.details.reason, "no_final_output");
+});
+
+test("runSingleCodexSearch retries a failing codex process until it succeeds", async () => {
+  await withTempDir(async (dir) => {
+    const result = await runSingleCodexSearch(
+      { question: "q", max_attempts: 3, retry_backoff_sec: 0 },
+      {
+        backendConfig: fakeCodexConfig({
+          FAKE_CODEX_TRACE: NPM_TRACE,
+          FAKE_CODEX_FAIL_TIMES: "2",
+          FAKE_CODEX_COUNTER_FILE: join(dir, "runs")
+        })
+      }
+    );
+
+    assert.equal(result.ok, true);
+    assert.deepEqual(
+      result.details.attempts.map((entry) => entry.reason),
+      ["non_zero_exit", "non_zero_exit", null]
+    );
+  });
+});
+
+test("runSingleCodexSearch aborts the codex process and does not retry", async () => {
+  const controller = new AbortController();
+  const result = await runSingleCodexSearch(
+    { question: "q", max_attempts: 3, retry_backoff_sec: 0 },
+    {
+      signal: controller.signal,
+      backendConfig: fakeCodexConfig({ FAKE_CODEX_TRACE: NPM_TRACE, FAKE_CODEX_DELAY_MS: "50" }),
+      onProgress: (event) => {
+        if (event.searches === 1) controller.abort();
+      }
+    }
+  );
+
+  assert.equal(result.ok, false);
+  assert.equal(result.details.reason, "aborted");
+  assert.equal(result.details.attempts.length, 1);
+});
+
+test("runSingleCodexSearch reports a missing codex binary as spawn_failure", async () => {
+  const result = await runSingleCodexSearch(
+    { question: "q", max_attempts: 1 },
+    { backendConfig: { env: process.env, codexBin: join(tmpdir(), "does-not-exist", "codex") } }
+  );
+
+  assert.equal(result.ok, false);
+  assert.equal(result.details.reason, "spawn_failure");
+});
+
+test("runSingleCodexSearch reports source checks when verify_sources is enabled", async () => {
+  const backend = createFakeBackend([
+    {
+      events: [openEvent("https://github.com/npm/cli/releases"), usageEvent],
+      output: structuredOutput({ sources: ["https://github.com/npm/cli/releases", "https://npm.example/blog"] })
+    }
+  ]);
+  const fetched = [];
+  const fetch = async (url, init) => {
+    fetched.push([init.method, url]);
+    return { status: url.includes("blog") ? 404 : 200, url };
+  };
+
+  const result = await runSingleCodexSearch({ question: "npm latest", verify_sources: "http" }, { backend, fetch });
+
+  assert.equal(result.ok, true);
+  assert.deepEqual(
+    result.details.sourceChecks.checks.map((check) => [check.opened, check.verdict]),
+    [
+      [true, "ok"],
+      [false, "unreachable"]
+    ]
+  );
+  assert.deepEqual(fetched, [
+    ["HEAD", "https://github.com/npm/cli/releases"],
+    ["HEAD", "https://npm.example/blog"]
+  ]);
+  assert.match(result.text, /2\. https:\/\/npm\.example\/blog \(unreachable: 404\)/);
+  assert.ok(result.details.policyWarnings.includes("1 source(s) are unreachable."));
+
+  const untouched = await runSingleCodexSearch({ question: "npm latest" }, { backend, fetch });
+  assert.equal(untouched.details.sourceChecks, undefined);
+  assert.equal(fetched.length, 2);
+});
+
+test("runSingleCodexSearch escalates low-confidence answers and returns the better run", async () => {
+  const backend = createFakeBackend([
+    { events: [usageEvent], output: structuredOutput({ confidence: 0.4 }) },
+    {
+      events: [usageEvent],
+      output: structuredOutput({ confidence: 0.85, sources: ["https://nodejs.org/en", "https://github.com/nodejs/node"] })
+    }
+  ]);
+  const updates = [];
+
+  const result = await runSingleCodexSearch(
+    {
+      question: "node lts",
+      model: "gpt-5-mini",
+      escalate_below_confidence: 0.7,
+      escalation: [{ model: "gpt-5", timeout_sec: 3600 }, { model: "unused" }]
+    },
+    { backend, onProgress: (event) => updates.push(event) }
+  );
+
+  assert.equal(result.ok, true);
+  assert.equal(result.details.structured.confidence, 0.85);
+  assert.deepEqual(
+    backend.requests.map((request) => [request.model, request.timeoutSec]),
+    [
+      ["gpt-5-mini", 1800],
+      ["gpt-5", 3600]
+    ]
+  );
+  assert.equal(result.details.escalation.triggered, true);
+  assert.equal(result.details.escalation.selectedStep, 1);
+  assert.deepEqual(
+    result.details.escalation.runs.map((run) => [run.step, run.model, run.confidence, run.triggers]),
+    [
+      [0, "gpt-5-mini", 0.4, ["low_confidence"]],
+      [1, "gpt-5", 0.85, []]
+    ]
+  );
+  assert.deepEqual(
+    result.details.attempts.map((attempt) => attempt.escalationStep),
+    [0, 1]
+  );
+  assert.deepEqual(result.details.usage, { input_tokens: 20, cached_input_tokens: 0, output_tokens: 10 });
+  assert.ok(
+    updates.some(
+      (event) =>
+        event.phase === "escalating" && event.escalationStep === 1 && event.lastAction === "escalating to gpt-5 (low_confidence)"
+    )
+  );
+  assert.match(result.text, /Escalation:\n- step 0 \(model gpt-5-mini, timeout 1800s\): confidence 0\.4, 1 source\(s\) \[low_confidence\]/);
+  assert.match(result.text, /- step 1 \(model gpt-5, timeout 3600s\): confidence 0\.85, 2 source\(s\) \(selected\)/);
+});
+
+test("runSingleCodexSearch keeps the original answer when escalation fails or is not needed", async () => {
+  const failing = createFakeBackend([
+    { events: [usageEvent], output: structuredOutput({ confidence: 0.4, sources: [] }) },
+    { exitCode: 1, events: [] }
+  ]);
+
+  const kept = await runSingleCodexSearch(
+    {
+      question: "q",
+      max_attempts: 1,
+      escalate_min_sources: 1,
+      escalation: [{ timeout_sec: 3600 }]
+    },
+    { backend: failing }
+  );
+
+  assert.equal(kept.ok, true);
+  assert.equal(kept.details.escalation.selectedStep, 0);
+  assert.deepEqual(
+    kept.details.escalation.runs.map((run) => [run.ok, run.reason, run.triggers]),
+    [
+      [true, null, ["few_sources"]],
+      [false, "non_zero_exit", []]
+    ]
+  );
+
+  const confident = createFakeBackend([{ events: [usageEvent], output: structuredOutput() }]);
+  const single = await runSingleCodexSearch(
+    { question: "q", escalate_below_confidence: 0.7, escalation: [{ model: "gpt-5" }] },
+    { backend: confident }
+  );
+
+  assert.equal(confident.requests.length, 1);
+  assert.equal(single.details.escalation.triggered, false);
+  assert.doesNotMatch(single.text, /Escalation:/);
+});
+
+const RELEASES_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  required: ["releases"],
+  properties: {
+    releases: {
+      type: "array",
+      items: {
+        type: "object",
+        additionalProperties: false,
+        required: ["line", "version"],
+        properties: { line: { type: "string" }, version: { type: "string" } }
+      }
+    }
+  }
+};
+
+test("runSingleCodexSearch returns caller-defined data under output_schema", async () => {
+  const data = { releases: [{ line: "24", version: "24.1.0" }] };
+  const backend = createFakeBackend([{ events: [usageEvent], output: structuredOutput({ data }) }]);
+
+  const result = await runSingleCodexSearch({ question: "node releases", output_schema: RELEASES_SCHEMA }, { backend });
+
+  assert.equal(result.ok, true);
+  assert.deepEqual(result.details.structured.data, data);
+  assert.deepEqual(backend.requests[0].schema.properties.data, RELEASES_SCHEMA);
+  assert.ok(backend.requests[0].schema.required.includes("data"));
+  assert.match(result.text, /Data:\n\{\n {2}"releases"/);
+});
+
+test("runSingleCodexSearch reports invalid output schemas and non-conforming output", async () => {
+  const backend = createFakeBackend([
+    { events: [usageEvent], output: structuredOutput({ data: { releases: [{ line: 24 }] } }) }
+  ]);
+
+  const invalid = await runSingleCodexSearch(
+    { question: "q", output_schema: { type: "object", properties: {} } },
+    { backend }
+  );
+  assert.equal(invalid.ok, false);
+  assert.equal(invalid.details.reason, "invalid_output_schema");
+  assert.equal(
+    invalid.text,
+    "codex_search error: invalid output_schema\n- output_schema: objects must set additionalProperties: false"
+  );
+  assert.equal(backend.requests.length, 0);
+
+  const mismatch = await runSingleCodexSearch(
+    { question: "q", output_schema: RELEASES_SCHEMA, max_attempts: 1 },
+    { backend }
+  );
+  assert.equal(mismatch.ok, false);
+  assert.equal(mismatch.details.reason, "output_schema_mismatch");
+  assert.deepEqual(mismatch.details.schemaErrors, [
+    'data.releases[0]: missing required property "version"',
+    "data.releases[0].line: expected string, got number"
+  ]);
+  assert.match(mismatch.text, /^codex_search error: output does not match output_schema\n- data\.releases\[0\]: missing/);
+});
+
+test("runSingleCodexSearch frames the prompt with a date window and warns about out-of-window answers", async () => {
+  const backend = createFakeBackend([{ events: [usageEvent], output: structuredOutput({ as_of: "late 2025" }) }]);
+
+  const result = await runSingleCodexSearch(
+    { question: "npm latest", recency: "last 30 days" },
+    { backend, now: () => Date.parse("2026-03-15T00:00:00.000Z") }
+  );
+
+  assert.equal(result.ok, true);
+  assert.match(backend.requests[0].prompt, /Only use sources published between 2026-02-13 and 2026-03-15\./);
+  assert.doesNotMatch(backend.requests[0].prompt, /as of early/);
+  assert.deepEqual(result.details.dateWindow, {
+    as_of: null,
+    published_after: "2026-02-13",
+    published_before: "2026-03-15",
+    recency: "last 30 days",
+    check: { reported: "late 2025", status: "outside", start: "2025-09-01", end: "2025-12-31" }
+  });
+  assert.ok(
+    result.details.policyWarnings.includes(
+      'Reported as-of "late 2025" falls outside the requested window (2026-02-13 to 2026-03-15).'
+    )
+  );
+  assert.match(result.text, /Requested window: 2026-02-13 to 2026-03-15/);
+
+  const invalid = await runSingleCodexSearch({ question: "q", as_of_period: "soonish" }, { backend });
+  assert.equal(invalid.ok, false);
+  assert.equal(invalid.details.reason, "invalid_date_window");
+  assert.equal(backend.requests.length, 1);
+});
@@ -1,9 +1,31 @@
 import test from "node:test";
 import assert from "node:assert/strict";
+import { createUsageBudget } from "../lib/codex-search-budget.mjs";
+import { createSessionResults } from "../lib/codex-search-follow-up.mjs";
+import { formatProgressEvent } from "../lib/codex-search-progress.mjs";
 import { runCodexSearch } from "../lib/codex-search-tool.mjs";
 
 const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
 
+function questionProgress(overrides = {}) {
+  return {
+    type: "question",
+    phase: "searching",
+    question: "q",
+    attempt: 1,
+    maxAttempts: 1,
+    escalationStep: null,
+    elapsedSeconds: 0,
+    searches: 0,
+    pagesOpened: 0,
+    lastAction: "starting",
+    latestQuery: null,
+    latestUrl: null,
+    usage: { input_tokens: 0, cached_input_tokens: 0, output_tokens: 0 },
+    ...overrides
+  };
+}
+
 function okResult(question) {
   return {
     ok: true,
@@ -34,10 +56,10 @@ test("runCodexSearch rejects empty question lists", async () => {
 test("runCodexSearch single question delegates to runner", async () => {
   let seenParams = null;
   let seenSignal = null;
-  let seenOnUpdate = null;
+  let seenOnProgress = null;
 
   const controller = new AbortController();
-  const onUpdate = () => {};
+  const onProgress = () => {};
 
   const result = await runCodexSearch(
     {
@@ -50,11 +72,11 @@ test("runCodexSearch single question delegates to runner", async () => {
     },
     {
       signal: controller.signal,
-      onUpdate,
+      onProgress,
       runSingle: async (params, options) => {
         seenParams = params;
         seenSignal = options.signal;
-        seenOnUpdate = options.onUpdate;
+        seenOnProgress = options.onProgress;
         return okResult(params.question);
       }
     }
@@ -66,13 +88,31 @@ test("runCodexSearch single question delegates to runner", async () => {
     question: "what is npm latest",
     as_of_period: "mid",
     as_of_year: 2026,
+    as_of: undefined,
+    published_after: undefined,
+    published_before: undefined,
+    recency: undefined,
     model: undefined,
+    backend: undefined,
     timeout_sec: 123,
     max_sources: 4,
-    fail_on_command_event: false
+    fail_on_command_event: false,
+    schema_mode: undefined,
+    include_domains: undefined,
+    exclude_domains: undefined,
+    strict_domains: undefined,
+    max_attempts: undefined,
+    retry_backoff_sec: undefined,
+    retry_on: undefined,
+    verify_sources: undefined,
+    escalate_below_confidence: undefined,
+    escalate_min_sources: undefined,
+    escalation: undefined,
+    follow_up_of: undefined,
+    output_schema: undefined
   });
   assert.equal(seenSignal, controller.signal);
-  assert.equal(seenOnUpdate, onUpdate);
+  assert.equal(seenOnProgress, onProgress);
 });
 
 test("runCodexSearch runs multi-question batches in parallel and preserves input order", async () => {
@@ -141,7 +181,7 @@ test("runCodexSearch caps parallelism at 5", async () => {
 });
 
 test("runCodexSearch emits batch and per-run progress updates", async () => {
-  const updates = [];
+  const events = [];
 
   await runCodexSearch(
     {
@@ -149,26 +189,42 @@ test("runCodexSearch emits batch and per-run progress updates", async () => {
       parallelism: 1
     },
     {
-      onUpdate: (text) => updates.push(text),
+      onProgress: (event) => events.push(event),
       runSingle: async (params, options) => {
-        options.onUpdate?.([
-          "Running Codex web search...",
-          "elapsed: 3s",
-          "searches: 2",
-          "pages opened: 1",
-          "last action: search: test query"
-        ].join("\n"));
+        options.onProgress?.(
+          questionProgress({
+            question: params.question,
+            elapsedSeconds: 3,
+            searches: 2,
+            pagesOpened: 1,
+            lastAction: "search: test query",
+            latestQuery: "test query",
+            recent: [{ actionType: "search", query: "test query", queries: [], url: undefined }],
+            trace: [
+              { actionType: "open_page", query: "", queries: [], url: "https://example.com/" },
+              { actionType: "search", query: "test query", queries: [], url: undefined }
+            ]
+          })
+        );
         await sleep(1);
         return okResult(params.question);
       }
     }
   );
 
+  const updates = events.map((event) => formatProgressEvent(event));
+  assert.ok(events.every((event) => event.type === "batch" && event.total === 2));
+  assert.ok(
+    events.some(
+      (event) => event.phase === "running" && event.runs[0].status === "running" && event.runs[0].latestQuery === "test query"
+    )
+  );
   assert.ok(updates.some((text) => text.includes("Running parallel Codex web searches...")));
   assert.ok(updates.some((text) => text.includes("Starting query 1/2: q1")));
   assert.ok(updates.some((text) => text.includes("Finished query 2/2: ok")));
   assert.ok(updates.some((text) => text.includes("runs:")));
-  assert.ok(updates.some((text) => text.includes("[1/2] q1 | running | 3s | s=2 p=1 | search: test query")));
+  assert.ok(updates.some((text) => text.includes("[1/2] q1 | running | 3s | s=2 p=1 | search: test query\n    search: test query")));
+  assert.ok(events.some((event) => event.phase === "running" && event.runs[0].trace.length === 2));
 });
 
 test("runCodexSearch reports partial failures", async () => {
@@ -178,13 +234,16 @@ test("runCodexSearch reports partial failures", async () => {
     },
     {
       runSingle: async (params, options) => {
-        options.onUpdate?.([
-          "Running Codex web search...",
-          "elapsed: 4s",
-          "searches: 3",
-          "pages opened: 2",
-          "last action: open: https://example.com"
-        ].join("\n"));
+        options.onProgress?.(
+          questionProgress({
+            question: params.question,
+            elapsedSeconds: 4,
+            searches: 3,
+            pagesOpened: 2,
+            lastAction: "open: https://example.com",
+            latestUrl: "https://example.com"
+          })
+        );
 
         if (params.question === "bad") return errorResult(params.question, "bad_query");
         return okResult(params.question);
@@ -304,6 +363,335 @@ test("runCodexSearch marks remaining work as not started when aborted mid-batch"
   );
 });
 
+function abortableRun(question, delayMs, signal) {
+  return new Promise((resolve) => {
+    const timer = setTimeout(() => resolve(okResult(question)), delayMs);
+    signal?.addEventListener(
+      "abort",
+      () => {
+        clearTimeout(timer);
+        resolve(errorResult(question, "aborted"));
+      },
+      { once: true }
+    );
+  });
+}
+
+test("runCodexSearch cancels running and pending work once batch_timeout_sec is reached", async () => {
+  const started = [];
+
+  const result = await runCodexSearch(
+    { questions: ["q1", "q2", "q3"], parallelism: 2, batch_timeout_sec: 0.05 },
+    {
+      runSingle: async (params, options) => {
+        started.push(params.question);
+        return abortableRun(params.question, params.question === "q1" ? 10 : 5000, options.signal);
+      }
+    }
+  );
+
+  assert.deepEqual(started, ["q1", "q2", "q3"]);
+  assert.deepEqual(
+    result.details.results.map((entry) => entry.details.reason ?? "ok"),
+    ["ok", "batch_timeout", "batch_timeout"]
+  );
+  assert.match(result.details.results[1].text, /batch timeout \(0\.05s\) was reached/);
+  assert.equal(result.details.summary.stoppedBy, "batch_timeout");
+  assert.match(result.text, /- stopped: the batch timeout \(0\.05s\) was reached/);
+});
+
+test("runCodexSearch marks unstarted questions when the batch timeout fires first", async () => {
+  const result = await runCodexSearch(
+    { questions: ["q1", "q2", "q3"], parallelism: 1, batch_timeout_sec: 0.02 },
+    { runSingle: async (params, options) => abortableRun(params.question, 5000, options.signal) }
+  );
+
+  assert.equal(result.ok, false);
+  assert.deepEqual(
+    result.details.results.map((entry) => entry.details.reason),
+    ["batch_timeout", "not_started_due_batch_timeout", "not_started_due_batch_timeout"]
+  );
+  assert.match(result.details.results[2].text, /not started because the batch timeout \(0\.02s\) was reached/);
+});
+
+test("runCodexSearch keeps the batch timeout running through synthesis", async () => {
+  let synthesisSignal = null;
+
+  const result = await runCodexSearch(
+    { questions: ["q1", "q2"], synthesize: true, batch_timeout_sec: 0.05 },
+    {
+      runSingle: async (params) => structuredResult(params.question, [`https://${params.question}.example/`]),
+      runSynthesis: async (_params, options) => {
+        synthesisSignal = options.signal;
+        return abortableRun("synthesis", 5000, options.signal);
+      }
+    }
+  );
+
+  assert.equal(synthesisSignal.aborted, true);
+  assert.equal(result.details.synthesis.ok, false);
+  assert.equal(result.details.synthesis.reason, "batch_timeout");
+  assert.equal(result.details.summary.stoppedBy, "batch_timeout");
+});
+
+test("runCodexSearch fail_fast cancels siblings after the first failure", async () => {
+  const started = [];
+
+  const result = await runCodexSearch(
+    { questions: ["q1", "q2", "q3", "q4"], parallelism: 2, fail_fast: true },
+    {
+      runSingle: async (params, options) => {
+        started.push(params.question);
+        if (params.question === "q1") {
+          await sleep(5);
+          return errorResult(params.question);
+        }
+        return abortableRun(params.question, 5000, options.signal);
+      }
+    }
+  );
+
+  assert.deepEqual(started, ["q1", "q2"]);
+  assert.deepEqual(
+    result.details.results.map((entry) => entry.details.reason),
+    ["test_failure", "cancelled_fail_fast", "not_started_due_fail_fast", "not_started_due_fail_fast"]
+  );
+  assert.equal(result.details.summary.stoppedBy, "fail_fast");
+  assert.match(result.text, /- stopped: another query failed \(fail_fast\)/);
+});
+
+test("runCodexSearch keeps running after failures without fail_fast", async () => {
+  const result = await runCodexSearch(
+    { questions: ["q1", "q2", "q3"], parallelism: 1 },
+    { runSingle: async (params) => (params.question === "q1" ? errorResult(params.question) : okResult(params.question)) }
+  );
+
+  assert.equal(result.details.summary.succeeded, 2);
+  assert.equal(result.details.summary.stoppedBy, undefined);
+  assert.doesNotMatch(result.text, /- stopped:/);
+});
+
+test("runCodexSearch starts higher-priority questions first and reports results in input order", async () => {
+  const started = [];
+
+  const result = await runCodexSearch(
+    {
+      questions: ["q1", { question: "q2", priority: 5 }, { question: "q3" }, { question: "q4", priority: 10 }],
+      parallelism: 1
+    },
+    {
+      runSingle: async (params) => {
+        started.push(params.question);
+        return okResult(params.question);
+      }
+    }
+  );
+
+  assert.deepEqual(started, ["q4", "q2", "q1", "q3"]);
+  assert.deepEqual(
+    result.details.results.map((entry) => entry.question),
+    ["q1", "q2", "q3", "q4"]
+  );
+  assert.deepEqual(
+    result.details.runStates.map((state) => state.priority),
+    [0, 5, 0, 10]
+  );
+});
+
+test("runCodexSearch applies per-question overrides on top of the batch params", async () => {
+  const seen = {};
+
+  const result = await runCodexSearch(
+    {
+      questions: [
+        "q1",
+        { question: "q2", model: "gpt-5", as_of_year: 2024, max_sources: 3, include_domains: ["nodejs.org"] },
+        { question: "q3", timeout_sec: 600, priority: 1 }
+      ],
+      model: "gpt-5-mini",
+      as_of_year: 2026,
+      timeout_sec: 300,
+      max_sources: 8
+    },
+    {
+      runSingle: async (params) => {
+        seen[params.question] = params;
+        return okResult(params.question);
+      }
+    }
+  );
+
+  assert.equal(result.ok, true);
+  assert.deepEqual(
+    ["q1", "q2", "q3"].map((question) => {
+      const { model, as_of_year, timeout_sec, max_sources, include_domains } = seen[question];
+      return { model, as_of_year, timeout_sec, max_sources, include_domains };
+    }),
+    [
+      { model: "gpt-5-mini", as_of_year: 2026, timeout_sec: 300, max_sources: 8, include_domains: undefined },
+      { model: "gpt-5", as_of_year: 2024, timeout_sec: 300, max_sources: 3, include_domains: ["nodejs.org"] },
+      { model: "gpt-5-mini", as_of_year: 2026, timeout_sec: 600, max_sources: 8, include_domains: undefined }
+    ]
+  );
+  assert.deepEqual(
+    result.details.runStates.map((state) => state.overrides),
+    [{}, { model: "gpt-5", as_of_year: 2024, max_sources: 3, include_domains: ["nodejs.org"] }, { timeout_sec: 600 }]
+  );
+});
+
+test("runCodexSearch sums per-question costs so model overrides are priced correctly", async () => {
+  const priceTable = { cheap: { input: 1, output: 1 }, pricey: { input: 10, output: 10 } };
+  const usage = { input_tokens: 1_000_000, cached_input_tokens: 0, output_tokens: 0 };
+
+  const result = await runCodexSearch(
+    { questions: [{ question: "q1", model: "cheap" }, { question: "q2", model: "cheap" }, "q3"], model: "pricey" },
+    {
+      priceTable,
+      runSingle: async (params) => {
+        const single = usageResult(params.question, usage);
+        return {
+          ...single,
+          details: { ...single.details, model: params.model, estimatedCostUsd: params.model === "cheap" ? 1 : 10 }
+        };
+      }
+    }
+  );
+
+  assert.equal(result.details.summary.estimatedCostUsd, 12);
+  assert.match(result.text, /- estimated cost: \$12\.0000/);
+});
+
+test("runCodexSearch applies the overrides of a single question object", async () => {
+  let seenParams = null;
+
+  await runCodexSearch(
+    { questions: [{ question: "q1", model: "gpt-5", schema_mode: "claims" }], model: "gpt-5-mini" },
+    {
+      runSingle: async (params) => {
+        seenParams = params;
+        return okResult(params.question);
+      }
+    }
+  );
+
+  assert.equal(seenParams.model, "gpt-5");
+  assert.equal(seenParams.schema_mode, "claims");
+});
+
+test("runCodexSearch rejects invalid per-question date windows before running anything", async () => {
+  let calls = 0;
+
+  const result = await runCodexSearch(
+    { questions: ["q1", { question: "q2", as_of: "2026-13-01" }] },
+    {
+      runSingle: async (params) => {
+        calls += 1;
+        return okResult(params.question);
+      }
+    }
+  );
+
+  assert.equal(calls, 0);
+  assert.equal(result.details.reason, "invalid_date_window");
+  assert.match(result.text, /- "q2": as_of must be an ISO date/);
+});
+
+test("runCodexSearch runs duplicate questions once and fans the result out", async () => {
+  const started = [];
+
+  const result = await runCodexSearch(
+    {
+      questions: ["What is npm latest?", "What is pnpm latest?", "what is npm latest", { question: "What is npm latest?", priority: 2 }],
+      parallelism: 1
+    },
+    {
+      runSingle: async (params) => {
+        started.push(params.question);
+        return okResult(params.question);
+      }
+    }
+  );
+
+  assert.deepEqual(started, ["What is npm latest?", "What is pnpm latest?"]);
+  assert.equal(result.details.summary.succeeded, 4);
+  assert.equal(result.details.summary.duplicates, 2);
+  assert.match(result.text, /- duplicates collapsed: 2/);
+  assert.deepEqual(
+    result.details.results.map((entry) => [entry.question, entry.text]),
+    [
+      ["What is npm latest?", "ok: What is npm latest?"],
+      ["What is pnpm latest?", "ok: What is pnpm latest?"],
+      ["what is npm latest", "ok: What is npm latest?"],
+      ["What is npm latest?", "ok: What is npm latest?"]
+    ]
+  );
+  assert.deepEqual(
+    result.details.runStates.map(({ status, duplicateOf, similarity, duplicates }) => ({
+      status,
+      duplicateOf,
+      similarity,
+      duplicates
+    })),
+    [
+      { status: "ok", duplicateOf: null, similarity: null, duplicates: [2, 3] },
+      { status: "ok", duplicateOf: null, similarity: null, duplicates: [] },
+      { status: "ok", duplicateOf: 0, similarity: 1, duplicates: [] },
+      { status: "ok", duplicateOf: 0, similarity: 1, duplicates: [] }
+    ]
+  );
+});
+
+test("runCodexSearch collapses near-duplicates with dedupe_similarity and can turn dedupe off", async () => {
+  const questions = [
+    "What is the latest stable npm release",
+    "What is the latest stable npm release version",
+    "What is the latest stable npm release?"
+  ];
+  const run = async (extra) => {
+    const started = [];
+    const result = await runCodexSearch(
+      { questions, ...extra },
+      {
+        runSingle: async (params) => {
+          started.push(params.question);
+          return okResult(params.question);
+        }
+      }
+    );
+    return { started, result };
+  };
+
+  const near = await run({ dedupe_similarity: 0.7 });
+  assert.deepEqual(near.started, ["What is the latest stable npm release"]);
+  assert.equal(near.result.details.runStates[1].similarity, 0.7);
+
+  const off = await run({ dedupe: false });
+  assert.deepEqual(off.started, questions);
+  assert.equal(off.result.details.summary.duplicates, 0);
+  assert.doesNotMatch(off.result.text, /duplicates collapsed/);
+});
+
+test("runCodexSearch fans out failures and does not count duplicate usage twice", async () => {
+  const usage = { input_tokens: 100, cached_input_tokens: 0, output_tokens: 10 };
+
+  const result = await runCodexSearch(
+    { questions: ["q1", "Q1?", "q2"] },
+    {
+      runSingle: async (params) =>
+        params.question === "q1"
+          ? { ...errorResult(params.question), details: { ...errorResult(params.question).details, usage } }
+          : usageResult(params.question, usage)
+    }
+  );
+
+  assert.deepEqual(
+    result.details.results.map((entry) => entry.ok),
+    [false, false, true]
+  );
+  assert.equal(result.details.summary.failed, 2);
+  assert.deepEqual(result.details.summary.usage, { input_tokens: 200, cached_input_tokens: 0, output_tokens: 20 });
+});
+
 test("runCodexSearch ignores blank entries and only runs normalized questions", async () => {
   const seen = [];
   const result = await runCodexSearch(
@@ -322,3 +710,480 @@ test("runCodexSearch ignores blank entries and only runs normalized questions",
   assert.deepEqual(seen, ["q1", "q2"]);
   assert.equal(result.details.summary.total, 2);
 });
+
+function createMemoryCache(seed = {}) {
+  const entries = new Map(Object.entries(seed));
+  const lookups = [];
+  return {
+    entries,
+    lookups,
+    async get(key, options) {
+      lookups.push({ key, ttlSec: options?.ttlSec });
+      const result = entries.get(key);
+      return result ? { result, storedAt: Date.UTC(2026, 0, 1), ageSeconds: 42 } : null;
+    },
+    async set(key, result) {
+      entries.set(key, result);
+      return true;
+    }
+  };
+}
+
+test("runCodexSearch serves batch cache hits without running them and stores misses", async () => {
+  const cache = createMemoryCache();
+  const seen = [];
+  const runSingle = async (params) => {
+    seen.push(params.question);
+    return okResult(params.question);
+  };
+
+  const first = await runCodexSearch({ questions: ["q1", "q2"], as_of_year: 2026 }, { cache, runSingle });
+  assert.equal(first.details.summary.cacheHits, 0);
+  assert.deepEqual(first.details.runStates.map((state) => state.cache), ["miss", "miss"]);
+  assert.equal(first.details.results[0].details.cache.stored, true);
+  assert.equal(cache.entries.size, 2);
+
+  seen.length = 0;
+  const second = await runCodexSearch(
+    { questions: ["Q1?", "q3"], as_of_year: 2026, cache_ttl_sec: 600 },
+    { cache, runSingle }
+  );
+
+  assert.deepEqual(seen, ["q3"]);
+  assert.equal(second.details.summary.cacheHits, 1);
+  assert.equal(second.details.summary.parallelism, 1);
+  assert.deepEqual(second.details.runStates.map((state) => state.cache), ["hit", "miss"]);
+  assert.equal(second.details.runStates[0].status, "ok");
+  assert.equal(second.details.results[0].details.cache.status, "hit");
+  assert.equal(second.details.results[0].details.cache.ageSeconds, 42);
+  assert.match(second.details.results[0].text, /Cache: hit/);
+  assert.ok(cache.lookups.every((lookup) => lookup.ttlSec === 600 || lookup.ttlSec === 21600));
+});
+
+test("runCodexSearch cache refresh re-runs and bypass skips the cache entirely", async () => {
+  const cache = createMemoryCache();
+  let calls = 0;
+  const runSingle = async (params) => {
+    calls += 1;
+    return okResult(params.question);
+  };
+
+  await runCodexSearch({ questions: ["q1"] }, { cache, runSingle });
+  const refreshed = await runCodexSearch({ questions: ["q1"], cache: "refresh" }, { cache, runSingle });
+  const bypassed = await runCodexSearch({ questions: ["q1"], cache: "bypass" }, { cache, runSingle });
+  const hit = await runCodexSearch({ questions: ["q1"] }, { cache, runSingle });
+
+  assert.equal(calls, 3);
+  assert.equal(refreshed.details.cache.status, "refresh");
+  assert.equal(refreshed.details.cache.stored, true);
+  assert.deepEqual(bypassed.details.cache, { status: "bypass" });
+  assert.equal(hit.details.cache.status, "hit");
+  assert.equal(cache.lookups.length, 2);
+});
+
+test("runCodexSearch does not cache failed results", async () => {
+  const cache = createMemoryCache();
+  const result = await runCodexSearch(
+    { questions: ["bad"] },
+    { cache, runSingle: async (params) => errorResult(params.question) }
+  );
+
+  assert.equal(result.ok, false);
+  assert.equal(result.details.cache.status, "miss");
+  assert.equal(result.details.cache.stored, false);
+  assert.equal(cache.entries.size, 0);
+});
+
+test("runCodexSearch shows retry attempts in per-run progress and runStates", async () => {
+  const updates = [];
+
+  const result = await runCodexSearch(
+    {
+      questions: ["q1", "q2"],
+      parallelism: 1,
+      max_attempts: 3
+    },
+    {
+      onProgress: (event) => updates.push(formatProgressEvent(event)),
+      runSingle: async (params, options) => {
+        assert.equal(params.max_attempts, 3);
+        options.onProgress?.(
+          questionProgress({
+            question: params.question,
+            attempt: 2,
+            maxAttempts: 3,
+            elapsedSeconds: 7,
+            searches: 1,
+            lastAction: "search: retry query"
+          })
+        );
+        await sleep(1);
+        return {
+          ...okResult(params.question),
+          details: { query: params.question, attempts: [{ attempt: 1, ok: false }, { attempt: 2, ok: true }] }
+        };
+      }
+    }
+  );
+
+  assert.ok(updates.some((text) => text.includes("[1/2] q1 | running | attempt 2/3 | 7s | s=1 p=0 | search: retry query")));
+  assert.deepEqual(result.details.runStates.map((state) => state.attempts), [2, 2]);
+});
+
+function structuredResult(question, sources, answer = `answer to ${question}`) {
+  return {
+    ok: true,
+    text: `ok: ${question}`,
+    details: {
+      query: question,
+      structured: { answer, as_of: "early 2026", confidence: 0.8, sources, notes: "" }
+    }
+  };
+}
+
+test("runCodexSearch synthesize combines successful results and merges sources", async () => {
+  let synthesisParams = null;
+
+  const result = await runCodexSearch(
+    { questions: ["q1", "q2", "bad"], synthesize: true, model: "gpt-test", as_of: "2026-03-01" },
+    {
+      runSingle: async (params) => {
+        if (params.question === "bad") return errorResult(params.question);
+        return structuredResult(params.question, ["https://shared.example/", `https://${params.question}.example/`]);
+      },
+      runSynthesis: async (params) => {
+        synthesisParams = params;
+        return {
+          ok: true,
+          text: "combined",
+          details: {
+            structured: {
+              answer: "combined answer",
+              contradictions: [{ topic: "release date", details: "q1 says Monday, q2 says Tuesday", result_numbers: [1, 2] }],
+              confidence: 0.7,
+              sources: ["https://synth.example/", "https://shared.example/"],
+              notes: ""
+            },
+            telemetry: null,
+            elapsedSeconds: 3
+          }
+        };
+      }
+    }
+  );
+
+  assert.equal(synthesisParams.date_window.as_of, "2026-03-01");
+  assert.deepEqual(
+    synthesisParams.results.map((entry) => [entry.number, entry.question]),
+    [
+      [1, "q1"],
+      [2, "q2"]
+    ]
+  );
+  assert.equal(synthesisParams.model, "gpt-test");
+
+  const synthesis = result.details.synthesis;
+  assert.equal(synthesis.ok, true);
+  assert.equal(synthesis.answer, "combined answer");
+  assert.deepEqual(synthesis.resultNumbers, [1, 2]);
+  assert.deepEqual(synthesis.sources, [
+    "https://synth.example/",
+    "https://shared.example/",
+    "https://q1.example/",
+    "https://q2.example/"
+  ]);
+  assert.match(result.text, /--- Synthesis ---[\s\S]*combined answer[\s\S]*- release date \(results 1, 2\): q1 says Monday/);
+  assert.ok(result.text.indexOf("--- Synthesis ---") < result.text.indexOf("--- Result 1/3 ---"));
+});
+
+test("runCodexSearch skips synthesis when fewer than two results succeeded", async () => {
+  let calls = 0;
+  const result = await runCodexSearch(
+    { questions: ["q1", "bad"], synthesize: true },
+    {
+      runSingle: async (params) =>
+        params.question === "bad" ? errorResult(params.question) : structuredResult(params.question, []),
+      runSynthesis: async () => {
+        calls += 1;
+        return { ok: false, text: "unused", details: {} };
+      }
+    }
+  );
+
+  assert.equal(calls, 0);
+  assert.equal(result.details.synthesis.ok, false);
+  assert.equal(result.details.synthesis.reason, "not_enough_results");
+  assert.match(result.text, /--- Synthesis ---\nStatus: error \(not_enough_results\)/);
+});
+
+test("runCodexSearch reports synthesis failures without failing the batch", async () => {
+  const result = await runCodexSearch(
+    { questions: ["q1", "q2"], synthesize: true },
+    {
+      runSingle: async (params) => structuredResult(params.question, [`https://${params.question}.example/`]),
+      runSynthesis: async () => ({ ok: false, text: "boom", details: { error: true, reason: "no_final_output" } })
+    }
+  );
+
+  assert.equal(result.ok, true);
+  assert.equal(result.details.synthesis.reason, "no_final_output");
+  assert.deepEqual(result.details.synthesis.sources, ["https://q1.example/", "https://q2.example/"]);
+});
+
+test("runCodexSearch appends completed runs to the history store", async () => {
+  const appended = [];
+  const history = {
+    async append(records) {
+      appended.push(records);
+      return true;
+    }
+  };
+
+  await runCodexSearch(
+    { questions: ["q1", "bad"] },
+    {
+      history,
+      runSingle: async (params) =>
+        params.question === "bad" ? errorResult(params.question) : structuredResult(params.question, [])
+    }
+  );
+
+  assert.equal(appended.length, 1);
+  assert.deepEqual(
+    appended[0].map((record) => [record.question, record.status]),
+    [
+      ["q1", "ok"],
+      ["bad", "failed"]
+    ]
+  );
+  assert.equal(appended[0][0].structured.answer, "answer to q1");
+});
+
+function usageResult(question, usage) {
+  const result = structuredResult(question, []);
+  return { ...result, details: { ...result.details, usage } };
+}
+
+test("runCodexSearch stops launching queries once the batch token budget is spent", async () => {
+  const started = [];
+
+  const result = await runCodexSearch(
+    { questions: ["q1", "q2", "q3"], parallelism: 1, max_batch_output_tokens: 50, model: "priced" },
+    {
+      priceTable: { priced: { input: 1, output: 1 } },
+      runSingle: async (params, options) => {
+        started.push(params.question);
+        const usage = { input_tokens: 1000, cached_input_tokens: 0, output_tokens: 60 };
+        options.budget.add(usage);
+        return usageResult(params.question, usage);
+      }
+    }
+  );
+
+  assert.deepEqual(started, ["q1"]);
+  assert.equal(result.ok, true);
+  assert.deepEqual(
+    result.details.results.map((entry) => entry.details.reason ?? "ok"),
+    ["ok", "not_started_due_budget", "not_started_due_budget"]
+  );
+  assert.deepEqual(result.details.summary.usage, { input_tokens: 1000, cached_input_tokens: 0, output_tokens: 60 });
+  assert.equal(result.details.summary.estimatedCostUsd, 0.00106);
+  assert.deepEqual(result.details.summary.budget, {
+    limits: { batch: { input_tokens: null, output_tokens: 50 } },
+    exceeded: { scope: "batch", kind: "output_tokens", limit: 50, used: 60 }
+  });
+  assert.match(result.text, /- tokens: in 1000 \(cached 0\), out 60/);
+  assert.match(result.text, /- budget: batch output tokens budget exceeded \(60 of 50\)/);
+});
+
+test("runCodexSearch nests batch budgets under a shared session budget", async () => {
+  const session = createUsageBudget({ scope: "session", limits: { input_tokens: 1500, output_tokens: null } });
+  const run = (questions) =>
+    runCodexSearch(
+      { questions, parallelism: 1 },
+      {
+        budget: session,
+        runSingle: async (params, options) => {
+          const usage = { input_tokens: 1000, output_tokens: 1 };
+          options.budget.add(usage);
+          return usageResult(params.question, usage);
+        }
+      }
+    );
+
+  await run(["a", "b"]);
+  assert.equal(session.usage.input_tokens, 2000);
+
+  const next = await run(["c", "d"]);
+  assert.equal(next.ok, false);
+  assert.equal(next.details.summary.budget.exceeded.scope, "session");
+  assert.deepEqual(
+    next.details.runStates.map((state) => state.lastAction),
+    ["error: not_started_due_budget", "error: not_started_due_budget"]
+  );
+});
+
+test("runCodexSearch applies layered config and reports where each value came from", async () => {
+  const seen = [];
+  let running = 0;
+  let maxRunning = 0;
+
+  const result = await runCodexSearch(
+    { questions: ["q1", "q2", "q3"], max_sources: 3 },
+    {
+      config: { files: {}, layers: { global: { timeout_sec: 900 }, project: { max_parallelism: 1 }, env: {} }, errors: [] },
+      runSingle: async (params) => {
+        seen.push(params);
+        running += 1;
+        maxRunning = Math.max(maxRunning, running);
+        await sleep(5);
+        running -= 1;
+        return okResult(params.question);
+      }
+    }
+  );
+
+  assert.equal(maxRunning, 1);
+  assert.deepEqual(
+    seen.map((params) => [params.timeout_sec, params.max_sources]),
+    [
+      [900, 3],
+      [900, 3],
+      [900, 3]
+    ]
+  );
+  assert.equal(result.details.summary.parallelism, 1);
+  assert.equal(result.details.config.sources.timeout_sec, "global");
+  assert.equal(result.details.config.sources.max_parallelism, "project");
+  assert.equal(result.details.config.sources.max_sources, "param");
+  assert.equal(result.details.config.values.max_sources, 3);
+});
+
+test("runCodexSearch fails with every config error before running anything", async () => {
+  const result = await runCodexSearch(
+    { questions: ["q"] },
+    {
+      config: { files: {}, layers: {}, errors: ["a.json codexSearch: bad", "env X: worse"] },
+      runSingle: async () => {
+        throw new Error("should not run");
+      }
+    }
+  );
+
+  assert.equal(result.ok, false);
+  assert.equal(result.details.reason, "invalid_config");
+  assert.equal(result.text, "codex_search config error:\n- a.json codexSearch: bad\n- env X: worse");
+});
+
+test("runCodexSearch renders the requested output_format after recording history", async () => {
+  const appended = [];
+  const result = await runCodexSearch(
+    { questions: ["q1", "q2"], output_format: "json" },
+    {
+      history: { append: async (records) => appended.push(...records) },
+      runSingle: async (params) => structuredResult(params.question, ["https://a.example/"])
+    }
+  );
+
+  const document = JSON.parse(result.text);
+  assert.equal(document.mode, "batch");
+  assert.deepEqual(
+    document.results.map((entry) => entry.answer),
+    ["answer to q1", "answer to q2"]
+  );
+  assert.equal(result.details.outputFormat, "json");
+  assert.equal(appended[0].text, "ok: q1");
+});
+
+test("runCodexSearch continues earlier research with follow_up_of and records the lineage", async () => {
+  const session = createSessionResults();
+  const seenFollowUps = [];
+  const runSingle = async (params, options) => {
+    seenFollowUps.push(options.followUp);
+    return structuredResult(params.question, ["https://nodejs.org/en"]);
+  };
+
+  const first = await runCodexSearch({ questions: ["node lts"] }, { session, runSingle });
+  const [firstId] = first.details.resultIds;
+  assert.match(first.text, new RegExp(`Result id: ${firstId} \\(pass as follow_up_of`));
+  assert.equal(seenFollowUps[0], undefined);
+
+  const second = await runCodexSearch({ questions: ["and on Windows?"], follow_up_of: "last" }, { session, runSingle });
+  assert.equal(second.ok, true);
+  assert.equal(seenFollowUps[1].id, firstId);
+  assert.equal(seenFollowUps[1].answer, "answer to node lts");
+  assert.deepEqual(seenFollowUps[1].sources, ["https://nodejs.org/en"]);
+  assert.deepEqual(second.details.followUp, {
+    id: firstId,
+    origin: "session",
+    question: "node lts",
+    recordedAt: session.get(firstId).recordedAt,
+    lineage: [firstId]
+  });
+
+  const secondRecord = session.last();
+  assert.equal(secondRecord.followUpOf, firstId);
+
+  const third = await runCodexSearch(
+    { questions: ["and ARM?"], follow_up_of: secondRecord.id },
+    { session, runSingle }
+  );
+  assert.deepEqual(third.details.followUp.lineage, [secondRecord.id, firstId]);
+});
+
+test("runCodexSearch fails fast when follow_up_of cannot be resolved", async () => {
+  let called = false;
+  const result = await runCodexSearch(
+    { questions: ["q"], follow_up_of: "nope" },
+    {
+      session: createSessionResults(),
+      history: { get: async () => null, append: async () => true },
+      runSingle: async () => {
+        called = true;
+        return okResult("q");
+      }
+    }
+  );
+
+  assert.equal(called, false);
+  assert.equal(result.ok, false);
+  assert.equal(result.details.reason, "follow_up_not_found");
+  assert.equal(result.text, 'codex_search error: no codex_search result with id "nope" in this session or in history');
+});
+
+test("runCodexSearch rejects an invalid output_schema once and normalizes JSON strings", async () => {
+  const seen = [];
+  const runSingle = async (params) => {
+    seen.push(params.output_schema);
+    return okResult(params.question);
+  };
+
+  const invalid = await runCodexSearch({ questions: ["q1", "q2"], output_schema: "{" }, { runSingle });
+  assert.equal(invalid.ok, false);
+  assert.equal(invalid.details.reason, "invalid_output_schema");
+  assert.equal(seen.length, 0);
+
+  const schema = { type: "array", items: { type: "string" } };
+  await runCodexSearch({ questions: ["q1", "q2"], output_schema: JSON.stringify(schema) }, { runSingle });
+  assert.deepEqual(seen, [schema, schema]);
+});
+
+test("runCodexSearch rejects invalid date windows before running any question", async () => {
+  let called = false;
+  const result = await runCodexSearch(
+    { questions: ["q1", "q2"], published_after: "yesterday" },
+    {
+      runSingle: async () => {
+        called = true;
+        return okResult("q");
+      }
+    }
+  );
+
+  assert.equal(called, false);
+  assert.equal(result.details.reason, "invalid_date_window");
+  assert.equal(
+    result.text,
+    'codex_search error: invalid date window\n- published_after must be an ISO date (YYYY-MM-DD) (got "yesterday")'
+  );
+});
@@ -0,0 +1,136 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  checkSourceReachability,
+  crossCheckSources,
+  formatSourceCheckLabel,
+  formatSourceCheckWarnings,
+  normalizeVerifyMode,
+  verifySources
+} from "../lib/codex-source-verification.mjs";
+import { withMockServer } from "./helpers.mjs";
+
+test("normalizeVerifyMode defaults to off", () => {
+  assert.equal(normalizeVerifyMode(undefined), "off");
+  assert.equal(normalizeVerifyMode("HTTP"), "http");
+  assert.equal(normalizeVerifyMode("trace"), "trace");
+  assert.equal(normalizeVerifyMode("everything"), "off");
+});
+
+test("crossCheckSources matches open_page entries ignoring www, fragments and trailing slashes", () => {
+  const trace = [
+    { actionType: "search", query: "npm latest", url: null },
+    { actionType: "open_page", url: "https://www.npmjs.com/package/npm/" },
+    { actionType: "open_page", url: "https://github.com/npm/cli/releases#latest" }
+  ];
+
+  assert.deepEqual(
+    crossCheckSources(
+      ["https://npmjs.com/package/npm", "https://github.com/npm/cli/releases", "https://example.com/never"],
+      trace
+    ),
+    [
+      { url: "https://npmjs.com/package/npm", opened: true, openedUrl: "https://www.npmjs.com/package/npm/" },
+      { url: "https://github.com/npm/cli/releases", opened: true, openedUrl: "https://github.com/npm/cli/releases#latest" },
+      { url: "https://example.com/never", opened: false, openedUrl: null }
+    ]
+  );
+});
+
+test("verifySources returns null when verification is off", async () => {
+  assert.equal(await verifySources(["https://a.example/"], { mode: "off" }), null);
+});
+
+test("verifySources in trace mode never touches the network", async () => {
+  const result = await verifySources(["https://a.example/", "https://b.example/"], {
+    mode: "trace",
+    searchTrace: [{ actionType: "open_page", url: "https://a.example/" }],
+    fetch: () => {
+      throw new Error("fetch should not be called");
+    }
+  });
+
+  assert.deepEqual(
+    result.checks.map((check) => check.verdict),
+    ["ok", "not_opened"]
+  );
+  assert.deepEqual(result.summary, { total: 2, ok: 1, notOpened: 1, unreachable: 0, redirectedOffsite: 0 });
+  assert.deepEqual(formatSourceCheckWarnings(result), ["1 source(s) were never opened during the search."]);
+  assert.equal(formatSourceCheckLabel(result.checks[1]), " (not opened)");
+});
+
+test("checkSourceReachability falls back to GET when HEAD is not allowed", async () => {
+  await withMockServer(
+    (req, res) => {
+      res.writeHead(req.method === "HEAD" ? 405 : 200, { "content-type": "text/plain" });
+      res.end(req.method === "HEAD" ? "" : "hello");
+    },
+    async (baseUrl, requests) => {
+      const check = await checkSourceReachability(`${baseUrl}/page`);
+
+      assert.equal(check.method, "GET");
+      assert.equal(check.status, 200);
+      assert.equal(check.reachable, true);
+      assert.equal(check.redirected, false);
+      assert.deepEqual(
+        requests.map((request) => request.method),
+        ["HEAD", "GET"]
+      );
+    }
+  );
+});
+
+test("verifySources in http mode reports 404s and redirects against a local server", async () => {
+  await withMockServer(
+    (req, res) => {
+      if (req.url === "/missing") {
+        res.writeHead(404);
+      } else if (req.url === "/old") {
+        res.writeHead(301, { location: "/new" });
+      } else {
+        res.writeHead(200);
+      }
+      res.end();
+    },
+    async (baseUrl) => {
+      const sources = [`${baseUrl}/ok`, `${baseUrl}/missing`, `${baseUrl}/old`];
+      const result = await verifySources(sources, {
+        mode: "http",
+        searchTrace: sources.map((url) => ({ actionType: "open_page", url }))
+      });
+
+      assert.deepEqual(
+        result.checks.map((check) => [check.verdict, check.http.status]),
+        [
+          ["ok", 200],
+          ["unreachable", 404],
+          ["ok", 200]
+        ]
+      );
+      assert.equal(result.checks[2].http.redirected, true);
+      assert.equal(result.checks[2].http.finalUrl, `${baseUrl}/new`);
+      assert.equal(formatSourceCheckLabel(result.checks[1]), " (unreachable: 404)");
+      assert.deepEqual(formatSourceCheckWarnings(result), ["1 source(s) are unreachable."]);
+    }
+  );
+});
+
+test("verifySources flags redirects to another host and network errors via an injected fetch", async () => {
+  const fetch = async (url) => {
+    if (url.includes("moved")) return { status: 200, url: "https://parked.example/landing" };
+    throw new Error("getaddrinfo ENOTFOUND");
+  };
+
+  const result = await verifySources(["https://docs.example/moved", "https://gone.example/"], {
+    mode: "http",
+    searchTrace: [],
+    fetch
+  });
+
+  assert.equal(result.checks[0].verdict, "redirected_offsite");
+  assert.equal(result.checks[0].http.offsite, true);
+  assert.equal(result.checks[1].verdict, "unreachable");
+  assert.equal(result.checks[1].http.error, "getaddrinfo ENOTFOUND");
+  assert.equal(result.checks[1].http.method, "GET");
+  assert.deepEqual(result.summary, { total: 2, ok: 0, notOpened: 0, unreachable: 1, redirectedOffsite: 1 });
+});
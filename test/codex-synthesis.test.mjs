@@ -0,0 +1,75 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { CODEX_DECOMPOSITION_SCHEMA, CODEX_SYNTHESIS_SCHEMA } from "../lib/codex-runner.mjs";
+import { mergeResultSources, runCodexDecomposition, runCodexSynthesis } from "../lib/codex-synthesis.mjs";
+
+const results = [
+  { number: 1, question: "q1", structured: { answer: "a1", as_of: "x", confidence: 0.5, sources: ["https://a.example/"] } },
+  { number: 2, question: "q2", structured: { answer: "a2", as_of: "x", confidence: 0.5, sources: ["https://b.example/"] } }
+];
+
+function createBackend(run) {
+  const requests = [];
+  return {
+    name: "fake",
+    label: "fake",
+    requests,
+    async run(request) {
+      requests.push(request);
+      return { exitCode: 0, stdout: "", stderr: "", finalText: "", timedOut: false, aborted: false, ...run };
+    }
+  };
+}
+
+test("mergeResultSources deduplicates across result lists in order", () => {
+  assert.deepEqual(
+    mergeResultSources([["https://b.example"], undefined, ["https://a.example/", "https://b.example/", "nope"]]),
+    ["https://b.example/", "https://a.example/"]
+  );
+});
+
+test("runCodexSynthesis runs a read-only, schema-constrained pass without web search", async () => {
+  const backend = createBackend({
+    finalText: JSON.stringify({
+      answer: "combined",
+      contradictions: [],
+      confidence: 0.8,
+      sources: ["https://a.example/"],
+      notes: ""
+    })
+  });
+
+  const result = await runCodexSynthesis({ results, model: "gpt-test", timeout_sec: 5 }, { backend });
+
+  assert.equal(result.ok, true);
+  assert.equal(result.details.structured.answer, "combined");
+  assert.equal(backend.requests[0].search, false);
+  assert.equal(backend.requests[0].schema, CODEX_SYNTHESIS_SCHEMA);
+  assert.equal(backend.requests[0].model, "gpt-test");
+  assert.equal(backend.requests[0].timeoutSec, 30);
+  assert.match(backend.requests[0].prompt, /Result 2:\nQuestion: q2/);
+});
+
+test("runCodexSynthesis reports exit and parse failures", async () => {
+  const exited = await runCodexSynthesis({ results }, { backend: createBackend({ exitCode: 1, stderr: "boom" }) });
+  assert.equal(exited.ok, false);
+  assert.equal(exited.details.reason, "non_zero_exit");
+
+  const invalid = await runCodexSynthesis({ results }, { backend: createBackend({ finalText: "{}" }) });
+  assert.equal(invalid.ok, false);
+  assert.equal(invalid.details.reason, "invalid_structured_output");
+});
+
+test("runCodexDecomposition plans sub-questions without web search", async () => {
+  const backend = createBackend({
+    finalText: JSON.stringify({ sub_questions: ["s1", "s2", "s3"], rationale: "split by topic" })
+  });
+
+  const result = await runCodexDecomposition({ question: "big question", breadth: 2 }, { backend });
+
+  assert.equal(result.ok, true);
+  assert.deepEqual(result.details.structured, { subQuestions: ["s1", "s2"], rationale: "split by topic" });
+  assert.equal(backend.requests[0].search, false);
+  assert.equal(backend.requests[0].schema, CODEX_DECOMPOSITION_SCHEMA);
+  assert.match(backend.requests[0].prompt, /big question/);
+});
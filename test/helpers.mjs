@@ -0,0 +1,75 @@
+import { mkdtemp, rm } from "node:fs/promises";
+import { createServer } from "node:http";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+export async function withTempDir(fn) {
+  const dir = await mkdtemp(join(tmpdir(), "codex-search-test-"));
+  try {
+    return await fn(dir);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+}
+
+export async function withMockServer(handler, fn) {
+  const requests = [];
+  const server = createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+    });
+    req.on("end", () => {
+      const request = { method: req.method, url: req.url, headers: req.headers, body: body ? JSON.parse(body) : null };
+      requests.push(request);
+      handler(request, res);
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const { port } = server.address();
+
+  try {
+    return await fn(`http://127.0.0.1:${port}`, requests);
+  } finally {
+    server.closeAllConnections?.();
+    await new Promise((resolve) => server.close(resolve));
+  }
+}
+
+export function structuredOutput(overrides = {}) {
+  return {
+    answer: "npm 11.2.0",
+    as_of: "early 2026",
+    confidence: 0.9,
+    sources: ["https://github.com/npm/cli/releases"],
+    notes: "",
+    ...overrides
+  };
+}
+
+export function createFakeBackend(runs) {
+  const requests = [];
+  return {
+    name: "fake",
+    label: "fake",
+    requests,
+    async run(request, hooks = {}) {
+      requests.push(request);
+      const run = runs[Math.min(requests.length - 1, runs.length - 1)];
+      const events = run.events || [];
+      for (const event of events) hooks.onEvent?.(event);
+      if (hooks.signal?.aborted) {
+        return { exitCode: 130, stdout: "", stderr: "", finalText: "", timedOut: false, aborted: true };
+      }
+      return {
+        exitCode: run.exitCode ?? 0,
+        stdout: events.map((event) => JSON.stringify(event)).join("\n"),
+        stderr: run.stderr || "",
+        finalText: run.output === undefined ? "" : JSON.stringify(run.output),
+        timedOut: run.timedOut === true,
+        aborted: run.aborted === true
+      };
+    }
+  };
+}